@@ -2,27 +2,254 @@
 // Dr. Addi Ait-Mlouk - Latest Web Development Trends & Interactions
 
 class ModernPortfolio {
+    static ANCHOR_HEADINGS = 'section h1, section h2, section h3, section h4';
+
+    // The running app; constructing ModernPortfolio again returns it
+    static instance = null;
+
+    static SERVICE_WORKER_URL = 'sw.js';
+    // How often a tab that stays open looks for a new deployment
+    static UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+    // Features, started in this order. "app" modules live as long as the
+    // document; "page" modules are bound to #main-content and restarted when
+    // the router swaps it. A page module with a selector only starts when its
+    // root contains a match, so pages opt in with data-module="<name>".
+    // Deferred modules wait for the loading screen to go away.
+    // Any module can be switched off with data-disable-modules="<name> ..."
+    // on <body> or #main-content.
+    static MODULES = [
+        { name: 'errors', scope: 'app', init: (app, scope) => app.initErrorReporting(scope) },
+        { name: 'theme', scope: 'app', init: (app, scope) => app.initTheme(scope) },
+        { name: 'i18n', scope: 'app', init: (app, scope) => app.initI18n(scope) },
+        { name: 'loading', scope: 'app', init: (app, scope) => app.initLoading(scope) },
+        { name: 'navigation', scope: 'app', init: (app, scope) => app.initNavigation(scope) },
+        { name: 'scroll-progress', scope: 'app', init: (app, scope) => app.initScrollProgress(scope) },
+        { name: 'back-to-top', scope: 'app', init: (app, scope) => app.initBackToTop(scope) },
+        { name: 'aos', scope: 'app', init: (app) => app.initAnimations() },
+        { name: 'keyboard', scope: 'app', init: (app, scope) => app.initKeyboardNavigation(scope) },
+        { name: 'consent', scope: 'app', init: (app, scope) => app.initConsent(scope) },
+        { name: 'analytics', scope: 'app', init: (app, scope) => app.initAnalytics(scope) },
+        {
+            name: 'performance',
+            scope: 'app',
+            init: (app, scope) => {
+                app.preloadCriticalResources(scope);
+                app.monitorPerformance(scope);
+                app.optimizeForLowEnd(scope);
+            }
+        },
+        { name: 'structured-data', scope: 'app', init: (app, scope) => app.initStructuredData(scope) },
+        {
+            name: 'accessibility',
+            scope: 'app',
+            init: (app, scope) => {
+                app.announcePageChange();
+                app.initSkipLinks(scope);
+                app.initFocusManagement(scope);
+                app.initLiveRegions(scope);
+                app.initReducedMotion(scope);
+                app.initAccessibilityChecker(scope);
+            }
+        },
+        { name: 'scroll-to-top', scope: 'app', defer: true, init: (app, scope) => app.initScrollToTop(scope) },
+        { name: 'router', scope: 'app', defer: true, init: (app, scope) => app.initPageTransitions(scope) },
+        { name: 'service-worker', scope: 'app', defer: true, init: (app, scope) => app.initServiceWorker(scope) },
+        { name: 'heading-anchors', scope: 'page', init: (app, scope) => app.initHeadingAnchors(scope) },
+        { name: 'scroll-animations', scope: 'page', init: (app, scope) => app.initScrollAnimations(scope) },
+        { name: 'lazy-images', scope: 'page', init: (app, scope) => app.initLazyLoading(scope) },
+        { name: 'ripples', scope: 'page', init: (app, scope) => app.initButtonRipples(scope) },
+        { name: 'card-effects', scope: 'page', init: (app, scope) => app.initCardEffects(scope) },
+        { name: 'tooltips', scope: 'page', init: (app, scope) => app.initTooltips(scope) },
+        {
+            name: 'forms',
+            scope: 'page',
+            init: (app, scope) => {
+                app.initFormValidation(scope);
+                app.initFormInteractions(scope);
+            }
+        },
+        { name: 'publications', scope: 'page', selector: '[data-module~="publications"]', init: (app, scope) => app.initPublications(scope) },
+        { name: 'coauthor-network', scope: 'page', selector: '[data-module~="coauthor-network"]', init: (app, scope) => app.initCoauthorNetwork(scope) },
+        { name: 'publication-stats', scope: 'page', selector: '[data-module~="publication-stats"]', init: (app, scope) => app.initPublicationStats(scope) },
+        { name: 'project-filters', scope: 'page', selector: '[data-module~="project-filters"]', init: (app, scope) => app.initProjectFilters(scope) },
+        { name: 'news', scope: 'page', selector: '[data-module~="news"]', init: (app, scope) => app.initNews(scope) },
+        { name: 'contact-form', scope: 'page', selector: '[data-module~="contact-form"]', init: (app, scope) => app.initContactForm(scope) },
+        { name: 'counters', scope: 'page', defer: true, init: (app, scope) => app.initStatCounters(scope) },
+        { name: 'entrance-animations', scope: 'page', defer: true, init: (app, scope) => app.triggerEntranceAnimations(scope) },
+        { name: 'carousel', scope: 'page', defer: true, selector: '[data-module~="carousel"]', init: (app, scope) => app.initCarousels(scope) }
+    ];
+
+    // Adds (or replaces) a module; page scripts use this to plug in features
+    // without constructing their own app. Joins the running app if there is one.
+    static registerModule(definition) {
+        const module = Object.assign({ scope: 'page', selector: null, defer: false }, definition);
+        const index = ModernPortfolio.MODULES.findIndex(({ name }) => name === module.name);
+        if (index === -1) {
+            ModernPortfolio.MODULES.push(module);
+        } else {
+            ModernPortfolio.MODULES.splice(index, 1, module);
+        }
+
+        const app = ModernPortfolio.instance;
+        if (app) {
+            app.stopModule(module.name);
+            app.failedModules.delete(module.name);
+            app.startModule(module);
+        }
+        return module;
+    }
+
+    // Site-wide settings such as endpoints are <meta name="..."> tags in the head
+    static getMeta(name) {
+        const element = document.querySelector(`meta[name="${name}"]`);
+        return element ? element.content.trim() : '';
+    }
+
     constructor() {
-        this.theme = localStorage.getItem('theme') || 'light';
+        if (ModernPortfolio.instance) return ModernPortfolio.instance;
+        ModernPortfolio.instance = this;
+
+        this.theme = SiteTheme.getPreference();
         this.currentPage = this.getCurrentPage();
         this.loadingComplete = false;
+        this.formValidators = new Map();
+        // Running count-up animations, kept per element so a counter can restart
+        this.counterTimers = new WeakMap();
+        this.tooltips = new WeakMap();
+        this.modules = new Map();
+        this.failedModules = new Set();
+        this.events = new Map();
         this.init();
     }
 
     init() {
-        this.setTheme(this.theme);
-        this.initLoading();
-        this.initNavigation();
-        this.initScrollProgress();
-        this.initBackToTop();
-        this.initAnimations();
-        this.initInteractions();
-        this.initPerformance();
-        this.initAccessibility();
+        this.startModules('app');
+        this.startModules('page');
+        this.scrollToHash();
+
+        this.emit('page:load', { page: this.currentPage, root: this.getPageRoot() });
+        this.emit('ready');
+    }
+
+    // Stops every module and removes what they added to the document
+    destroy() {
+        this.stopModules('page');
+        this.stopModules('app');
+        this.failedModules.clear();
+        this.events.clear();
+        if (ModernPortfolio.instance === this) {
+            ModernPortfolio.instance = null;
+        }
+    }
+
+    // ===== MODULES =====
+    getPageRoot() {
+        return document.getElementById(PageRouter.CONTENT_ID) || document;
+    }
+
+    getDisabledModules() {
+        return [document.body, document.getElementById(PageRouter.CONTENT_ID)]
+            .flatMap(host => (host && host.dataset.disableModules || '').split(/\s+/))
+            .filter(Boolean);
+    }
+
+    startModule(module) {
+        if (this.modules.has(module.name) || this.failedModules.has(module.name)) return;
+        if (this.getDisabledModules().includes(module.name)) return;
+        if (module.defer && !this.loadingComplete) return;
+
+        const root = module.scope === 'page' ? this.getPageRoot() : document;
+        if (module.selector && !root.querySelector(module.selector)) return;
+
+        const scope = new ModuleScope(module.name, root, (error) => {
+            this.handleError(error, `in module "${module.name}"`, { module: module.name });
+        });
+        this.modules.set(module.name, { module, scope });
+
+        try {
+            module.init(this, scope);
+        } catch (error) {
+            // Undo whatever the module set up before it failed; the rest carry on
+            this.modules.delete(module.name);
+            this.failedModules.add(module.name);
+            scope.dispose();
+            this.handleError(error, `starting module "${module.name}"`, { module: module.name });
+            this.emit('module:error', { name: module.name, error });
+            return;
+        }
+        this.emit('module:init', { name: module.name });
+    }
+
+    stopModule(name) {
+        const running = this.modules.get(name);
+        if (!running) return;
+
+        this.modules.delete(name);
+        try {
+            if (running.module.destroy) {
+                running.module.destroy(this, running.scope);
+            }
+        } catch (error) {
+            this.handleError(error, `stopping module "${name}"`, { module: name });
+        }
+        running.scope.dispose();
+        this.emit('module:destroy', { name });
+    }
+
+    // Already-running modules are skipped, so this is safe to call again
+    startModules(scope) {
+        ModernPortfolio.MODULES
+            .filter(module => module.scope === scope)
+            .forEach(module => this.startModule(module));
+    }
+
+    stopModules(scope) {
+        [...this.modules.values()]
+            .filter(({ module }) => module.scope === scope)
+            .reverse()
+            .forEach(({ module }) => this.stopModule(module.name));
+    }
+
+    isModuleRunning(name) {
+        return this.modules.has(name);
+    }
+
+    // ===== EVENTS =====
+    // Page scripts hook in with e.g.
+    //     new ModernPortfolio().on('page:load', ({ page, root }) => { ... });
+    // Events: ready, page:load, page:unload, theme:change, language:change, module:init, module:destroy,
+    // content:change (a list rendered from a data file)
+    on(name, handler) {
+        if (!this.events.has(name)) {
+            this.events.set(name, new Set());
+        }
+        this.events.get(name).add(handler);
+        return () => this.off(name, handler);
+    }
+
+    off(name, handler) {
+        const handlers = this.events.get(name);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(name, detail = {}) {
+        const handlers = this.events.get(name);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                this.handleError(error, `in "${name}" handler`);
+            }
+        });
     }
 
     // ===== LOADING SYSTEM =====
-    initLoading() {
+    initLoading(scope) {
         const loadingScreen = document.getElementById('loading-screen');
         if (!loadingScreen) return;
 
@@ -30,7 +257,7 @@ class ModernPortfolio {
         const minLoadTime = 300;
         const startTime = Date.now();
 
-        window.addEventListener('load', () => {
+        scope.listen(window, 'load', () => {
             const elapsedTime = Date.now() - startTime;
             const remainingTime = Math.max(0, minLoadTime - elapsedTime);
 
@@ -50,38 +277,76 @@ class ModernPortfolio {
     }
 
     initPostLoad() {
-        // Initialize components that need DOM to be fully loaded
-        this.initScrollToTop();
-        this.initStatCounters();
-        this.initPageTransitions();
-        this.triggerEntranceAnimations();
-        this.initNewsSlider();
+        // Deferred modules need the DOM to be fully loaded
+        this.startModules('app');
+        this.startModules('page');
     }
 
 
     // ===== ENHANCED THEME SYSTEM =====
+    // Themes and palettes are registered in js/theme-init.js (window.SiteTheme),
+    // which has already applied the stored preference before first paint.
+    initTheme(scope) {
+        // Follow OS changes live while in system mode
+        const { darkQuery } = SiteTheme;
+        if (darkQuery) {
+            const handleSchemeChange = () => {
+                if (this.theme === 'system') this.applyTheme();
+            };
+            if (darkQuery.addEventListener) {
+                scope.listen(darkQuery, 'change', handleSchemeChange);
+            } else {
+                darkQuery.addListener(handleSchemeChange);
+                scope.onCleanup(() => darkQuery.removeListener(handleSchemeChange));
+            }
+        }
+
+        // The toggle's label names the themes
+        scope.onCleanup(this.on('language:change', () => this.updateThemeIcon()));
+
+        // Another tab changed the theme
+        scope.listen(window, 'storage', (e) => {
+            if (e.key !== SiteTheme.STORAGE_KEY) return;
+            this.theme = SiteTheme.getPreference();
+            this.applyTheme();
+        });
+
+        this.applyTheme();
+    }
+
     setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        document.body.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        this.theme = theme;
+        this.theme = SiteTheme.THEMES[theme] ? theme : 'system';
+        SiteTheme.savePreference(this.theme);
+        this.applyTheme();
+    }
+
+    applyTheme() {
+        SiteTheme.apply(this.theme);
         this.updateThemeIcon();
-        
-        // Force a repaint to ensure theme changes are applied
-        setTimeout(() => {
-            document.body.style.display = 'none';
-            document.body.offsetHeight; // Trigger reflow
-            document.body.style.display = '';
-        }, 50);
+        this.emit('theme:change', { theme: this.theme, scheme: SiteTheme.resolveScheme(this.theme) });
     }
 
+    // Cycles through light, dark, system and the registered palettes
     toggleTheme() {
-        const newTheme = this.theme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
+        this.setTheme(this.getNextTheme());
         this.triggerThemeTransition();
+        this.announce(`${SiteTheme.THEMES[this.theme].label} theme`);
+    }
+
+    getNextTheme() {
+        const themes = Object.keys(SiteTheme.THEMES);
+        return themes[(themes.indexOf(this.theme) + 1) % themes.length];
     }
 
     updateThemeIcon() {
+        const theme = SiteTheme.THEMES[this.theme];
+        const isDark = SiteTheme.resolveScheme(this.theme) === 'dark';
+        const next = this.getNextTheme();
+        const label = I18n.t('theme.toggle', 'Theme: {theme}. Switch to {next}', {
+            theme: I18n.t(`theme.${this.theme}`, theme.label),
+            next: I18n.t(`theme.${next}`, SiteTheme.THEMES[next].label)
+        });
+
         // Update both desktop and mobile theme toggles
         const toggleBtns = [
             document.getElementById('theme-toggle'),
@@ -91,17 +356,20 @@ class ModernPortfolio {
         toggleBtns.forEach(toggleBtn => {
             if (!toggleBtn) return;
 
+            toggleBtn.setAttribute('aria-label', label);
+            toggleBtn.title = label;
+
             const lightIcon = toggleBtn.querySelector('.light-icon');
             const darkIcon = toggleBtn.querySelector('.dark-icon');
 
             if (lightIcon && darkIcon) {
-                if (this.theme === 'dark') {
-                    lightIcon.style.opacity = '0';
-                    darkIcon.style.opacity = '1';
-                } else {
-                    lightIcon.style.opacity = '1';
-                    darkIcon.style.opacity = '0';
-                }
+                // Sun and moon for explicit light/dark, the theme's own icon otherwise
+                const isBaseTheme = this.theme === 'light' || this.theme === 'dark';
+                lightIcon.className = `${isBaseTheme ? 'fas fa-sun' : theme.icon} theme-icon light-icon`;
+                darkIcon.className = `${isBaseTheme ? 'fas fa-moon' : theme.icon} theme-icon dark-icon`;
+
+                lightIcon.style.opacity = isDark ? '0' : '1';
+                darkIcon.style.opacity = isDark ? '1' : '0';
             }
         });
     }
@@ -114,7 +382,7 @@ class ModernPortfolio {
     }
 
     // ===== NAVIGATION SYSTEM =====
-    initNavigation() {
+    initNavigation(scope) {
         const navbar = document.getElementById('main-navbar');
         const themeToggle = document.getElementById('theme-toggle');
         const themeToggleMobile = document.getElementById('theme-toggle-mobile');
@@ -139,23 +407,25 @@ class ModernPortfolio {
             ticking = false;
         };
 
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(updateNavbar);
-                ticking = true;
-            }
-        });
+        if (navbar) {
+            scope.listen(window, 'scroll', () => {
+                if (!ticking) {
+                    requestAnimationFrame(updateNavbar);
+                    ticking = true;
+                }
+            });
+        }
 
         // Theme toggle for both desktop and mobile
         if (themeToggle) {
-            themeToggle.addEventListener('click', () => {
+            scope.listen(themeToggle, 'click', () => {
                 this.toggleTheme();
                 this.addButtonRipple(themeToggle);
             });
         }
 
         if (themeToggleMobile) {
-            themeToggleMobile.addEventListener('click', () => {
+            scope.listen(themeToggleMobile, 'click', () => {
                 this.toggleTheme();
                 this.addButtonRipple(themeToggleMobile);
             });
@@ -164,12 +434,9 @@ class ModernPortfolio {
         // Close mobile menu when clicking nav links
         if (navbarCollapse) {
             navLinks.forEach(link => {
-                link.addEventListener('click', () => {
+                scope.listen(link, 'click', () => {
                     if (window.innerWidth < 992 && navbarCollapse.classList.contains('show')) {
-                        const bsCollapse = new bootstrap.Collapse(navbarCollapse, {
-                            toggle: false
-                        });
-                        bsCollapse.hide();
+                        this.hideCollapse(navbarCollapse);
                     }
                 });
             });
@@ -177,10 +444,10 @@ class ModernPortfolio {
 
         // Update toggler aria-expanded attribute
         if (navbarToggler && navbarCollapse) {
-            navbarCollapse.addEventListener('show.bs.collapse', () => {
+            scope.listen(navbarCollapse, 'show.bs.collapse', () => {
                 navbarToggler.setAttribute('aria-expanded', 'true');
             });
-            navbarCollapse.addEventListener('hide.bs.collapse', () => {
+            scope.listen(navbarCollapse, 'hide.bs.collapse', () => {
                 navbarToggler.setAttribute('aria-expanded', 'false');
             });
         }
@@ -190,26 +457,81 @@ class ModernPortfolio {
         
         // Smooth scrolling for same-page anchors
         navLinks.forEach(link => {
-            if (link.getAttribute('href').startsWith('#')) {
-                link.addEventListener('click', this.handleSmoothScroll.bind(this));
+            if ((link.getAttribute('href') || '').startsWith('#')) {
+                scope.listen(link, 'click', this.handleSmoothScroll.bind(this));
             }
         });
     }
 
+    // Bootstrap comes from a CDN and may not have loaded
+    hideCollapse(element) {
+        if (typeof bootstrap === 'undefined') {
+            element.classList.remove('show');
+            return;
+        }
+        bootstrap.Collapse.getOrCreateInstance(element, { toggle: false }).hide();
+    }
+
     updateActiveNavLink() {
-        const navLinks = document.querySelectorAll('.nav-link');
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('data-page') === this.currentPage) {
-                link.classList.add('active');
+        SiteLayout.setActivePage(this.currentPage);
+    }
+
+    getCurrentPage() {
+        return ModernPortfolio.getPageName(window.location);
+    }
+
+    static getPageName(location) {
+        const fileName = location.pathname.split('/').pop() || 'index.html';
+        return fileName.replace('.html', '') || 'index';
+    }
+
+    // Headings get stable slug ids so search results can deep-link to them.
+    // scripts/build-search-index.js derives the same ids from the static HTML.
+    static slugify(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&[a-z]+;/g, ' ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    initHeadingAnchors(scope) {
+        this.assignHeadingIds();
+        scope.listen(window, 'hashchange', () => this.scrollToHash());
+    }
+
+    assignHeadingIds() {
+        const used = new Set();
+        document.querySelectorAll('[id]').forEach(el => used.add(el.id));
+
+        document.querySelectorAll(ModernPortfolio.ANCHOR_HEADINGS).forEach(heading => {
+            if (heading.id) return;
+
+            const base = ModernPortfolio.slugify(heading.textContent) || 'section';
+            let id = base;
+            for (let i = 2; used.has(id); i++) {
+                id = `${base}-${i}`;
             }
+            heading.id = id;
+            used.add(id);
         });
     }
 
-    getCurrentPage() {
-        const path = window.location.pathname;
-        const fileName = path.split('/').pop() || 'index.html';
-        return fileName.replace('.html', '') || 'home';
+    scrollToHash() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        const target = id && document.getElementById(id);
+        if (!target) return;
+
+        const offsetTop = target.getBoundingClientRect().top + window.pageYOffset - 100;
+        window.scrollTo({
+            top: offsetTop,
+            behavior: Accessibility.scrollBehavior()
+        });
+
+        target.classList.add('anchor-target');
+        setTimeout(() => target.classList.remove('anchor-target'), 2000);
     }
 
     handleSmoothScroll(e) {
@@ -221,13 +543,13 @@ class ModernPortfolio {
             const offsetTop = targetElement.offsetTop - 100;
             window.scrollTo({
                 top: offsetTop,
-                behavior: 'smooth'
+                behavior: Accessibility.scrollBehavior()
             });
         }
     }
 
     // ===== SCROLL PROGRESS INDICATOR =====
-    initScrollProgress() {
+    initScrollProgress(scope) {
         
         // Remove any existing progress bars first
         const existingProgress = document.querySelector('.scroll-progress');
@@ -272,6 +594,7 @@ class ModernPortfolio {
         
         progressContainer.appendChild(progressBar);
         document.body.appendChild(progressContainer);
+        scope.onCleanup(() => progressContainer.remove());
         
         
         // Update progress on scroll with debouncing for performance
@@ -284,24 +607,29 @@ class ModernPortfolio {
             progressBar.style.width = `${clampedPercent}%`;
         };
 
-        window.addEventListener('scroll', updateProgress, { passive: true });
+        scope.listen(window, 'scroll', updateProgress, { passive: true });
 
         // Initial update on load
         updateProgress();
     }
 
     // ===== BACK TO TOP BUTTON =====
-    initBackToTop() {
-        // Create back to top button
-        const backToTop = document.createElement('button');
-        backToTop.className = 'back-to-top';
-        backToTop.innerHTML = '<i class="fas fa-arrow-up"></i>';
-        backToTop.setAttribute('aria-label', 'Back to top');
-        
-        document.body.appendChild(backToTop);
+    initBackToTop(scope) {
+        // Pages ship a #backToTop button; create one only where it's missing
+        let backToTop = document.getElementById('backToTop');
+        if (!backToTop) {
+            backToTop = document.createElement('button');
+            backToTop.id = 'backToTop';
+            backToTop.className = 'back-to-top';
+            backToTop.innerHTML = '<i class="fas fa-arrow-up"></i>';
+            document.body.appendChild(backToTop);
+            scope.onCleanup(() => backToTop.remove());
+        }
+        backToTop.setAttribute('aria-label', I18n.t('a11y.backToTop', 'Back to top'));
+        backToTop.dataset.i18nAttr = 'aria-label:a11y.backToTop';
         
         // Show/hide based on scroll position
-        window.addEventListener('scroll', () => {
+        scope.listen(window, 'scroll', () => {
             const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
             
             if (scrollTop > 300) {
@@ -312,20 +640,20 @@ class ModernPortfolio {
         });
         
         // Click handler
-        backToTop.addEventListener('click', () => {
+        scope.listen(backToTop, 'click', () => {
             window.scrollTo({
                 top: 0,
-                behavior: 'smooth'
+                behavior: Accessibility.scrollBehavior()
             });
         });
         
         // Keyboard accessibility
-        backToTop.addEventListener('keydown', (e) => {
+        scope.listen(backToTop, 'keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 window.scrollTo({
                     top: 0,
-                    behavior: 'smooth'
+                    behavior: Accessibility.scrollBehavior()
                 });
             }
         });
@@ -341,15 +669,13 @@ class ModernPortfolio {
                 once: true,
                 offset: 50,
                 delay: 0,
-                anchorPlacement: 'top-bottom'
+                anchorPlacement: 'top-bottom',
+                disable: () => Accessibility.prefersReducedMotion()
             });
         }
-
-        // Custom scroll animations
-        this.initScrollAnimations();
     }
 
-    initScrollAnimations() {
+    initScrollAnimations(scope) {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
@@ -369,16 +695,17 @@ class ModernPortfolio {
         });
 
         // Observe elements for scroll animations
-        const animatedElements = document.querySelectorAll(
+        const animatedElements = scope.root.querySelectorAll(
             '.highlight-card, .quick-card, .profile-card, .stat-item, .hero-badge'
         );
         
         animatedElements.forEach(el => observer.observe(el));
+        scope.onCleanup(() => observer.disconnect());
     }
 
-    triggerEntranceAnimations() {
+    triggerEntranceAnimations(scope) {
         // Stagger animations for multiple elements
-        const cards = document.querySelectorAll('.quick-card');
+        const cards = scope.root.querySelectorAll('.quick-card');
         cards.forEach((card, index) => {
             setTimeout(() => {
                 card.style.animationDelay = `${index * 100}ms`;
@@ -388,8 +715,8 @@ class ModernPortfolio {
     }
 
     // ===== STAT COUNTERS =====
-    initStatCounters() {
-        const statNumbers = document.querySelectorAll('.stat-number[data-count]');
+    initStatCounters(scope) {
+        const statNumbers = scope.root.querySelectorAll('.stat-number[data-count]');
         const observerOptions = {
             threshold: 0.5,
             rootMargin: '0px'
@@ -405,10 +732,31 @@ class ModernPortfolio {
         }, observerOptions);
 
         statNumbers.forEach(stat => observer.observe(stat));
+        scope.onCleanup(() => {
+            observer.disconnect();
+            statNumbers.forEach(stat => clearInterval(this.counterTimers.get(stat)));
+        });
+    }
+
+    // Counters whose value is computed after the page loads (PublicationStats);
+    // one that has already counted up runs again to the new value
+    setCounter(element, value) {
+        element.setAttribute('data-count', value);
+        if (this.counterTimers.has(element)) {
+            this.animateCounter(element);
+        }
     }
 
     animateCounter(element) {
+        clearInterval(this.counterTimers.get(element));
+
         const target = parseInt(element.getAttribute('data-count'));
+        if (Accessibility.prefersReducedMotion()) {
+            element.textContent = target;
+            this.counterTimers.set(element, null);
+            return;
+        }
+
         const duration = 2000;
         const steps = 60;
         const increment = target / steps;
@@ -431,6 +779,7 @@ class ModernPortfolio {
                 element.textContent = target;
             }
         }, duration / steps);
+        this.counterTimers.set(element, timer);
     }
 
     animateStatCounter(statItem) {
@@ -443,28 +792,11 @@ class ModernPortfolio {
     }
 
     // ===== INTERACTIONS =====
-    initInteractions() {
-        // Button ripple effects
-        this.initButtonRipples();
-        
-        // Card hover effects
-        this.initCardEffects();
-        
-        // Tooltip system
-        this.initTooltips();
-        
-        // Form interactions
-        this.initFormInteractions();
-        
-        // Keyboard navigation
-        this.initKeyboardNavigation();
-    }
-
-    initButtonRipples() {
-        const buttons = document.querySelectorAll('.btn, .modern-btn-primary, .modern-btn-outline, .social-btn');
+    initButtonRipples(scope) {
+        const buttons = scope.root.querySelectorAll('.btn, .modern-btn-primary, .modern-btn-outline, .social-btn');
         
         buttons.forEach(button => {
-            button.addEventListener('click', (e) => {
+            scope.listen(button, 'click', (e) => {
                 this.addButtonRipple(button, e);
             });
         });
@@ -507,13 +839,13 @@ class ModernPortfolio {
         setTimeout(() => ripple.remove(), 600);
     }
 
-    initCardEffects() {
-        const cards = document.querySelectorAll('.highlight-card, .quick-card, .profile-card');
+    initCardEffects(scope) {
+        const cards = scope.root.querySelectorAll('.highlight-card, .quick-card, .profile-card');
         
         cards.forEach(card => {
             // 3D tilt effect
-            card.addEventListener('mousemove', (e) => {
-                if (window.innerWidth <= 768) return; // Skip on mobile
+            scope.listen(card, 'mousemove', (e) => {
+                if (window.innerWidth <= 768 || Accessibility.prefersReducedMotion()) return; // Skip on mobile
 
                 const rect = card.getBoundingClientRect();
                 const x = e.clientX - rect.left;
@@ -533,7 +865,7 @@ class ModernPortfolio {
                 `;
             });
             
-            card.addEventListener('mouseleave', () => {
+            scope.listen(card, 'mouseleave', () => {
                 card.style.transform = '';
                 card.style.transition = 'transform 0.5s ease';
                 setTimeout(() => {
@@ -542,14 +874,14 @@ class ModernPortfolio {
             });
 
             // Hover glow effect
-            card.addEventListener('mouseenter', () => {
+            scope.listen(card, 'mouseenter', () => {
                 const icon = card.querySelector('.highlight-icon, .card-icon');
                 if (icon) {
                     icon.style.boxShadow = '0 0 30px rgba(139, 92, 246, 0.4)';
                 }
             });
 
-            card.addEventListener('mouseleave', () => {
+            scope.listen(card, 'mouseleave', () => {
                 const icon = card.querySelector('.highlight-icon, .card-icon');
                 if (icon) {
                     icon.style.boxShadow = '';
@@ -558,40 +890,58 @@ class ModernPortfolio {
         });
     }
 
-    initTooltips() {
-        const tooltipElements = document.querySelectorAll('[data-tooltip]');
-        
+    // Each trigger gets its own role="tooltip" element (see Tooltip), shown on
+    // hover and keyboard focus and dismissed with Escape
+    initTooltips(scope) {
+        const tooltipElements = [...scope.root.querySelectorAll('[data-tooltip]')];
+
         tooltipElements.forEach(element => {
-            element.addEventListener('mouseenter', () => {
+            const tooltip = new Tooltip(element);
+            this.tooltips.set(element, tooltip);
+            scope.onCleanup(() => {
+                tooltip.destroy();
+                this.tooltips.delete(element);
+            });
+
+            scope.listen(element, 'mouseenter', () => {
                 if (window.innerWidth <= 768) return; // Skip on mobile
                 this.showTooltip(element);
             });
-            
-            element.addEventListener('mouseleave', () => {
-                this.hideTooltip(element);
+            scope.listen(element, 'focus', () => this.showTooltip(element));
+
+            scope.listen(element, 'mouseleave', () => {
+                if (element !== document.activeElement) this.hideTooltip(element);
             });
+            scope.listen(element, 'blur', () => this.hideTooltip(element));
         });
+
+        if (tooltipElements.length) {
+            scope.listen(document, 'keydown', (e) => {
+                if (e.key === 'Escape') tooltipElements.forEach(element => this.hideTooltip(element));
+            });
+        }
     }
 
     showTooltip(element) {
-        // Tooltips are handled by CSS, just add accessibility
-        element.setAttribute('aria-describedby', 'tooltip');
+        const tooltip = this.tooltips.get(element);
+        if (tooltip) tooltip.show();
     }
 
     hideTooltip(element) {
-        element.removeAttribute('aria-describedby');
+        const tooltip = this.tooltips.get(element);
+        if (tooltip) tooltip.hide();
     }
 
-    initFormInteractions() {
-        const formElements = document.querySelectorAll('input, textarea, select');
+    initFormInteractions(scope) {
+        const formElements = scope.root.querySelectorAll('input, textarea, select');
         
         formElements.forEach(element => {
             // Focus effects
-            element.addEventListener('focus', () => {
+            scope.listen(element, 'focus', () => {
                 element.parentElement.classList.add('focused');
             });
             
-            element.addEventListener('blur', () => {
+            scope.listen(element, 'blur', () => {
                 element.parentElement.classList.remove('focused');
                 if (element.value) {
                     element.parentElement.classList.add('filled');
@@ -601,13 +951,36 @@ class ModernPortfolio {
             });
             
             // Real-time validation
-            element.addEventListener('input', () => {
+            scope.listen(element, 'input', () => {
                 this.validateField(element);
             });
         });
     }
 
+    // Forms marked with data-validate get a FormValidator (see below)
+    initFormValidation(scope) {
+        scope.root.querySelectorAll('form[data-validate]').forEach(form => {
+            this.getFormValidator(form);
+        });
+        scope.onCleanup(() => {
+            this.formValidators.forEach(validator => validator.destroy());
+            this.formValidators.clear();
+        });
+    }
+
+    getFormValidator(form) {
+        if (!this.formValidators.has(form)) {
+            this.formValidators.set(form, new FormValidator(form, this));
+        }
+        return this.formValidators.get(form);
+    }
+
     validateField(field) {
+        const validator = field.form && this.formValidators.get(field.form);
+        if (validator) {
+            return validator.validateField(field);
+        }
+
         const value = field.value.trim();
         const fieldContainer = field.parentElement;
         
@@ -622,8 +995,7 @@ class ModernPortfolio {
         
         // Email validation
         if (field.type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
+            if (!FormValidator.EMAIL_PATTERN.test(value)) {
                 fieldContainer.classList.add('invalid');
                 return false;
             }
@@ -637,13 +1009,13 @@ class ModernPortfolio {
     }
 
     // ===== SCROLL TO TOP =====
-    initScrollToTop() {
+    initScrollToTop(scope) {
         const scrollBtn = document.getElementById('scroll-to-top');
         if (!scrollBtn) return;
 
         let isVisible = false;
 
-        window.addEventListener('scroll', () => {
+        scope.listen(window, 'scroll', () => {
             const shouldShow = window.scrollY > 400;
             
             if (shouldShow && !isVisible) {
@@ -655,41 +1027,68 @@ class ModernPortfolio {
             }
         });
 
-        scrollBtn.addEventListener('click', () => {
+        scope.listen(scrollBtn, 'click', () => {
             window.scrollTo({
                 top: 0,
-                behavior: 'smooth'
+                behavior: Accessibility.scrollBehavior()
             });
             this.addButtonRipple(scrollBtn);
         });
     }
 
     // ===== PAGE TRANSITIONS =====
-    initPageTransitions() {
-        const links = document.querySelectorAll('a[href$=".html"]');
-        
-        links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.navigateToPage(link.getAttribute('href'));
+    // Internal links load through PageRouter, which swaps #main-content
+    initPageTransitions(scope) {
+        const router = new PageRouter(this);
+        if (router.init(scope)) {
+            this.router = router;
+            scope.onCleanup(() => {
+                this.router = null;
             });
-        });
+        }
     }
 
     navigateToPage(url) {
-        // Add page transition effect
-        document.body.style.opacity = '0.7';
-        document.body.style.transform = 'scale(0.98)';
-        document.body.style.transition = 'all 0.3s ease';
-        
-        setTimeout(() => {
+        if (this.router) {
+            this.router.navigate(url);
+        } else {
             window.location.href = url;
-        }, 300);
+        }
+    }
+
+    // The router swaps #main-content between these two calls
+    destroyPage() {
+        this.emit('page:unload', { page: this.currentPage });
+        this.stopModules('page');
+
+        // The next page gets a fresh attempt at page modules that failed here
+        ModernPortfolio.MODULES
+            .filter(module => module.scope === 'page')
+            .forEach(module => this.failedModules.delete(module.name));
+    }
+
+    initPage(root) {
+        this.startModules('page');
+        this.emit('page:load', { page: this.currentPage, root });
     }
 
     // ===== KEYBOARD NAVIGATION =====
-    initKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
+    initKeyboardNavigation(scope) {
+        scope.onCleanup(() => {
+            if (this.commandPalette) {
+                this.commandPalette.destroy();
+                this.commandPalette = null;
+            }
+        });
+
+        scope.listen(document, 'keydown', (e) => {
+            // Ctrl/Cmd+K opens the site-wide command palette
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.toggleCommandPalette();
+                return;
+            }
+
             // Escape key to close modals/menus
             if (e.key === 'Escape') {
                 this.closeAllModals();
@@ -701,58 +1100,112 @@ class ModernPortfolio {
             }
         });
         
-        document.addEventListener('mousedown', () => {
+        scope.listen(document, 'mousedown', () => {
             document.body.classList.remove('keyboard-navigation');
         });
     }
 
+    toggleCommandPalette() {
+        if (!this.commandPalette) {
+            this.commandPalette = new CommandPalette(this);
+        }
+        this.commandPalette.toggle();
+    }
+
     closeAllModals() {
         // Close mobile menu
         const mobileMenu = document.querySelector('.navbar-collapse.show');
         if (mobileMenu) {
-            const bsCollapse = new bootstrap.Collapse(mobileMenu);
-            bsCollapse.hide();
+            this.hideCollapse(mobileMenu);
         }
     }
 
     // ===== PERFORMANCE OPTIMIZATION =====
-    initPerformance() {
-        // Lazy load images
-        this.initLazyLoading();
-        
-        // Preload critical resources
-        this.preloadCriticalResources();
-        
-        // Monitor performance
-        this.monitorPerformance();
-        
-        // Optimize for low-end devices
-        this.optimizeForLowEnd();
-    }
+    // Images with data-src / data-srcset (and <source data-srcset> in a
+    // <picture>) get their real sources as they near the viewport: natively
+    // through loading="lazy" where supported, with an IntersectionObserver
+    // otherwise. They are revealed once decoded, so they never paint half
+    // loaded. Built pages (scripts/build-site.js) use plain srcset with a
+    // blur-up placeholder, which goes once the image is ready.
+    initLazyLoading(scope) {
+        scope.root.querySelectorAll('img.blur-up:not(.loaded)').forEach(img => this.revealImage(img, scope));
+
+        const images = [...scope.root.querySelectorAll('img[data-src], img[data-srcset]')];
+        if (!images.length) return;
+        images.forEach(img => img.classList.add('lazy'));
+
+        if (ModernPortfolio.supportsNativeLazyLoading()) {
+            images.forEach(img => {
+                img.loading = 'lazy';
+                this.loadImage(img, scope);
+            });
+            return;
+        }
 
-    initLazyLoading() {
-        const images = document.querySelectorAll('img[data-src]');
         const imageObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.classList.remove('lazy');
-                    img.classList.add('loaded');
-                    imageObserver.unobserve(img);
+                    this.loadImage(entry.target, scope);
+                    imageObserver.unobserve(entry.target);
                 }
             });
         }, {
-            rootMargin: '50px'
+            rootMargin: '200px'
         });
 
-        images.forEach(img => {
-            img.classList.add('lazy');
-            imageObserver.observe(img);
-        });
+        images.forEach(img => imageObserver.observe(img));
+        scope.onCleanup(() => imageObserver.disconnect());
+    }
+
+    static supportsNativeLazyLoading() {
+        return typeof HTMLImageElement !== 'undefined' && 'loading' in HTMLImageElement.prototype;
+    }
+
+    // The <picture> sources first, so the browser picks from the final set
+    loadImage(img, scope) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
+            });
+        }
+
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+            img.removeAttribute('data-srcset');
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        }
+        this.revealImage(img, scope);
+    }
+
+    // Adds .loaded after the image has loaded and decoded; a broken image is
+    // shown too rather than left invisible
+    revealImage(img, scope) {
+        const reveal = () => {
+            img.classList.remove('lazy');
+            img.classList.add('loaded');
+        };
+        const decode = () => {
+            const decoded = typeof img.decode === 'function' ? img.decode() : Promise.resolve();
+            decoded.catch(() => {}).then(reveal);
+        };
+
+        if (img.complete && img.naturalWidth > 0) {
+            decode();
+            return;
+        }
+        scope.listen(img, 'load', decode, { once: true });
+        scope.listen(img, 'error', reveal, { once: true });
     }
 
-    preloadCriticalResources() {
+    preloadCriticalResources(scope) {
+        // The service worker already precaches every page
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) return;
+
         // Preload next page resources
         const criticalPages = ['about.html', 'research.html', 'contact.html'];
         
@@ -761,38 +1214,22 @@ class ModernPortfolio {
             link.rel = 'prefetch';
             link.href = page;
             document.head.appendChild(link);
+            scope.onCleanup(() => link.remove());
         });
     }
 
-    monitorPerformance() {
-        if (typeof window.performance === 'undefined') return;
-
-        window.addEventListener('load', () => {
-            // Monitor loading performance
-            const perfData = performance.getEntriesByType('navigation')[0];
-            const paintEntries = performance.getEntriesByType('paint');
-            
+    monitorPerformance(scope) {
+        const monitor = PerformanceMonitor.fromDocument(this);
+        if (!monitor.init()) return;
 
-            // Web Vitals monitoring (if available)
-            this.monitorWebVitals();
+        this.performanceMonitor = monitor;
+        scope.onCleanup(() => {
+            monitor.destroy();
+            this.performanceMonitor = null;
         });
     }
 
-    monitorWebVitals() {
-        // Monitor Core Web Vitals silently
-        if ('web-vitals' in window) {
-            const { getCLS, getFID, getFCP, getLCP, getTTFB } = webVitals;
-            const silentCallback = () => {};
-            
-            getCLS(silentCallback);
-            getFID(silentCallback);
-            getFCP(silentCallback);
-            getLCP(silentCallback);
-            getTTFB(silentCallback);
-        }
-    }
-
-    optimizeForLowEnd() {
+    optimizeForLowEnd(scope) {
         // Reduce animations on low-end devices
         const isLowEnd = navigator.hardwareConcurrency < 4 || 
                          navigator.deviceMemory < 2;
@@ -808,7 +1245,7 @@ class ModernPortfolio {
         }
         
         // Pause animations when tab is not visible
-        document.addEventListener('visibilitychange', () => {
+        scope.listen(document, 'visibilitychange', () => {
             if (document.hidden) {
                 document.body.style.animationPlayState = 'paused';
             } else {
@@ -817,37 +1254,181 @@ class ModernPortfolio {
         });
     }
 
-    // ===== ACCESSIBILITY =====
-    initAccessibility() {
-        // Announce page changes to screen readers
-        this.announcePageChange();
-        
-        // Skip link functionality
-        this.initSkipLinks();
-        
-        // Focus management
-        this.initFocusManagement();
-        
-        // ARIA live regions
-        this.initLiveRegions();
+    // ===== ERROR REPORTING =====
+    initErrorReporting(scope) {
+        const reporter = ErrorReporter.fromDocument(this);
+        reporter.init();
+        this.errorReporter = reporter;
+        scope.onCleanup(() => {
+            reporter.destroy();
+            this.errorReporter = null;
+        });
+    }
+
+    // ===== LANGUAGE =====
+    initI18n(scope) {
+        const i18n = new I18n(this);
+        this.i18n = i18n;
+        scope.onCleanup(() => {
+            i18n.destroy();
+            this.i18n = null;
+        });
+
+        i18n.init().catch(error => this.handleError(error, 'starting translations'));
+    }
+
+    // ===== STRUCTURED DATA =====
+    initStructuredData(scope) {
+        const structuredData = new StructuredData(this);
+        scope.onCleanup(() => structuredData.destroy());
+        structuredData.init();
+    }
+
+    // ===== PRIVACY =====
+    initConsent(scope) {
+        const categories = [];
+        if (Analytics.isConfigured()) categories.push('analytics');
+        if (PerformanceMonitor.isConfigured()) categories.push('performance');
+
+        const consent = new ConsentManager(this, categories);
+        consent.init();
+        this.consent = consent;
+        scope.onCleanup(() => {
+            consent.destroy();
+            this.consent = null;
+        });
+    }
+
+    // Optional categories stay off until the visitor has said yes
+    hasConsent(category) {
+        return !!this.consent && this.consent.has(category);
+    }
+
+    initAnalytics(scope) {
+        const analytics = Analytics.fromDocument(this);
+        if (!analytics.transport) return;
+
+        analytics.init();
+        this.analytics = analytics;
+        scope.onCleanup(() => {
+            analytics.destroy();
+            this.analytics = null;
+        });
+    }
+
+    // ===== OFFLINE & UPDATES =====
+    initServiceWorker(scope) {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        const container = navigator.serviceWorker;
+        let isActive = true;
+        let isReloading = false;
+        scope.onCleanup(() => {
+            isActive = false;
+        });
+
+        // The first worker also takes control of the page, so only reload
+        // for an update the visitor accepted
+        scope.listen(container, 'controllerchange', () => {
+            if (!this.isUpdating || isReloading) return;
+            isReloading = true;
+            window.location.reload();
+        });
+
+        container.register(ModernPortfolio.SERVICE_WORKER_URL).then(registration => {
+            if (!isActive) return;
+
+            // Without a controller this is the first install, not an update
+            const watch = (worker) => {
+                if (!worker) return;
+                scope.listen(worker, 'statechange', () => {
+                    if (worker.state === 'installed' && container.controller) {
+                        this.showUpdatePrompt(worker, scope);
+                    }
+                });
+            };
+
+            if (registration.waiting && container.controller) {
+                this.showUpdatePrompt(registration.waiting, scope);
+            }
+            watch(registration.installing);
+            scope.listen(registration, 'updatefound', () => watch(registration.installing));
+
+            const timer = setInterval(() => {
+                registration.update().catch(() => {});
+            }, ModernPortfolio.UPDATE_CHECK_INTERVAL);
+            scope.onCleanup(() => clearInterval(timer));
+        }).catch(error => {
+            this.handleError(error, 'registering service worker');
+        });
+    }
+
+    showUpdatePrompt(worker, scope) {
+        // A newer worker replaces the one an open prompt was offered for
+        this.waitingWorker = worker;
+        if (this.updatePrompt) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', 'Site update');
+        prompt.dataset.i18nAttr = 'aria-label:update.region';
+        prompt.innerHTML = `
+            <span class="update-prompt-text">
+                <i class="fas fa-sync-alt me-2" aria-hidden="true"></i><span data-i18n="update.available">A new version of this site is available.</span>
+            </span>
+            <button type="button" class="btn btn-primary btn-sm" data-update-reload data-i18n="update.reload">Reload</button>
+            <button type="button" class="update-prompt-dismiss" data-update-dismiss aria-label="Dismiss update notice" data-i18n-attr="aria-label:update.dismiss">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        `;
+        // Marked up in English like the layout, so a language switch relabels it too
+        I18n.translate(prompt);
+        document.body.appendChild(prompt);
+        requestAnimationFrame(() => prompt.classList.add('show'));
+
+        const close = () => {
+            prompt.remove();
+            this.updatePrompt = null;
+        };
+        this.updatePrompt = prompt;
+        scope.onCleanup(close);
+
+        scope.listen(prompt, 'click', (e) => {
+            const reload = e.target.closest('[data-update-reload]');
+            if (reload) {
+                // The worker activates, controllerchange fires and the page reloads
+                this.isUpdating = true;
+                reload.disabled = true;
+                reload.textContent = I18n.t('update.updating', 'Updating…');
+                this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            } else if (e.target.closest('[data-update-dismiss]')) {
+                close();
+            }
+        });
+
+        this.announce(I18n.t('update.announcement', 'A new version of this site is available. Use the Reload button to update.'));
+        this.emit('update:available', { worker });
     }
 
+    // ===== ACCESSIBILITY =====
     announcePageChange() {
         const announcement = document.createElement('div');
         announcement.setAttribute('aria-live', 'polite');
         announcement.setAttribute('aria-atomic', 'true');
         announcement.style.position = 'absolute';
         announcement.style.left = '-10000px';
-        announcement.textContent = `${document.title} page loaded`;
+        announcement.textContent = I18n.t('a11y.pageLoaded', '{title} page loaded', { title: document.title });
         document.body.appendChild(announcement);
         
         setTimeout(() => announcement.remove(), 1000);
     }
 
-    initSkipLinks() {
+    initSkipLinks(scope) {
         const skipLink = document.createElement('a');
         skipLink.href = '#main-content';
-        skipLink.textContent = 'Skip to main content';
+        skipLink.textContent = I18n.t('a11y.skipLink', 'Skip to main content');
+        skipLink.dataset.i18n = 'a11y.skipLink';
         skipLink.className = 'skip-link sr-only';
         skipLink.style.cssText = `
             position: absolute;
@@ -861,20 +1442,21 @@ class ModernPortfolio {
             z-index: 10000;
         `;
         
-        skipLink.addEventListener('focus', () => {
+        scope.listen(skipLink, 'focus', () => {
             skipLink.style.top = '6px';
         });
         
-        skipLink.addEventListener('blur', () => {
+        scope.listen(skipLink, 'blur', () => {
             skipLink.style.top = '-40px';
         });
         
         document.body.insertBefore(skipLink, document.body.firstChild);
+        scope.onCleanup(() => skipLink.remove());
     }
 
-    initFocusManagement() {
+    initFocusManagement(scope) {
         // Trap focus in modals
-        document.addEventListener('keydown', (e) => {
+        scope.listen(document, 'keydown', (e) => {
             if (e.key === 'Tab') {
                 const modal = document.querySelector('.modal.show');
                 if (modal) {
@@ -885,23 +1467,27 @@ class ModernPortfolio {
     }
 
     trapFocus(e, container) {
-        const focusableElements = container.querySelectorAll(
-            'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
-        );
-        
+        const focusableElements = Accessibility.getFocusable(container);
+        if (!focusableElements.length) {
+            e.preventDefault();
+            container.focus();
+            return;
+        }
+
         const firstElement = focusableElements[0];
         const lastElement = focusableElements[focusableElements.length - 1];
-        
-        if (e.shiftKey && document.activeElement === firstElement) {
+        const isOutside = !container.contains(document.activeElement);
+
+        if (e.shiftKey && (isOutside || document.activeElement === firstElement)) {
             e.preventDefault();
             lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
+        } else if (!e.shiftKey && (isOutside || document.activeElement === lastElement)) {
             e.preventDefault();
             firstElement.focus();
         }
     }
 
-    initLiveRegions() {
+    initLiveRegions(scope) {
         // Create live region for dynamic content announcements
         const liveRegion = document.createElement('div');
         liveRegion.setAttribute('aria-live', 'polite');
@@ -915,6 +1501,34 @@ class ModernPortfolio {
             overflow: hidden;
         `;
         document.body.appendChild(liveRegion);
+        scope.onCleanup(() => liveRegion.remove());
+    }
+
+    // Effects read Accessibility.prefersReducedMotion() when they run; ones
+    // already running (autoplay) listen for motion:change
+    initReducedMotion(scope) {
+        if (!window.matchMedia) return;
+
+        const motionQuery = window.matchMedia(Accessibility.REDUCED_MOTION_QUERY);
+        const handleMotionChange = () => this.emit('motion:change', { reduced: Accessibility.prefersReducedMotion() });
+        if (motionQuery.addEventListener) {
+            scope.listen(motionQuery, 'change', handleMotionChange);
+        } else if (motionQuery.addListener) {
+            motionQuery.addListener(handleMotionChange);
+            scope.onCleanup(() => motionQuery.removeListener(handleMotionChange));
+        }
+    }
+
+    initAccessibilityChecker(scope) {
+        if (!ErrorReporter.isDevMode()) return;
+
+        const checker = new AccessibilityChecker(this);
+        checker.init();
+        this.accessibilityChecker = checker;
+        scope.onCleanup(() => {
+            checker.destroy();
+            this.accessibilityChecker = null;
+        });
     }
 
     announce(message) {
@@ -950,244 +1564,6721 @@ class ModernPortfolio {
         };
     }
 
-    // ===== NEWS SLIDER =====
-    initNewsSlider() {
-        const slider = document.getElementById('newsSlider');
-        if (!slider) return;
+    async copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
 
-        const slides = slider.querySelectorAll('.news-slide');
-        const prevBtn = document.getElementById('newsPrev');
-        const nextBtn = document.getElementById('newsNext');
-        const dotsContainer = document.getElementById('sliderDots');
+        // Fallback for file:// and older browsers
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.cssText = 'position: absolute; left: -10000px;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (!copied) {
+            throw new Error('Clipboard is not available');
+        }
+    }
 
-        if (!slides.length) return;
+    // Shareable page state lives in the query string, e.g. ?type=journal&q=federated
+    readUrlState() {
+        return Object.fromEntries(new URLSearchParams(window.location.search));
+    }
 
-        let currentIndex = 0;
-        let slidesToShow = 3;
-        let autoplayInterval = null;
-        const autoplayDelay = 5000;
+    writeUrlState(state, { push = false } = {}) {
+        const params = new URLSearchParams(window.location.search);
 
-        // Calculate slides to show based on screen size
-        const updateSlidesToShow = () => {
-            if (window.innerWidth <= 768) {
-                slidesToShow = 1;
-            } else if (window.innerWidth <= 991) {
-                slidesToShow = 2;
+        Object.entries(state).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') {
+                params.delete(key);
             } else {
-                slidesToShow = 3;
+                params.set(key, value);
             }
-        };
-
-        // Calculate total pages
-        const getTotalPages = () => {
-            return Math.max(1, slides.length - slidesToShow + 1);
-        };
+        });
 
-        // Create dots
-        const createDots = () => {
-            dotsContainer.innerHTML = '';
-            const totalPages = getTotalPages();
-
-            for (let i = 0; i < totalPages; i++) {
-                const dot = document.createElement('button');
-                dot.className = 'slider-dot';
-                dot.setAttribute('type', 'button');
-                dot.setAttribute('aria-label', `Go to slide ${i + 1}`);
-                if (i === currentIndex) dot.classList.add('active');
-
-                dot.addEventListener('click', () => {
-                    goToSlide(i);
-                    resetAutoplay();
-                });
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === currentUrl) return;
 
-                dotsContainer.appendChild(dot);
-            }
-        };
+        if (push) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
 
-        // Update slider position
-        const updateSlider = () => {
-            const slideWidth = slides[0].offsetWidth;
-            const gap = parseFloat(getComputedStyle(slider).gap) || 0;
-            const offset = currentIndex * (slideWidth + gap);
+    downloadFile(fileName, content, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
-            slider.style.transform = `translateX(-${offset}px)`;
+    // ===== NEWS =====
+    initNews(scope) {
+        scope.root.querySelectorAll('[data-module~="news"]').forEach(container => {
+            const news = new NewsList(container, this);
+            scope.onCleanup(() => news.destroy());
+            news.load().catch(error => {
+                this.handleError(error, 'loading news');
+                news.renderError();
+            });
+        });
+    }
+
+    // ===== CAROUSELS =====
+    initCarousels(scope) {
+        scope.root.querySelectorAll('[data-module~="carousel"]').forEach(element => {
+            const carousel = Carousel.fromElement(element);
+            if (carousel.init()) {
+                scope.onCleanup(() => carousel.destroy());
+                scope.onCleanup(this.on('language:change', () => carousel.relabel()));
+                scope.onCleanup(this.on('motion:change', ({ reduced }) => {
+                    if (reduced) carousel.pause();
+                }));
+            }
+        });
+    }
+
+    // ===== PUBLICATIONS =====
+    initPublications(scope) {
+        const container = scope.root.querySelector('[data-module~="publications"][data-publications-src]');
+        if (!container) return;
+
+        const publications = new PublicationList(container, this);
+        this.publications = publications;
+        scope.onCleanup(() => {
+            publications.destroy();
+            this.publications = null;
+        });
+        publications.load().catch(error => {
+            this.handleError(error, 'loading publications');
+            publications.renderError();
+        });
+    }
+
+    // ===== CO-AUTHOR NETWORK =====
+    initCoauthorNetwork(scope) {
+        scope.root.querySelectorAll('[data-module~="coauthor-network"]').forEach(container => {
+            const network = new CoauthorNetwork(container, this);
+            scope.onCleanup(() => network.destroy());
+            network.load().catch(error => {
+                this.handleError(error, 'loading the co-author network');
+                network.renderError();
+            });
+        });
+    }
+
+    // ===== PUBLICATION STATISTICS =====
+    initPublicationStats(scope) {
+        scope.root.querySelectorAll('[data-module~="publication-stats"]').forEach(container => {
+            const stats = new PublicationStats(container, this);
+            scope.onCleanup(() => stats.destroy());
+            stats.load().catch(error => {
+                this.handleError(error, 'computing publication statistics');
+                stats.renderError();
+            });
+        });
+    }
+
+    // ===== PROJECT FILTERS =====
+    initProjectFilters(scope) {
+        const grid = document.getElementById('projectsGrid');
+        if (!grid) return;
+
+        const filterTabs = document.querySelectorAll('.filter-tab');
+        const projectColumns = grid.querySelectorAll(':scope > div[class*="col-"]');
+        const filters = [...filterTabs].map(tab => tab.dataset.filter);
+
+        const applyFilter = (filter) => {
+            filterTabs.forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.filter === filter);
+            });
+
+            projectColumns.forEach(col => {
+                if (filter === 'all' || col.classList.contains(filter)) {
+                    col.style.display = 'block';
+                    col.style.animation = 'fadeIn 0.5s ease-in-out';
+                } else {
+                    col.style.display = 'none';
+                }
+            });
+        };
+
+        const restoreFilter = () => {
+            const { category } = this.readUrlState();
+            applyFilter(filters.includes(category) ? category : 'all');
+        };
+
+        filterTabs.forEach(tab => {
+            scope.listen(tab, 'click', () => {
+                const filter = tab.dataset.filter;
+                applyFilter(filter);
+                this.writeUrlState({ category: filter === 'all' ? null : filter }, { push: true });
+                this.emit('filter:change', { list: 'projects', filter });
+            });
+        });
+
+        scope.listen(window, 'popstate', restoreFilter);
+        restoreFilter();
+    }
+
+    // ===== CONTACT FORM =====
+    initContactForm(scope) {
+        const form = scope.root.querySelector('#contactForm');
+        if (!form) return;
+
+        const contactForm = new ContactForm(form, this);
+        this.contactForm = contactForm;
+        contactForm.init();
+        scope.onCleanup(() => {
+            contactForm.destroy();
+            this.contactForm = null;
+        });
+    }
+
+    // ===== ERROR HANDLING =====
+    handleError(error, context = '', details = {}) {
+        console.error(`Portfolio Error ${context}:`, error);
+
+        ErrorReporter.capture(error, Object.assign({ context }, details));
+
+        // Reported only with analytics consent, through the configured transport
+        if (this.analytics) {
+            this.analytics.track('exception', { message: error.message, context });
+        }
+    }
+}
+
+// ===== MODULE SCOPE =====
+// Tracks what a module attaches so destroying the module undoes all of it
+class ModuleScope {
+    constructor(name, root = document, onError = null) {
+        this.name = name;
+        this.root = root;
+        this.onError = onError;
+        this.cleanups = [];
+    }
+
+    listen(target, type, handler, options) {
+        const guarded = this.guard(handler);
+        target.addEventListener(type, guarded, options);
+        this.onCleanup(() => target.removeEventListener(type, guarded, options));
+    }
+
+    // A throwing handler is reported against its module instead of
+    // surfacing as an anonymous global error
+    guard(callback) {
+        const { onError } = this;
+        if (!onError) return callback;
+
+        return function guarded(...args) {
+            try {
+                return callback.apply(this, args);
+            } catch (error) {
+                onError(error);
+            }
+        };
+    }
+
+    onCleanup(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+
+    dispose() {
+        this.cleanups.splice(0).reverse().forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`Portfolio Error disposing module "${this.name}":`, error);
+            }
+        });
+    }
+}
+
+// ===== PUBLICATION LIST =====
+// Renders publications.html from a single BibTeX (or JSON) source so the
+// year sections, filter-tab counts and summary never drift out of sync.
+class PublicationList {
+    static TYPES = {
+        journal: { label: 'Journal', icon: 'fas fa-journal-whills', badge: '', singular: 'Journal Article', plural: 'Journal Articles' },
+        conference: { label: 'Conference', icon: 'fas fa-users', badge: '', singular: 'Conference Paper', plural: 'Conference Papers' },
+        chapter: { label: 'Book Chapter', icon: 'fas fa-book', badge: 'chapter-type', singular: 'Book Chapter', plural: 'Book Chapters' },
+        thesis: { label: 'PhD Thesis', icon: 'fas fa-graduation-cap', badge: 'thesis-type', singular: 'PhD Thesis', plural: 'PhD Theses' },
+        other: { label: 'Publication', icon: 'fas fa-file-alt', badge: '', singular: 'Other Publication', plural: 'Other Publications' }
+    };
+
+    // BibTeX entry types mapped onto the filter-tab categories
+    static ENTRY_TYPES = {
+        article: 'journal',
+        inproceedings: 'conference',
+        conference: 'conference',
+        incollection: 'chapter',
+        inbook: 'chapter',
+        phdthesis: 'thesis',
+        mastersthesis: 'thesis'
+    };
+
+    // Own keys only: type names come from URLs and data files, and `in` would
+    // also accept "toString" or "constructor"
+    static isType(type) {
+        return Object.prototype.hasOwnProperty.call(PublicationList.TYPES, type);
+    }
+
+    // Shared with the co-author network so the page fetches the data once
+    static requests = new Map();
+
+    static fetchEntries(src) {
+        if (!PublicationList.requests.has(src)) {
+            const request = fetch(src).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${src} (HTTP ${response.status})`);
+                }
+                return response.text();
+            }).then(source => {
+                const records = /\.json$/i.test(src)
+                    ? JSON.parse(source)
+                    : PublicationList.parseBibTeX(source);
+
+                return records
+                    .map((record, index) => PublicationList.normalizeEntry(record, index))
+                    .filter(entry => entry.title);
+            });
+
+            request.catch(() => PublicationList.requests.delete(src));
+            PublicationList.requests.set(src, request);
+        }
+
+        return PublicationList.requests.get(src);
+    }
+
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.src = container.dataset.publicationsSrc;
+        this.highlightAuthor = PublicationList.normalizeName(container.dataset.highlightAuthor || '');
+        this.searchInput = document.getElementById('publicationSearch');
+        this.sortSelect = document.getElementById('publicationSort');
+        this.filterTabs = document.querySelectorAll('.filter-tab');
+        this.summary = document.getElementById('publicationSummary');
+        this.authorFilter = document.getElementById('publicationAuthorFilter');
+        this.entries = [];
+        this.authors = new Map();
+        this.activeFilter = 'all';
+        this.activeAuthor = null;
+        this.sortOrder = 'newest';
+        this.searchTerm = '';
+        this.searchIndex = null;
+        this.searchResults = null;
+        this.renderedLayout = null;
+        this.citationPanel = null;
+        this.isDestroyed = false;
+        this.scope = new ModuleScope('publication-list', container);
+        this.handlePopState = () => {
+            this.restoreState();
+            this.render();
+            this.applyFilters();
+            this.announceResults();
+        };
+    }
+
+    async load() {
+        const entries = await PublicationList.fetchEntries(this.src);
+        // The router navigated away while the data was loading
+        if (this.isDestroyed) return;
+
+        this.entries = entries;
+        this.authors = PublicationList.indexAuthors(entries);
+        this.searchIndex = new PublicationSearch(this.entries);
+        this.restoreState();
+        this.render();
+        this.applyFilters();
+        this.bindControls();
+        this.scope.onCleanup(this.app.on('language:change', () => this.updateCounts()));
+
+        // Deep links such as publications.html#pub-<key> resolve once rendered
+        this.app.scrollToHash();
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.scope.dispose();
+        if (this.citationPanel) {
+            this.citationPanel.destroy();
+            this.citationPanel = null;
+        }
+    }
+
+    // ===== PARSING =====
+    static parseBibTeX(source) {
+        const entries = [];
+        const headerPattern = /@(\w+)\s*\{/g;
+        let match;
+
+        while ((match = headerPattern.exec(source)) !== null) {
+            const entryType = match[1].toLowerCase();
+            let pos = headerPattern.lastIndex;
+
+            if (['comment', 'preamble', 'string'].includes(entryType)) {
+                headerPattern.lastIndex = PublicationList.readBraced(source, pos - 1).end;
+                continue;
+            }
+
+            const keyEnd = source.indexOf(',', pos);
+            if (keyEnd === -1) break;
+
+            const key = source.slice(pos, keyEnd).trim();
+            const fields = {};
+            pos = keyEnd + 1;
+
+            while (pos < source.length) {
+                while (/[\s,]/.test(source[pos])) pos++;
+                if (source[pos] === '}' || pos >= source.length) {
+                    pos++;
+                    break;
+                }
+
+                const field = /^([\w-]+)\s*=\s*/.exec(source.slice(pos));
+                if (!field) break;
+                pos += field[0].length;
+
+                let value;
+                if (source[pos] === '{') {
+                    const braced = PublicationList.readBraced(source, pos);
+                    value = braced.value;
+                    pos = braced.end;
+                } else if (source[pos] === '"') {
+                    // An unclosed quote ends the entry; the rest is searched for headers
+                    const end = source.indexOf('"', pos + 1);
+                    if (end === -1) break;
+                    value = source.slice(pos + 1, end);
+                    pos = end + 1;
+                } else {
+                    value = /^[^,}\s]*/.exec(source.slice(pos))[0];
+                    pos += value.length;
+                }
+
+                fields[field[1].toLowerCase()] = PublicationList.cleanValue(value);
+            }
+
+            entries.push({ key, entryType, fields });
+            // Always move on, so malformed input can't restart an earlier entry
+            headerPattern.lastIndex = Math.max(pos, match.index + 1);
+        }
+
+        return entries;
+    }
+
+    static readBraced(source, start) {
+        let depth = 0;
+        for (let i = start; i < source.length; i++) {
+            if (source[i] === '{') depth++;
+            if (source[i] === '}') depth--;
+            if (depth === 0) {
+                return { value: source.slice(start + 1, i), end: i + 1 };
+            }
+        }
+        return { value: source.slice(start + 1), end: source.length };
+    }
+
+    static cleanValue(value) {
+        return value
+            .replace(/\\([&%$#_])/g, '$1')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static normalizeEntry(record, index) {
+        // JSON sources already use the normalized shape
+        if (!record.fields) {
+            const authors = Array.isArray(record.authors)
+                ? record.authors
+                : PublicationList.splitAuthors(record.authors || '');
+
+            return {
+                id: record.id || `publication-${index + 1}`,
+                type: PublicationList.isType(record.type) ? record.type : 'other',
+                title: record.title || '',
+                authors,
+                venue: record.venue || '',
+                year: String(record.year || ''),
+                doi: record.doi || '',
+                url: record.url || '',
+                fields: record
+            };
+        }
+
+        const fields = record.fields;
+        return {
+            id: record.key,
+            type: Object.prototype.hasOwnProperty.call(PublicationList.ENTRY_TYPES, record.entryType)
+                ? PublicationList.ENTRY_TYPES[record.entryType]
+                : 'other',
+            bibType: record.entryType,
+            title: fields.title || '',
+            authors: PublicationList.splitAuthors(fields.author || ''),
+            venue: fields.journal || fields.booktitle || fields.school || fields.howpublished || fields.publisher || '',
+            year: fields.year || '',
+            doi: fields.doi || '',
+            url: fields.url || '',
+            fields
+        };
+    }
+
+    static splitAuthors(authors) {
+        return authors
+            .split(/\s+and\s+/)
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    static normalizeName(name) {
+        return name.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // ===== AUTHORS =====
+    // "Agouti, T.", "Agouti T.", "T. Agouti" and "Tarik Agouti" all parse to
+    // family "Agouti" and given "T..." and share the key "agouti-t"
+    static parseName(name) {
+        const clean = name.replace(/\s+/g, ' ').trim();
+        const isInitials = part => /^(\p{Lu}\.?-?)+$/u.test(part);
+        let given = '';
+        let family = clean;
+
+        if (clean.includes(',')) {
+            [family, given] = clean.split(/,(.*)/).map(part => part.trim());
+        } else {
+            const parts = clean.split(' ');
+            const initialsAt = parts.findIndex(isInitials);
+
+            if (initialsAt > 0 && parts.slice(initialsAt).every(isInitials)) {
+                // "Agouti T.", "El Mazouri FZ."
+                family = parts.slice(0, initialsAt).join(' ');
+                given = parts.slice(initialsAt).join(' ');
+            } else if (parts.length > 1) {
+                family = parts.pop();
+                given = parts.join(' ');
+            }
+        }
+
+        const initial = PublicationSearch.fold(given).replace(/[^a-z]/g, '').charAt(0);
+        return {
+            name: clean,
+            given,
+            family,
+            // A written-out first name, not just initials
+            isFull: given.split(/[\s.-]+/).some(part => part.length > 1),
+            key: [ModernPortfolio.slugify(family), initial].filter(Boolean).join('-')
+        };
+    }
+
+    static authorKey(name) {
+        return PublicationList.parseName(name).key;
+    }
+
+    // Groups name variants into authors, sets entry.authorKeys and returns a
+    // Map of key -> { key, name, variants, entries } (name is the fullest variant)
+    static indexAuthors(entries) {
+        const parsed = new Map();
+        entries.forEach(entry => entry.authors.forEach(name => {
+            if (!parsed.has(name)) parsed.set(name, PublicationList.parseName(name));
+        }));
+
+        const fullNames = [...parsed.values()].filter(author => author.isFull);
+        const fullKeys = new Set(fullNames.map(author => author.key));
+
+        // Initial-first names are sometimes written the wrong way round,
+        // e.g. "A. Tarik" for Tarik Agouti
+        const resolve = (author) => {
+            if (author.isFull || fullKeys.has(author.key)) return author.key;
+
+            const family = PublicationSearch.fold(author.family);
+            const initial = author.key.split('-').pop();
+            const swapped = fullNames.find(full => PublicationSearch.fold(full.given.split(' ')[0]) === family &&
+                ModernPortfolio.slugify(full.family).charAt(0) === initial);
+            return swapped ? swapped.key : author.key;
+        };
+
+        const authors = new Map();
+        entries.forEach(entry => {
+            entry.authorKeys = [];
+            entry.authors.forEach(name => {
+                const author = parsed.get(name);
+                const key = resolve(author);
+                if (!authors.has(key)) {
+                    authors.set(key, { key, name: '', given: '', variants: new Set(), entries: [] });
+                }
+
+                const record = authors.get(key);
+                record.variants.add(name);
+                if (!entry.authorKeys.includes(key)) {
+                    entry.authorKeys.push(key);
+                    record.entries.push(entry);
+                }
+
+                // Display the variant with the most complete first name
+                if (author.key === key && (!record.name || author.given.length > record.given.length)) {
+                    record.name = author.given ? `${author.given} ${author.family}` : author.family;
+                    record.given = author.given;
+                }
+            });
+        });
+
+        authors.forEach(record => {
+            if (!record.name) record.name = [...record.variants][0];
+            delete record.given;
+        });
+        return authors;
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ===== RENDERING =====
+    // Relevance only applies while searching; otherwise fall back to newest first
+    getLayout() {
+        if (this.sortOrder === 'relevance') {
+            return this.searchResults ? 'relevance' : 'newest';
+        }
+        return this.sortOrder;
+    }
+
+    getGroups(layout) {
+        if (layout === 'relevance') {
+            return [['Best matches', this.entries]];
+        }
+        return PublicationList.groupByYear(this.entries, layout);
+    }
+
+    // [year, entries] pairs, newest year first unless layout is "oldest"
+    static groupByYear(entries, layout = 'newest') {
+        const byYear = new Map();
+        entries.forEach(entry => {
+            const year = entry.year || 'Undated';
+            if (!byYear.has(year)) byYear.set(year, []);
+            byYear.get(year).push(entry);
+        });
+
+        const direction = layout === 'oldest' ? -1 : 1;
+        return [...byYear.entries()]
+            .sort(([a], [b]) => direction * ((parseInt(b) || 0) - (parseInt(a) || 0)))
+            .map(([year, items]) => [year, layout === 'oldest' ? [...items].reverse() : items]);
+    }
+
+    render() {
+        const layout = this.getLayout();
+        this.renderedLayout = layout;
+
+        this.container.innerHTML = PublicationList.renderGroups(this.getGroups(layout), this.highlightAuthor);
+
+        this.updateCounts();
+
+        // Newly rendered [data-aos] nodes stay hidden until AOS rescans the page
+        if (typeof AOS !== 'undefined') {
+            AOS.refreshHard();
+        }
+        this.app.emit('content:change', { source: 'publications', root: this.container });
+    }
+
+    // The list markup is static so scripts/build-site.js can pre-render it
+    static renderGroups(groups, highlightAuthor = '') {
+        return groups.map(([heading, entries]) => `
+            <div class="year-section" data-year="${PublicationList.escapeHtml(heading)}" data-aos="fade-up">
+                <h3 class="year-title">${PublicationList.escapeHtml(heading)}</h3>
+                <div class="publications-list">
+                    ${entries.map((entry, index) => PublicationList.renderItem(entry, index, highlightAuthor)).join('')}
+                </div>
+            </div>
+        `).join('') + `
+            <p class="text-center text-muted publications-status publications-empty" hidden>
+                No publications match your search.
+            </p>
+        `;
+    }
+
+    static renderItem(entry, index, highlightAuthor = '') {
+        const escape = PublicationList.escapeHtml;
+        const type = PublicationList.TYPES[entry.type];
+        const href = entry.url || (entry.doi ? `https://doi.org/${entry.doi}` : '');
+        const badgeClass = type.badge ? `pub-type ${type.badge}` : 'pub-type';
+        const link = href
+            ? `<a href="${escape(href)}" target="_blank" rel="noopener" class="pub-link" title="View Paper"><i class="fas fa-external-link-alt"></i></a>`
+            : '';
+
+        return `
+            <div class="publication-item ${entry.type}" id="pub-${escape(entry.id)}" data-pub-id="${escape(entry.id)}" data-aos="fade-up" data-aos-delay="${Math.min(index + 1, 8) * 50}">
+                <div class="pub-header">
+                    <span class="${badgeClass}"><i class="${type.icon}"></i> ${type.label}</span>
+                    <div class="pub-actions">
+                        <button type="button" class="pub-cite" data-cite="${escape(entry.id)}" aria-label="Cite: ${escape(entry.title)}">
+                            <i class="fas fa-quote-right"></i> Cite
+                        </button>
+                        ${link}
+                    </div>
+                </div>
+                <h4 class="pub-title">${escape(entry.title)}</h4>
+                <p class="pub-authors">${PublicationList.formatAuthors(entry.authors, highlightAuthor)}</p>
+                <p class="pub-venue">${escape(entry.venue)}</p>
+            </div>
+        `;
+    }
+
+    // highlightAuthor is a normalizeName()d name, shown in bold
+    static formatAuthors(authors, highlightAuthor, highlightTokens = null) {
+        return authors.map(name => {
+            const escaped = highlightTokens
+                ? PublicationSearch.highlight(name, highlightTokens)
+                : PublicationList.escapeHtml(name);
+            return PublicationList.normalizeName(name) === highlightAuthor
+                ? `<strong>${escaped}</strong>`
+                : escaped;
+        }).join(', ');
+    }
+
+    renderError() {
+        this.container.innerHTML = `
+            <p class="text-center text-muted publications-status">
+                The publication list could not be loaded. Please see the Google Scholar profile below.
+            </p>
+        `;
+    }
+
+    getCounts() {
+        const counts = { all: this.entries.length };
+        this.entries.forEach(entry => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+        });
+        return counts;
+    }
+
+    updateCounts() {
+        const counts = this.getCounts();
+
+        this.filterTabs.forEach(tab => {
+            const count = counts[tab.dataset.filter] || 0;
+            const countLabel = tab.querySelector('.filter-count');
+            if (countLabel) {
+                countLabel.textContent = `(${count})`;
+            }
+            tab.hidden = tab.dataset.filter !== 'all' && count === 0;
+        });
+
+        if (this.summary) {
+            const breakdown = Object.keys(PublicationList.TYPES)
+                .filter(type => counts[type])
+                .map(type => {
+                    const { singular, plural } = PublicationList.TYPES[type];
+                    return I18n.t(`publications.count.${type}`, {
+                        one: `{count} ${singular}`,
+                        other: `{count} ${plural}`
+                    }, { count: counts[type] });
+                });
+            // The whole bibliography, whatever the filters show
+            this.summary.textContent = I18n.t('publications.summary', {
+                one: '{count} publication in total ({breakdown})',
+                other: '{count} publications in total ({breakdown})'
+            }, { count: counts.all, breakdown: breakdown.join(', ') });
+        }
+    }
+
+    // ===== SEARCH & FILTER =====
+    bindControls() {
+        if (this.searchInput) {
+            const runSearch = this.app.debounce(() => {
+                if (this.isDestroyed) return;
+                this.setSearch(this.searchInput.value);
+                this.syncUrl();
+                this.announceResults();
+                if (this.searchTerm) {
+                    this.app.emit('search', { source: 'publications', query: this.searchTerm, results: this.visibleCount });
+                }
+            }, 150);
+
+            this.scope.listen(this.searchInput, 'input', runSearch);
+        }
+
+        this.filterTabs.forEach(tab => {
+            this.scope.listen(tab, 'click', () => {
+                this.setFilter(tab.dataset.filter);
+                this.applyFilters();
+                this.syncUrl({ push: true });
+                this.announceResults();
+                this.app.emit('filter:change', { list: 'publications', filter: this.activeFilter });
+            });
+        });
+
+        if (this.sortSelect) {
+            this.scope.listen(this.sortSelect, 'change', () => {
+                this.setSort(this.sortSelect.value);
+                this.syncUrl({ push: true });
+            });
+        }
+
+        if (this.authorFilter) {
+            this.scope.listen(this.authorFilter, 'click', (e) => {
+                if (e.target.closest('[data-clear-author]')) {
+                    this.selectAuthor(null);
+                }
+            });
+        }
+
+        this.scope.listen(window, 'popstate', this.handlePopState);
+
+        this.scope.listen(this.container, 'click', (e) => {
+            const citeButton = e.target.closest('.pub-cite');
+            if (!citeButton) return;
+
+            const entry = this.entries.find(item => item.id === citeButton.dataset.cite);
+            if (entry) {
+                this.openCitation(entry, citeButton);
+            }
+        });
+
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            this.scope.listen(button, 'click', () => {
+                this.exportFiltered(button.dataset.exportFormat);
+            });
+        });
+    }
+
+    // ===== CITATIONS =====
+    openCitation(entry, trigger) {
+        if (!this.citationPanel) {
+            this.citationPanel = new CitationPanel(this.app);
+        }
+        this.citationPanel.open(entry, trigger);
+    }
+
+    getFilteredEntries() {
+        return this.entries.filter(entry => this.matches(entry));
+    }
+
+    exportFiltered(format) {
+        const entries = this.getFilteredEntries();
+        const exporter = Citation.FORMATS[format];
+
+        if (!exporter || !exporter.extension || !entries.length) {
+            this.app.announce('No publications to export');
+            return;
+        }
+
+        const content = entries.map(entry => exporter.format(entry)).join('\n\n');
+        const fileName = `publications-${this.activeFilter}.${exporter.extension}`;
+        this.app.downloadFile(fileName, `${content}\n`, exporter.mimeType);
+        this.app.announce(`Exported ${entries.length} publications as ${exporter.label}`);
+    }
+
+    // ===== URL STATE =====
+    restoreState() {
+        const { type, q, sort, author } = this.app.readUrlState();
+
+        this.setFilter(PublicationList.isType(type) ? type : 'all');
+        this.setAuthor(this.authors.has(author) ? author : null);
+        this.sortOrder = ['oldest', 'relevance'].includes(sort) ? sort : 'newest';
+        if (this.sortSelect) {
+            this.sortSelect.value = this.sortOrder;
+        }
+
+        const query = q || '';
+        if (this.searchInput) {
+            this.searchInput.value = query;
+        }
+        this.searchTerm = query.trim();
+        this.searchResults = this.searchTerm ? this.searchIndex.search(this.searchTerm) : null;
+    }
+
+    syncUrl({ push = false } = {}) {
+        this.app.writeUrlState({
+            type: this.activeFilter === 'all' ? null : this.activeFilter,
+            q: this.searchTerm || null,
+            sort: this.sortOrder === 'newest' ? null : this.sortOrder,
+            author: this.activeAuthor
+        }, { push });
+    }
+
+    // Limits the list to papers co-authored with one collaborator (a key from
+    // this.authors); the co-author network calls this when a node is clicked
+    selectAuthor(key) {
+        this.setAuthor(this.authors.has(key) ? key : null);
+        this.applyFilters();
+        this.syncUrl({ push: true });
+        this.announceResults();
+        this.app.emit('filter:change', { list: 'publications', filter: this.activeAuthor ? `author:${this.activeAuthor}` : 'author:all' });
+    }
+
+    setAuthor(key) {
+        this.activeAuthor = key;
+        if (!this.authorFilter) return;
+
+        const author = key && this.authors.get(key);
+        this.authorFilter.hidden = !author;
+        this.authorFilter.innerHTML = author ? `
+            <span>${I18n.t('network.filteredBy', 'Co-authored with')} <strong>${PublicationList.escapeHtml(author.name)}</strong></span>
+            <button type="button" class="author-filter-clear" data-clear-author aria-label="${I18n.t('network.clearFilter', 'Show all collaborators')}">
+                <i class="fas fa-times" aria-hidden="true"></i>
+            </button>
+        ` : '';
+    }
+
+    setFilter(filter) {
+        this.activeFilter = filter;
+        this.filterTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.filter === filter);
+        });
+    }
+
+    setSort(sortOrder) {
+        this.sortOrder = sortOrder;
+        this.render();
+        this.applyFilters();
+    }
+
+    setSearch(query) {
+        this.searchTerm = query.trim();
+        this.searchResults = this.searchTerm ? this.searchIndex.search(this.searchTerm) : null;
+
+        if (this.getLayout() !== this.renderedLayout) {
+            this.render();
+        }
+        this.applyFilters();
+    }
+
+    matches(entry) {
+        if (this.activeFilter !== 'all' && entry.type !== this.activeFilter) {
+            return false;
+        }
+        if (this.activeAuthor && !entry.authorKeys.includes(this.activeAuthor)) {
+            return false;
+        }
+        return !this.searchResults || this.searchResults.matches.has(entry.id);
+    }
+
+    applyFilters() {
+        const entriesById = new Map(this.entries.map(entry => [entry.id, entry]));
+        const highlightTokens = this.searchResults ? this.searchResults.highlightTokens : null;
+        const visibleSections = new Set();
+        this.visibleCount = 0;
+
+        this.container.querySelectorAll('.publication-item').forEach(item => {
+            const entry = entriesById.get(item.dataset.pubId);
+            const visible = Boolean(entry) && this.matches(entry);
+            item.style.display = visible ? '' : 'none';
+            if (!entry) return;
+
+            // Best matches first within each year (.publications-list is a flex column)
+            const match = this.searchResults && this.searchResults.matches.get(entry.id);
+            item.style.order = match ? String(match.rank) : '';
+
+            item.querySelector('.pub-title').innerHTML = highlightTokens
+                ? PublicationSearch.highlight(entry.title, highlightTokens)
+                : PublicationList.escapeHtml(entry.title);
+            item.querySelector('.pub-authors').innerHTML = PublicationList.formatAuthors(entry.authors, this.highlightAuthor, highlightTokens);
+
+            if (visible) {
+                this.visibleCount++;
+                visibleSections.add(item.closest('.year-section'));
+            }
+        });
+
+        this.container.querySelectorAll('.year-section').forEach(section => {
+            section.hidden = !visibleSections.has(section);
+        });
+
+        const emptyState = this.container.querySelector('.publications-empty');
+        if (emptyState) {
+            emptyState.hidden = this.visibleCount > 0;
+        }
+    }
+
+    announceResults() {
+        const count = this.visibleCount;
+        this.app.announce(`${count} ${count === 1 ? 'result' : 'results'}`);
+    }
+}
+
+// ===== PUBLICATION SEARCH =====
+// Client-side search index: tokenization, light stemming, typo tolerance,
+// weighted ranking and field qualifiers (author:, title:, venue:, year:, type:).
+class PublicationSearch {
+    static FIELD_WEIGHTS = { title: 3, authors: 2, venue: 1 };
+
+    static QUALIFIERS = {
+        author: 'authors',
+        authors: 'authors',
+        title: 'title',
+        venue: 'venue'
+    };
+
+    static TYPE_ALIASES = {
+        journal: 'journal',
+        article: 'journal',
+        conference: 'conference',
+        proceedings: 'conference',
+        paper: 'conference',
+        chapter: 'chapter',
+        book: 'chapter',
+        thesis: 'thesis',
+        phd: 'thesis'
+    };
+
+    static SUFFIXES = ['ational', 'ation', 'ative', 'ating', 'ated', 'ate', 'ness', 'ment', 'ing', 'ity', 'ed', 'al'];
+
+    constructor(entries) {
+        this.documents = entries.map(entry => ({
+            entry,
+            fields: {
+                title: PublicationSearch.tokenize(entry.title),
+                authors: PublicationSearch.tokenize(entry.authors.join(' ')),
+                venue: PublicationSearch.tokenize(entry.venue)
+            }
+        }));
+
+        this.vocabulary = new Map();
+        this.documents.forEach(doc => {
+            Object.values(doc.fields).flat().forEach(token => {
+                this.vocabulary.set(token, PublicationSearch.stem(token));
+            });
+        });
+    }
+
+    // ===== TEXT PROCESSING =====
+    static fold(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    static tokenize(text) {
+        return PublicationSearch.fold(text).match(/[a-z0-9]+/g) || [];
+    }
+
+    static stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (stem.endsWith('sses')) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('ies')) {
+            stem = `${stem.slice(0, -3)}y`;
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        const suffix = PublicationSearch.SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= 3);
+        return suffix ? stem.slice(0, -suffix.length) : stem;
+    }
+
+    static editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    static allowedTypos(word) {
+        if (word.length >= 7) return 2;
+        return word.length >= 4 ? 1 : 0;
+    }
+
+    static highlight(text, tokens) {
+        const escape = PublicationList.escapeHtml;
+        let html = '';
+        let lastIndex = 0;
+
+        text.replace(/[\p{L}\p{N}]+/gu, (word, offset) => {
+            html += escape(text.slice(lastIndex, offset));
+            const folded = PublicationSearch.fold(word);
+            html += tokens.has(folded) ? `<mark class="search-highlight">${escape(word)}</mark>` : escape(word);
+            lastIndex = offset + word.length;
+            return word;
+        });
+
+        return html + escape(text.slice(lastIndex));
+    }
+
+    // ===== QUERY PARSING =====
+    static parseQuery(query) {
+        const parsed = { terms: [], fields: [], years: [], types: [] };
+        const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [, qualifier, quotedValue, value, quotedTerm, term] = match;
+            const name = qualifier && qualifier.toLowerCase();
+            const qualifierValue = quotedValue !== undefined ? quotedValue : value;
+            const range = name === 'year' && PublicationSearch.parseYearRange(qualifierValue);
+            const type = name === 'type' && PublicationSearch.parseType(qualifierValue);
+
+            if (range) {
+                parsed.years.push(range);
+            } else if (type) {
+                parsed.types.push(type);
+            } else if (name && PublicationSearch.QUALIFIERS[name]) {
+                PublicationSearch.tokenize(qualifierValue).forEach(token => {
+                    parsed.fields.push({ field: PublicationSearch.QUALIFIERS[name], token });
+                });
+            } else if (name === 'year' || name === 'type') {
+                // Values neither qualifier understands are searched as plain words
+                parsed.terms.push(...PublicationSearch.tokenize(qualifierValue));
+            } else {
+                const text = quotedTerm !== undefined ? quotedTerm : (term || match[0]);
+                parsed.terms.push(...PublicationSearch.tokenize(text));
+            }
+        }
+
+        return parsed;
+    }
+
+    // A type name or one of TYPE_ALIASES (phd, proceedings, ...), else null
+    static parseType(value) {
+        const folded = PublicationSearch.fold(value);
+        if (Object.prototype.hasOwnProperty.call(PublicationSearch.TYPE_ALIASES, folded)) {
+            return PublicationSearch.TYPE_ALIASES[folded];
+        }
+        return PublicationList.isType(folded) ? folded : null;
+    }
+
+    // Accepts 2024, 2019-2022, >2020, >=2020, <2018 and <=2018
+    static parseYearRange(value) {
+        const range = /^(\d{4})\s*-\s*(\d{4})$/.exec(value);
+        if (range) return { from: Number(range[1]), to: Number(range[2]) };
+
+        const comparison = /^([<>]=?)(\d{4})$/.exec(value);
+        if (comparison) {
+            const year = Number(comparison[2]);
+            switch (comparison[1]) {
+                case '>': return { from: year + 1, to: Infinity };
+                case '>=': return { from: year, to: Infinity };
+                case '<': return { from: -Infinity, to: year - 1 };
+                default: return { from: -Infinity, to: year };
+            }
+        }
+
+        return /^\d{4}$/.test(value) ? { from: Number(value), to: Number(value) } : null;
+    }
+
+    // ===== MATCHING =====
+    // Vocabulary tokens matching a query term, each with a quality in (0, 1]
+    expandTerm(term) {
+        const stem = PublicationSearch.stem(term);
+        const maxTypos = PublicationSearch.allowedTypos(term);
+        const maxStemTypos = PublicationSearch.allowedTypos(stem);
+        const expansions = new Map();
+
+        this.vocabulary.forEach((tokenStem, token) => {
+            let quality = 0;
+            if (token === term || tokenStem === stem) {
+                quality = 1;
+            } else if (term.length >= 2 && token.startsWith(term)) {
+                quality = 0.75;
+            } else if (maxTypos) {
+                const termDistance = PublicationSearch.editDistance(term, token, maxTypos);
+                const stemDistance = PublicationSearch.editDistance(stem, tokenStem, maxStemTypos);
+                const distance = Math.min(
+                    termDistance <= maxTypos ? termDistance : Infinity,
+                    stemDistance <= maxStemTypos ? stemDistance : Infinity
+                );
+                if (distance !== Infinity) quality = 0.5 / distance;
+            }
+            if (quality) expansions.set(token, quality);
+        });
+
+        return expansions;
+    }
+
+    scoreTerm(doc, expansions, fields) {
+        let best = 0;
+        fields.forEach(field => {
+            doc.fields[field].forEach(token => {
+                const quality = expansions.get(token);
+                if (quality) {
+                    best = Math.max(best, quality * PublicationSearch.FIELD_WEIGHTS[field]);
+                }
+            });
+        });
+        return best;
+    }
+
+    search(query) {
+        const parsed = PublicationSearch.parseQuery(query);
+        const allFields = Object.keys(PublicationSearch.FIELD_WEIGHTS);
+        const clauses = [
+            ...parsed.terms.map(token => ({ token, fields: allFields })),
+            ...parsed.fields.map(({ field, token }) => ({ token, fields: [field] }))
+        ].map(clause => ({ ...clause, expansions: this.expandTerm(clause.token) }));
+
+        const highlightTokens = new Set();
+        const scored = [];
+
+        this.documents.forEach(doc => {
+            const { entry } = doc;
+            const year = parseInt(entry.year);
+
+            if (parsed.types.length && !parsed.types.includes(entry.type)) return;
+            if (parsed.years.length && !parsed.years.some(range => year >= range.from && year <= range.to)) return;
+
+            let score = 0;
+            for (const clause of clauses) {
+                const termScore = this.scoreTerm(doc, clause.expansions, clause.fields);
+                if (!termScore) return;
+                score += termScore;
+            }
+
+            clauses.forEach(clause => {
+                clause.fields.forEach(field => {
+                    doc.fields[field].forEach(token => {
+                        if (clause.expansions.has(token)) highlightTokens.add(token);
+                    });
+                });
+            });
+
+            scored.push({ entry, score });
+        });
+
+        scored.sort((a, b) => b.score - a.score || (parseInt(b.entry.year) || 0) - (parseInt(a.entry.year) || 0));
+
+        const matches = new Map();
+        scored.forEach(({ entry, score }, rank) => {
+            matches.set(entry.id, { score, rank });
+        });
+
+        return { matches, highlightTokens, query: parsed };
+    }
+}
+
+// ===== CITATION FORMATS =====
+// Generates BibTeX, RIS, APA and IEEE renderings from a PublicationList entry.
+class Citation {
+    static FORMATS = {
+        bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', format: entry => Citation.toBibTeX(entry) },
+        ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems', format: entry => Citation.toRIS(entry) },
+        apa: { label: 'APA', format: entry => Citation.toAPA(entry) },
+        ieee: { label: 'IEEE', format: entry => Citation.toIEEE(entry) }
+    };
+
+    static BIBTEX_TYPES = {
+        journal: 'article',
+        conference: 'inproceedings',
+        chapter: 'incollection',
+        thesis: 'phdthesis',
+        other: 'misc'
+    };
+
+    static RIS_TYPES = {
+        journal: 'JOUR',
+        conference: 'CONF',
+        chapter: 'CHAP',
+        thesis: 'THES',
+        other: 'GEN'
+    };
+
+    // Accepts "First Last", "Last, First" and "Last F." name forms
+    static parseName(name) {
+        if (name.includes(',')) {
+            const [last, ...rest] = name.split(',').map(part => part.trim());
+            return { first: rest.join(' '), last };
+        }
+
+        const parts = name.trim().split(/\s+/);
+        if (parts.length > 1 && /^[A-Z]{1,3}\.?$/.test(parts[parts.length - 1])) {
+            return { first: parts.pop(), last: parts.join(' ') };
+        }
+
+        const last = parts.pop();
+        return { first: parts.join(' '), last };
+    }
+
+    static initials(first) {
+        return first.split(/\s+/).filter(Boolean).map(part => {
+            if (/^[A-Z]+\.?$/.test(part)) {
+                return part.replace('.', '').split('').map(letter => `${letter}.`).join(' ');
+            }
+            return part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-');
+        }).join(' ');
+    }
+
+    static doiUrl(entry) {
+        return entry.doi ? `https://doi.org/${entry.doi}` : entry.url;
+    }
+
+    static stripPeriod(text) {
+        return text.replace(/[.\s]+$/, '');
+    }
+
+    static toBibTeX(entry) {
+        const escapeValue = value => String(value).replace(/([&%$#_])/g, '\\$1');
+        let bibType = entry.bibType;
+        let fields = entry.fields;
+
+        // JSON sources have no raw BibTeX fields, so build them from the entry
+        if (!bibType) {
+            const venueField = { journal: 'journal', thesis: 'school' }[entry.type] || 'booktitle';
+            bibType = Citation.BIBTEX_TYPES[entry.type] || 'misc';
+            fields = {
+                title: entry.title,
+                author: entry.authors.join(' and '),
+                [venueField]: entry.venue,
+                year: entry.year,
+                doi: entry.doi,
+                url: entry.url
+            };
+        }
+
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value)
+            .map(([name, value]) => {
+                const text = ['doi', 'url'].includes(name) ? value : escapeValue(value);
+                return `  ${name.padEnd(9)} = {${text}}`;
+            });
+
+        return `@${bibType}{${entry.id},\n${lines.join(',\n')}\n}`;
+    }
+
+    static toRIS(entry) {
+        const type = Citation.RIS_TYPES[entry.type] || 'GEN';
+        const lines = [`TY  - ${type}`];
+
+        entry.authors.forEach(name => {
+            const { first, last } = Citation.parseName(name);
+            lines.push(`AU  - ${first ? `${last}, ${first}` : last}`);
+        });
+
+        lines.push(`TI  - ${entry.title}`);
+        if (entry.venue) lines.push(`${type === 'JOUR' ? 'JO' : 'T2'}  - ${entry.venue}`);
+        if (entry.year) lines.push(`PY  - ${entry.year}`);
+        if (entry.doi) lines.push(`DO  - ${entry.doi}`);
+        if (entry.url) lines.push(`UR  - ${entry.url}`);
+        lines.push('ER  - ');
+
+        return lines.join('\n');
+    }
+
+    static toAPA(entry) {
+        const names = entry.authors.map(name => {
+            const { first, last } = Citation.parseName(name);
+            return first ? `${last}, ${Citation.initials(first)}` : last;
+        });
+
+        let authors = names[0] || '';
+        if (names.length === 2) {
+            authors = `${names[0]}, & ${names[1]}`;
+        } else if (names.length > 2) {
+            authors = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+        }
+
+        const parts = [
+            `${Citation.stripPeriod(authors)}. (${entry.year || 'n.d.'}).`,
+            `${Citation.stripPeriod(entry.title)}.`
+        ];
+        if (entry.type === 'thesis') parts.push('[Doctoral dissertation].');
+        if (entry.venue) parts.push(`${Citation.stripPeriod(entry.venue)}.`);
+
+        const link = Citation.doiUrl(entry);
+        if (link) parts.push(link);
+
+        return parts.join(' ');
+    }
+
+    static toIEEE(entry) {
+        const names = entry.authors.map(name => {
+            const { first, last } = Citation.parseName(name);
+            return first ? `${Citation.initials(first)} ${last}` : last;
+        });
+
+        let authors = names.join(', ');
+        if (names.length > 6) {
+            authors = `${names[0]} et al.`;
+        } else if (names.length === 2) {
+            authors = names.join(' and ');
+        } else if (names.length > 2) {
+            authors = `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+        }
+
+        let source = entry.venue;
+        if (entry.type === 'thesis') {
+            source = `Ph.D. dissertation, ${entry.venue}`;
+        } else if (entry.type !== 'journal' && entry.venue) {
+            source = `in ${entry.venue}`;
+        }
+
+        let citation = `${authors}, "${Citation.stripPeriod(entry.title)}," ${[source, entry.year].filter(Boolean).join(', ')}.`;
+        if (entry.doi) {
+            citation += ` doi: ${entry.doi}.`;
+        } else if (entry.url) {
+            citation += ` [Online]. Available: ${entry.url}`;
+        }
+
+        return citation;
+    }
+}
+
+// ===== CITATION PANEL =====
+// Modal with per-format citation text, copy-to-clipboard and file download.
+class CitationPanel {
+    constructor(app) {
+        this.app = app;
+        this.format = 'bibtex';
+        this.entry = null;
+        this.trigger = null;
+
+        this.element = this.createElement();
+        document.body.appendChild(this.element);
+        this.scope = new ModuleScope('citation-panel', this.element);
+
+        this.subtitle = this.element.querySelector('.cite-modal-subtitle');
+        this.output = this.element.querySelector('.cite-output');
+        this.tabs = this.element.querySelectorAll('.cite-format');
+        this.copyButton = this.element.querySelector('[data-cite-action="copy"]');
+        this.downloadButton = this.element.querySelector('[data-cite-action="download"]');
+
+        this.bindEvents();
+    }
+
+    createElement() {
+        const modal = document.createElement('div');
+        modal.className = 'modal fade cite-modal';
+        modal.id = 'citeModal';
+        modal.tabIndex = -1;
+        modal.setAttribute('aria-labelledby', 'citeModalTitle');
+        modal.setAttribute('aria-hidden', 'true');
+
+        const tabs = Object.entries(Citation.FORMATS).map(([key, { label }]) => `
+            <button type="button" class="cite-format" role="tab" id="cite-tab-${key}" data-format="${key}" aria-controls="citeOutput" aria-selected="false" tabindex="-1">${label}</button>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="modal-dialog modal-lg modal-dialog-centered">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h5 class="modal-title" id="citeModalTitle">Cite this publication</h5>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="cite-modal-subtitle"></p>
+                        <div class="cite-formats" role="tablist" aria-label="Citation format">${tabs}</div>
+                        <pre class="cite-output" id="citeOutput" role="tabpanel" tabindex="0"></pre>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-outline-primary" data-cite-action="download">
+                            <i class="fas fa-download me-2"></i><span>Download</span>
+                        </button>
+                        <button type="button" class="btn btn-primary" data-cite-action="copy">
+                            <i class="fas fa-copy me-2"></i><span>Copy</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        return modal;
+    }
+
+    bindEvents() {
+        this.tabs.forEach((tab, index) => {
+            this.scope.listen(tab, 'click', () => this.setFormat(tab.dataset.format));
+
+            // Arrow keys move between format tabs (WAI-ARIA tabs pattern)
+            this.scope.listen(tab, 'keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                const offset = e.key === 'ArrowRight' ? 1 : -1;
+                const next = this.tabs[(index + offset + this.tabs.length) % this.tabs.length];
+                this.setFormat(next.dataset.format);
+                next.focus();
+            });
+        });
+
+        this.scope.listen(this.copyButton, 'click', () => this.copy());
+        this.scope.listen(this.downloadButton, 'click', () => this.download());
+
+        this.scope.listen(this.element, 'hidden.bs.modal', () => this.restoreFocus());
+
+        // Bootstrap handles these itself when it has loaded
+        this.scope.listen(this.element, 'click', (e) => {
+            if (typeof bootstrap !== 'undefined') return;
+            if (e.target === this.element || e.target.closest('[data-bs-dismiss="modal"]')) {
+                this.hide();
+            }
+        });
+        this.scope.listen(this.element, 'keydown', (e) => {
+            if (typeof bootstrap === 'undefined' && e.key === 'Escape') this.hide();
+        });
+    }
+
+    destroy() {
+        this.scope.dispose();
+        if (typeof bootstrap !== 'undefined') {
+            const modal = bootstrap.Modal.getInstance(this.element);
+            if (modal) modal.dispose();
+        }
+        document.body.classList.remove('modal-open');
+        this.element.remove();
+    }
+
+    open(entry, trigger = null) {
+        this.entry = entry;
+        this.trigger = trigger;
+        this.subtitle.textContent = entry.title;
+        this.update();
+
+        if (typeof bootstrap !== 'undefined') {
+            bootstrap.Modal.getOrCreateInstance(this.element).show();
+            return;
+        }
+
+        // Bootstrap comes from a CDN and may not have loaded; set what its
+        // Modal would, so the styles and the focus trap still apply
+        this.element.style.display = 'block';
+        this.element.classList.add('show');
+        this.element.removeAttribute('aria-hidden');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('role', 'dialog');
+        document.body.classList.add('modal-open');
+        this.element.focus();
+    }
+
+    // Closes the modal opened without Bootstrap
+    hide() {
+        if (!this.element.classList.contains('show')) return;
+
+        this.element.classList.remove('show');
+        this.element.style.display = 'none';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.removeAttribute('aria-modal');
+        this.element.removeAttribute('role');
+        document.body.classList.remove('modal-open');
+        this.restoreFocus();
+    }
+
+    restoreFocus() {
+        if (this.trigger) {
+            this.trigger.focus();
+        }
+    }
+
+    setFormat(format) {
+        if (!Citation.FORMATS[format]) return;
+        this.format = format;
+        this.update();
+    }
+
+    update() {
+        const exporter = Citation.FORMATS[this.format];
+
+        this.tabs.forEach(tab => {
+            const selected = tab.dataset.format === this.format;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        });
+
+        this.output.setAttribute('aria-labelledby', `cite-tab-${this.format}`);
+        this.output.textContent = this.entry ? exporter.format(this.entry) : '';
+
+        this.downloadButton.hidden = !exporter.extension;
+        this.downloadButton.querySelector('span').textContent = exporter.extension
+            ? `Download .${exporter.extension}`
+            : 'Download';
+    }
+
+    copy() {
+        const { label } = Citation.FORMATS[this.format];
+        const buttonLabel = this.copyButton.querySelector('span');
+
+        this.app.copyToClipboard(this.output.textContent)
+            .then(() => {
+                buttonLabel.textContent = 'Copied!';
+                this.app.announce(`${label} citation copied to clipboard`);
+                setTimeout(() => {
+                    buttonLabel.textContent = 'Copy';
+                }, 2000);
+            })
+            .catch(error => {
+                this.app.handleError(error, 'copying citation');
+                this.app.announce('Could not copy citation, please select the text manually');
+            });
+    }
+
+    download() {
+        const exporter = Citation.FORMATS[this.format];
+        if (!exporter.extension || !this.entry) return;
+
+        this.app.downloadFile(`${this.entry.id}.${exporter.extension}`, `${this.output.textContent}\n`, exporter.mimeType);
+    }
+}
+
+// ===== CO-AUTHOR NETWORK =====
+// Collaboration graph built from the publication data: one node per co-author
+// (sized by papers together), one edge per pair of co-authors (weighted by
+// joint papers). Layout is a small force simulation run once up front, so
+// there is nothing to animate and no library to load.
+//
+//     <div data-module="coauthor-network" data-publications-src="data/publications.bib"
+//          data-highlight-author="Addi Ait-Mlouk"></div>
+//
+// Clicking a node (or a collaborator in the table that mirrors the graph for
+// keyboard and screen reader users) filters the publication list.
+class CoauthorNetwork {
+    static WIDTH = 800;
+    static HEIGHT = 520;
+    static ITERATIONS = 300;
+    // Names are always shown for collaborators on at least this many papers
+    static LABEL_MIN_PAPERS = 2;
+
+    // Nodes and weighted edges from PublicationList.indexAuthors()
+    static buildGraph(authors) {
+        const nodes = [...authors.values()].map(author => ({
+            key: author.key,
+            name: author.name,
+            papers: author.entries.length,
+            years: author.entries.map(entry => parseInt(entry.year, 10)).filter(Boolean),
+            x: 0,
+            y: 0
+        }));
+
+        const edges = new Map();
+        authors.forEach(author => author.entries.forEach(entry => {
+            entry.authorKeys.forEach(other => {
+                if (other <= author.key) return;
+                const id = `${author.key}|${other}`;
+                if (!edges.has(id)) edges.set(id, { source: author.key, target: other, weight: 0 });
+                edges.get(id).weight++;
+            });
+        }));
+
+        return { nodes, edges: [...edges.values()] };
+    }
+
+    // Fruchterman-Reingold: every pair repels, edges pull (harder the more
+    // papers they stand for) and a weak pull keeps components on screen.
+    // The owner, if given, stays pinned in the middle. The result is scaled
+    // to fill the drawing area.
+    static layout(nodes, edges, { width = CoauthorNetwork.WIDTH, height = CoauthorNetwork.HEIGHT, iterations = CoauthorNetwork.ITERATIONS, pinned = null } = {}) {
+        const byKey = new Map(nodes.map(node => [node.key, node]));
+        const center = { x: width / 2, y: height / 2 };
+        const k = Math.sqrt((width * height) / Math.max(1, nodes.length)) * 0.75;
+        const padding = 40;
+
+        // Deterministic start: a spiral, busiest collaborators innermost
+        [...nodes].sort((a, b) => b.papers - a.papers).forEach((node, index) => {
+            const angle = index * 2.4;
+            const radius = 30 + index * 6;
+            node.x = center.x + Math.cos(angle) * radius;
+            node.y = center.y + Math.sin(angle) * radius;
+        });
+
+        for (let i = 0; i < iterations; i++) {
+            const temperature = (width / 10) * (1 - i / iterations);
+            nodes.forEach(node => {
+                node.dx = 0;
+                node.dy = 0;
+            });
+
+            for (let a = 0; a < nodes.length; a++) {
+                for (let b = a + 1; b < nodes.length; b++) {
+                    const dx = nodes[a].x - nodes[b].x;
+                    const dy = nodes[a].y - nodes[b].y;
+                    const distance = Math.max(0.01, Math.hypot(dx, dy));
+                    const force = (k * k) / distance;
+                    nodes[a].dx += (dx / distance) * force;
+                    nodes[a].dy += (dy / distance) * force;
+                    nodes[b].dx -= (dx / distance) * force;
+                    nodes[b].dy -= (dy / distance) * force;
+                }
+            }
+
+            edges.forEach(edge => {
+                const source = byKey.get(edge.source);
+                const target = byKey.get(edge.target);
+                const dx = source.x - target.x;
+                const dy = source.y - target.y;
+                const distance = Math.max(0.01, Math.hypot(dx, dy));
+                const force = ((distance * distance) / k) * Math.min(1 + Math.log(edge.weight), 3) * 0.5;
+                source.dx -= (dx / distance) * force;
+                source.dy -= (dy / distance) * force;
+                target.dx += (dx / distance) * force;
+                target.dy += (dy / distance) * force;
+            });
+
+            nodes.forEach(node => {
+                node.dx += (center.x - node.x) * 0.05 * k / 10;
+                node.dy += (center.y - node.y) * 0.05 * k / 10;
+
+                if (node.key === pinned) return;
+                const length = Math.max(0.01, Math.hypot(node.dx, node.dy));
+                node.x += (node.dx / length) * Math.min(length, temperature);
+                node.y += (node.dy / length) * Math.min(length, temperature);
+            });
+
+            if (pinned && byKey.has(pinned)) {
+                Object.assign(byKey.get(pinned), center);
+            }
+        }
+
+        // Stretch each axis about the center so the graph fits with a margin
+        const reach = (axis) => Math.max(1, ...nodes.map(node => Math.abs(node[axis] - center[axis])));
+        const scaleX = (center.x - padding) / reach('x');
+        const scaleY = (center.y - padding) / reach('y');
+        nodes.forEach(node => {
+            node.x = center.x + (node.x - center.x) * scaleX;
+            node.y = center.y + (node.y - center.y) * scaleY;
+            delete node.dx;
+            delete node.dy;
+        });
+        return nodes;
+    }
+
+    static radius(node) {
+        return 5 + Math.sqrt(node.papers) * 3;
+    }
+
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.src = container.dataset.publicationsSrc;
+        this.owner = container.dataset.highlightAuthor ? PublicationList.authorKey(container.dataset.highlightAuthor) : null;
+        this.scope = new ModuleScope('coauthor-network', container);
+        this.authors = new Map();
+        this.nodes = [];
+        this.edges = [];
+        this.drag = null;
+        this.suppressClick = false;
+        this.isDestroyed = false;
+    }
+
+    async load() {
+        const entries = await PublicationList.fetchEntries(this.src);
+        // The router navigated away while the data was loading
+        if (this.isDestroyed) return;
+
+        this.authors = PublicationList.indexAuthors(entries);
+        const { nodes, edges } = CoauthorNetwork.buildGraph(this.authors);
+        this.nodes = CoauthorNetwork.layout(nodes, edges, { pinned: this.owner });
+        this.edges = edges;
+
+        this.render();
+        this.bindEvents();
+        this.update();
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.scope.dispose();
+    }
+
+    get collaborators() {
+        return this.nodes
+            .filter(node => node.key !== this.owner)
+            .sort((a, b) => b.papers - a.papers || a.name.localeCompare(b.name));
+    }
+
+    // The list is created by the "publications" module, which may not have
+    // finished loading yet
+    get publications() {
+        const list = this.app.publications;
+        return list && list.authors.size ? list : null;
+    }
+
+    // ===== RENDERING =====
+    render() {
+        const escape = PublicationList.escapeHtml;
+        const { WIDTH, HEIGHT } = CoauthorNetwork;
+        const byKey = new Map(this.nodes.map(node => [node.key, node]));
+        const collaborators = this.collaborators;
+        const pairs = this.edges.filter(edge => edge.source !== this.owner && edge.target !== this.owner).length;
+
+        const edges = this.edges.map(edge => {
+            const source = byKey.get(edge.source);
+            const target = byKey.get(edge.target);
+            return `
+                <line class="network-edge" data-source="${edge.source}" data-target="${edge.target}"
+                      x1="${source.x.toFixed(1)}" y1="${source.y.toFixed(1)}" x2="${target.x.toFixed(1)}" y2="${target.y.toFixed(1)}"
+                      stroke-width="${Math.min(1 + (edge.weight - 1) * 1.5, 8)}"></line>
+            `;
+        }).join('');
+
+        const nodes = this.nodes.map(node => {
+            const radius = CoauthorNetwork.radius(node);
+            const classes = ['network-node'];
+            if (node.key === this.owner) classes.push('is-owner');
+            if (node.papers < CoauthorNetwork.LABEL_MIN_PAPERS && node.key !== this.owner) classes.push('is-minor');
+
+            return `
+                <g class="${classes.join(' ')}" data-network-author="${node.key}" transform="translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})">
+                    <title>${escape(node.name)}: ${escape(this.getPaperLabel(node.papers))}</title>
+                    <circle r="${radius.toFixed(1)}"></circle>
+                    <text class="network-label" y="${(radius + 12).toFixed(1)}">${escape(node.name)}</text>
+                </g>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="network-graph">
+                <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-labelledby="network-summary" focusable="false">
+                    <g class="network-edges">${edges}</g>
+                    <g class="network-nodes">${nodes}</g>
+                </svg>
+            </div>
+            <p class="network-summary" id="network-summary">
+                ${I18n.t('network.summary', '{count} collaborators, {pairs} co-author pairs. Select a collaborator to list the joint papers.', {
+                    count: collaborators.length,
+                    pairs
+                })}
+            </p>
+            <details class="network-table-details">
+                <summary>${I18n.t('network.tableToggle', 'Show collaborators as a table')}</summary>
+                <div class="table-responsive">
+                    <table class="table network-table">
+                        <caption class="visually-hidden">${I18n.t('network.tableCaption', 'Co-authors by number of joint papers')}</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">${I18n.t('network.collaborator', 'Collaborator')}</th>
+                                <th scope="col">${I18n.t('network.papers', 'Joint papers')}</th>
+                                <th scope="col">${I18n.t('network.years', 'Years')}</th>
+                                <th scope="col">${I18n.t('network.alsoWith', 'Frequent co-authors')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${collaborators.map(node => `
+                                <tr>
+                                    <th scope="row">
+                                        <button type="button" class="network-table-author" data-network-author="${node.key}" aria-pressed="false">
+                                            ${escape(node.name)}
+                                        </button>
+                                    </th>
+                                    <td>${node.papers}</td>
+                                    <td>${this.getYearRange(node)}</td>
+                                    <td>${this.getNeighbors(node.key).slice(0, 3).map(({ node: other }) => escape(other.name)).join(', ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+
+        this.svg = this.container.querySelector('svg');
+    }
+
+    getPaperLabel(count) {
+        return I18n.t('network.paperCount', { one: '{count} paper', other: '{count} papers' }, { count });
+    }
+
+    getYearRange(node) {
+        if (!node.years.length) return '';
+        const first = Math.min(...node.years);
+        const last = Math.max(...node.years);
+        return first === last ? String(first) : `${first}–${last}`;
+    }
+
+    // Other collaborators (not the owner) by joint papers, most first
+    getNeighbors(key) {
+        const byKey = new Map(this.nodes.map(node => [node.key, node]));
+        return this.edges
+            .filter(edge => edge.source === key || edge.target === key)
+            .map(edge => ({ node: byKey.get(edge.source === key ? edge.target : edge.source), weight: edge.weight }))
+            .filter(({ node }) => node.key !== this.owner)
+            .sort((a, b) => b.weight - a.weight || a.node.name.localeCompare(b.node.name));
+    }
+
+    // ===== INTERACTION =====
+    bindEvents() {
+        const { scope } = this;
+
+        scope.listen(this.container, 'click', (e) => {
+            const target = e.target.closest('[data-network-author]');
+            // The end of a drag is not a click
+            if (!target || this.suppressClick) return;
+            this.select(target.dataset.networkAuthor);
+        });
+
+        // Delegated: the SVG is replaced when the language changes
+        scope.listen(this.container, 'pointerover', (e) => {
+            const node = e.target.closest('.network-node');
+            this.highlight(node ? node.dataset.networkAuthor : null);
+        });
+        scope.listen(this.container, 'pointerleave', () => this.highlight(null));
+
+        scope.listen(this.container, 'pointerdown', (e) => this.startDrag(e));
+        scope.listen(this.container, 'pointermove', (e) => this.moveDrag(e));
+        scope.listen(this.container, 'pointerup', () => this.endDrag());
+        scope.listen(this.container, 'pointercancel', () => this.endDrag());
+
+        // Keep the selection in step with the list (its own controls, back/forward)
+        scope.onCleanup(this.app.on('filter:change', ({ list }) => {
+            if (list === 'publications') this.update();
+        }));
+        scope.listen(window, 'popstate', () => this.update());
+        scope.onCleanup(this.app.on('language:change', () => {
+            this.render();
+            this.update();
+        }));
+    }
+
+    select(key) {
+        const list = this.publications;
+        if (!list) return;
+
+        // The owner is on every paper: selecting them (or the active node again) clears the filter
+        const next = key === this.owner || key === list.activeAuthor ? null : key;
+        list.selectAuthor(next);
+        this.update();
+    }
+
+    update() {
+        const list = this.publications;
+        const active = list ? list.activeAuthor : null;
+
+        this.container.querySelectorAll('[data-network-author]').forEach(element => {
+            const isActive = element.dataset.networkAuthor === active;
+            element.classList.toggle('is-active', isActive);
+            if (element.hasAttribute('aria-pressed')) {
+                element.setAttribute('aria-pressed', String(isActive));
+            }
+        });
+    }
+
+    // Fades everything that isn't the hovered collaborator or a direct co-author
+    highlight(key) {
+        if (!this.svg) return;
+
+        const related = new Set(key ? [key, ...this.getNeighbors(key).map(({ node }) => node.key), this.owner] : []);
+        this.svg.classList.toggle('is-highlighting', !!key);
+        this.svg.querySelectorAll('.network-node').forEach(node => {
+            node.classList.toggle('is-related', related.has(node.dataset.networkAuthor));
+        });
+        this.svg.querySelectorAll('.network-edge').forEach(edge => {
+            edge.classList.toggle('is-related', !!key && (edge.dataset.source === key || edge.dataset.target === key));
+        });
+    }
+
+    // Nodes can be dragged to untangle a crowded area
+    toSvgPoint(e) {
+        const matrix = this.svg.getScreenCTM && this.svg.getScreenCTM();
+        if (!matrix) return null;
+        const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(matrix.inverse());
+        return { x: point.x, y: point.y };
+    }
+
+    startDrag(e) {
+        const element = e.target.closest('.network-node');
+        const point = element && this.toSvgPoint(e);
+        if (!point) return;
+
+        this.drag = {
+            node: this.nodes.find(node => node.key === element.dataset.networkAuthor),
+            element,
+            start: point,
+            moved: false
+        };
+        if (this.svg.setPointerCapture) this.svg.setPointerCapture(e.pointerId);
+    }
+
+    moveDrag(e) {
+        if (!this.drag) return;
+        const point = this.toSvgPoint(e);
+        if (!point) return;
+
+        const { node, element, start } = this.drag;
+        if (!this.drag.moved && Math.hypot(point.x - start.x, point.y - start.y) < 4) return;
+
+        this.drag.moved = true;
+        node.x = Math.min(CoauthorNetwork.WIDTH, Math.max(0, point.x));
+        node.y = Math.min(CoauthorNetwork.HEIGHT, Math.max(0, point.y));
+        element.setAttribute('transform', `translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})`);
+
+        this.svg.querySelectorAll(`[data-source="${node.key}"]`).forEach(edge => {
+            edge.setAttribute('x1', node.x.toFixed(1));
+            edge.setAttribute('y1', node.y.toFixed(1));
+        });
+        this.svg.querySelectorAll(`[data-target="${node.key}"]`).forEach(edge => {
+            edge.setAttribute('x2', node.x.toFixed(1));
+            edge.setAttribute('y2', node.y.toFixed(1));
+        });
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+
+        this.suppressClick = this.drag.moved;
+        this.drag = null;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+    }
+
+    renderError() {
+        this.container.innerHTML = `
+            <p class="text-center text-muted publications-status">
+                ${I18n.t('network.loadError', 'The collaboration network could not be loaded.')}
+            </p>
+        `;
+    }
+}
+
+// ===== PUBLICATION STATISTICS =====
+// Charts and headline numbers computed from the publication data. Citation
+// metrics (h-index, i10-index, total citations) appear only when the optional
+// citations file exists; it maps BibTeX keys to citation counts:
+//
+//     { "updated": "2025-06-01", "source": "Google Scholar", "counts": { "lhasnaoui2025": 4, ... } }
+//
+//     <div data-module="publication-stats" data-publications-src="data/publications.bib"
+//          data-citations-src="data/citations.json" data-highlight-author="Addi Ait-Mlouk"></div>
+//
+// Any .stat-number[data-stat="<counter>"] on the page gets the computed value
+// (see PublicationStats.COUNTERS), so the animated counters stay accurate.
+// Colors come from the --chart-* custom properties, so charts follow the theme.
+class PublicationStats {
+    static COUNTERS = ['publications', 'journal', 'conference', 'collaborators', 'years', 'citations', 'h-index', 'i10-index'];
+    static TOP_VENUES = 8;
+    static TOP_KEYWORDS = 12;
+
+    // Title words that say nothing about the topic
+    static STOPWORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'based', 'by', 'for', 'from', 'in', 'into', 'is', 'of', 'on', 'or',
+        'the', 'to', 'towards', 'toward', 'using', 'via', 'with', 'within', 'new', 'novel', 'approach', 'study', 'case'
+    ]);
+
+    // "The 4th International Conference on ... (ICSENT'2015), December, Istanbul"
+    // and "5th International Conference on ... (ICSENT-2016)" are the same venue
+    static normalizeVenue(venue) {
+        const name = venue
+            .split(',')[0]
+            .replace(/https?:\/\/\S+/g, '')
+            .replace(/^(the\s+)?\d+(st|nd|rd|th)\s+/i, '')
+            .replace(/[\s'-]*\d{4}\b/g, '')
+            .replace(/\(\s*\)/g, '')
+            .replace(/\s+\d+$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    static compute(entries, authors, { owner = null, citations = null } = {}) {
+        const types = Object.keys(PublicationList.TYPES).filter(type => entries.some(entry => entry.type === type));
+        const years = entries.map(entry => parseInt(entry.year, 10)).filter(Boolean);
+        const first = Math.min(...years);
+        const last = Math.max(...years);
+        const span = years.length ? Array.from({ length: last - first + 1 }, (_, index) => first + index) : [];
+
+        const perYear = span.map(year => {
+            const counts = Object.fromEntries(types.map(type => [type, 0]));
+            entries.filter(entry => parseInt(entry.year, 10) === year).forEach(entry => counts[entry.type]++);
+            return { year, counts };
+        });
+
+        // Distinct co-authors per year, split into first-time and returning
+        const seen = new Set();
+        const collaborators = span.map(year => {
+            const keys = new Set(entries
+                .filter(entry => parseInt(entry.year, 10) === year)
+                .flatMap(entry => entry.authorKeys)
+                .filter(key => key !== owner));
+            const fresh = [...keys].filter(key => !seen.has(key));
+            keys.forEach(key => seen.add(key));
+            return { year, new: fresh.length, returning: keys.size - fresh.length };
+        });
+
+        const venues = new Map();
+        entries.forEach(entry => {
+            const name = PublicationStats.normalizeVenue(entry.venue);
+            if (!name) return;
+            const key = PublicationSearch.fold(name);
+            if (!venues.has(key)) venues.set(key, { label: name, value: 0 });
+            venues.get(key).value++;
+        });
+
+        // Keywords are grouped by stem ("networks" and "network") and shown in
+        // their most common spelling
+        const keywords = new Map();
+        entries.forEach(entry => {
+            new Set(PublicationSearch.tokenize(entry.title)
+                .filter(word => word.length > 2 && !/^\d+$/.test(word) && !PublicationStats.STOPWORDS.has(word)))
+                .forEach(word => {
+                    const stem = PublicationSearch.stem(word);
+                    if (!keywords.has(stem)) keywords.set(stem, { value: 0, forms: new Map() });
+                    const keyword = keywords.get(stem);
+                    keyword.value++;
+                    keyword.forms.set(word, (keyword.forms.get(word) || 0) + 1);
+                });
+        });
+
+        const top = (items, count) => [...items]
+            .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+            .slice(0, count);
+
+        const stats = {
+            types,
+            perYear,
+            collaborators,
+            venues: top(venues.values(), PublicationStats.TOP_VENUES).filter(venue => venue.value > 1),
+            keywords: top([...keywords.values()].map(({ value, forms }) => ({
+                label: [...forms].sort((a, b) => b[1] - a[1])[0][0],
+                value
+            })), PublicationStats.TOP_KEYWORDS),
+            metrics: citations ? PublicationStats.computeMetrics(entries, citations) : null,
+            counters: {
+                publications: entries.length,
+                journal: entries.filter(entry => entry.type === 'journal').length,
+                conference: entries.filter(entry => entry.type === 'conference').length,
+                collaborators: [...authors.keys()].filter(key => key !== owner).length,
+                years: span.length
+            }
+        };
+
+        if (stats.metrics) {
+            stats.counters.citations = stats.metrics.citations;
+            stats.counters['h-index'] = stats.metrics.hIndex;
+            stats.counters['i10-index'] = stats.metrics.i10Index;
+        }
+        return stats;
+    }
+
+    // h-index: the largest h with h papers cited at least h times each
+    static computeMetrics(entries, citations) {
+        const counts = citations.counts || {};
+        const cited = entries
+            .map(entry => Number(counts[entry.id]) || 0)
+            .sort((a, b) => b - a);
+
+        return {
+            citations: cited.reduce((sum, count) => sum + count, 0),
+            hIndex: cited.filter((count, index) => count >= index + 1).length,
+            i10Index: cited.filter(count => count >= 10).length,
+            updated: citations.updated || '',
+            source: citations.source || ''
+        };
+    }
+
+    static async fetchCitations(src) {
+        if (!src) return null;
+
+        const response = await fetch(src);
+        // The file is optional
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Could not load ${src} (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.src = container.dataset.publicationsSrc;
+        this.citationsSrc = container.dataset.citationsSrc;
+        this.owner = container.dataset.highlightAuthor ? PublicationList.authorKey(container.dataset.highlightAuthor) : null;
+        this.scope = new ModuleScope('publication-stats', container);
+        this.stats = null;
+        this.isDestroyed = false;
+    }
+
+    async load() {
+        const [entries, citations] = await Promise.all([
+            PublicationList.fetchEntries(this.src),
+            PublicationStats.fetchCitations(this.citationsSrc).catch(error => {
+                // Charts still work without citation metrics
+                this.app.handleError(error, 'loading citation counts');
+                return null;
+            })
+        ]);
+        // The router navigated away while the data was loading
+        if (this.isDestroyed) return;
+
+        const authors = PublicationList.indexAuthors(entries);
+        this.stats = PublicationStats.compute(entries, authors, { owner: this.owner, citations });
+
+        this.render();
+        this.updateCounters();
+        this.scope.onCleanup(this.app.on('language:change', () => this.render()));
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.scope.dispose();
+    }
+
+    updateCounters() {
+        document.querySelectorAll('.stat-number[data-stat]').forEach(element => {
+            const value = this.stats.counters[element.dataset.stat];
+            const card = element.closest('[data-stat-card]');
+
+            if (value === undefined) {
+                // Citation counters stay hidden without a citations file
+                if (card) card.hidden = true;
+                return;
+            }
+            if (card) card.hidden = false;
+            this.app.setCounter(element, value);
+        });
+    }
+
+    // ===== RENDERING =====
+    render() {
+        this.container.innerHTML = this.renderCharts();
+    }
+
+    renderCharts() {
+        const { stats } = this;
+        const typeLabel = type => I18n.t(`stats.type.${type}`, PublicationList.TYPES[type].plural);
+
+        const charts = [
+            this.renderFigure('stats-per-year', I18n.t('stats.perYear', 'Publications per year'), PublicationStats.columnChart({
+                labels: stats.perYear.map(({ year }) => String(year)),
+                series: stats.types.map(type => ({
+                    key: type,
+                    label: typeLabel(type),
+                    values: stats.perYear.map(({ counts }) => counts[type])
+                }))
+            })),
+            this.renderFigure('stats-collaborators', I18n.t('stats.collaborators', 'Co-authors per year'), PublicationStats.columnChart({
+                labels: stats.collaborators.map(({ year }) => String(year)),
+                series: [
+                    { key: 'returning', label: I18n.t('stats.returning', 'Returning co-authors'), values: stats.collaborators.map(item => item.returning) },
+                    { key: 'new', label: I18n.t('stats.new', 'New co-authors'), values: stats.collaborators.map(item => item.new) }
+                ]
+            })),
+            stats.venues.length ? this.renderFigure('stats-venues', I18n.t('stats.venues', 'Most frequent venues'), PublicationStats.barChart({
+                items: stats.venues,
+                label: I18n.t('stats.papers', 'Papers')
+            })) : '',
+            this.renderFigure('stats-keywords', I18n.t('stats.keywords', 'Frequent title keywords'), PublicationStats.barChart({
+                items: stats.keywords,
+                label: I18n.t('stats.papers', 'Papers')
+            }))
+        ];
+
+        const { metrics } = stats;
+        return `
+            <div class="stats-charts">${charts.join('')}</div>
+            ${metrics ? `
+                <p class="stats-note">
+                    ${I18n.t('stats.citationSource', 'Citation counts: {source}, updated {date}.', {
+                        source: PublicationList.escapeHtml(metrics.source || I18n.t('stats.localFile', 'local file')),
+                        date: PublicationList.escapeHtml(metrics.updated || '?')
+                    })}
+                </p>
+            ` : ''}
+        `;
+    }
+
+    // A chart with its title, legend and the numbers as a table
+    renderFigure(id, title, chart) {
+        const escape = PublicationList.escapeHtml;
+        const legend = chart.series.length > 1 ? `
+            <ul class="stats-legend">
+                ${chart.series.map((series, index) => `
+                    <li><span class="stats-swatch chart-series-${index + 1}" aria-hidden="true"></span>${escape(series.label)}</li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        return `
+            <figure class="stats-chart" id="${id}">
+                <figcaption class="stats-chart-title" id="${id}-title">${escape(title)}</figcaption>
+                ${chart.svg.replace('<svg', `<svg aria-labelledby="${id}-title ${id}-desc"`).replace('<desc>', `<desc id="${id}-desc">`)}
+                ${legend}
+                <details class="stats-data">
+                    <summary>${I18n.t('stats.showData', 'Show data')}</summary>
+                    <div class="table-responsive">${chart.table}</div>
+                </details>
+            </figure>
+        `;
+    }
+
+    // ===== CHARTS =====
+    // Vertical stacked columns, one per label; returns { svg, table, series }
+    static columnChart({ labels, series, width = 640, height = 300 }) {
+        const escape = PublicationList.escapeHtml;
+        const margin = { top: 16, right: 12, bottom: 32, left: 36 };
+        const innerWidth = width - margin.left - margin.right;
+        const innerHeight = height - margin.top - margin.bottom;
+        const totals = labels.map((_, index) => series.reduce((sum, { values }) => sum + values[index], 0));
+        const { max, step } = PublicationStats.scale(Math.max(1, ...totals));
+        const slot = innerWidth / Math.max(1, labels.length);
+        const barWidth = Math.max(4, slot * 0.7);
+        const y = value => margin.top + innerHeight - (value / max) * innerHeight;
+        // Thin out the axis labels when there are many columns
+        const labelEvery = Math.ceil(labels.length / 12);
+
+        const grid = [];
+        for (let value = 0; value <= max; value += step) {
+            grid.push(`
+                <line class="chart-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"></line>
+                <text class="chart-axis" x="${margin.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${value}</text>
+            `);
+        }
+
+        const columns = labels.map((label, index) => {
+            const x = margin.left + slot * index + (slot - barWidth) / 2;
+            let base = 0;
+            const segments = series.map(({ label: seriesLabel, values }, seriesIndex) => {
+                const value = values[index];
+                if (!value) return '';
+                const top = y(base + value);
+                const rect = `
+                    <rect class="chart-bar chart-series-${seriesIndex + 1}" x="${x.toFixed(1)}" y="${top.toFixed(1)}"
+                          width="${barWidth.toFixed(1)}" height="${(y(base) - top).toFixed(1)}">
+                        <title>${escape(label)}: ${value} ${escape(seriesLabel)}</title>
+                    </rect>
+                `;
+                base += value;
+                return rect;
+            }).join('');
+
+            const axisLabel = index % labelEvery === 0 ? `
+                <text class="chart-axis" x="${(x + barWidth / 2).toFixed(1)}" y="${height - margin.bottom + 18}" text-anchor="middle">${escape(label)}</text>
+            ` : '';
+            return segments + axisLabel;
+        }).join('');
+
+        const peak = totals.indexOf(Math.max(...totals));
+        const description = labels.length
+            ? I18n.t('stats.columnSummary', '{from} to {to}; highest in {peak} with {count}.', {
+                from: labels[0],
+                to: labels[labels.length - 1],
+                peak: labels[peak],
+                count: totals[peak]
+            })
+            : '';
+
+        return {
+            series,
+            svg: `
+                <svg class="stats-svg" viewBox="0 0 ${width} ${height}" role="img" focusable="false">
+                    <desc>${escape(description)}</desc>
+                    ${grid.join('')}
+                    ${columns}
+                </svg>
+            `,
+            table: `
+                <table class="table table-sm stats-table">
+                    <thead>
+                        <tr><th scope="col"></th>${series.map(({ label }) => `<th scope="col">${escape(label)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${labels.map((label, index) => `
+                            <tr><th scope="row">${escape(label)}</th>${series.map(({ values }) => `<td>${values[index]}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `
+        };
+    }
+
+    // Horizontal bars for ranked items ({ label, value })
+    static barChart({ items, label, width = 640 }) {
+        const escape = PublicationList.escapeHtml;
+        const rowHeight = 26;
+        const labelWidth = 250;
+        const height = items.length * rowHeight + 8;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const barSpace = width - labelWidth - 40;
+        const truncate = text => (text.length > 38 ? `${text.slice(0, 37)}…` : text);
+
+        const rows = items.map((item, index) => {
+            const y = 4 + index * rowHeight;
+            const barWidth = Math.max(2, (item.value / max) * barSpace);
+            return `
+                <g class="chart-row">
+                    <title>${escape(item.label)}: ${item.value}</title>
+                    <text class="chart-axis" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${escape(truncate(item.label))}</text>
+                    <rect class="chart-bar chart-series-1" x="${labelWidth}" y="${y + 3}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="3"></rect>
+                    <text class="chart-value" x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 16}">${item.value}</text>
+                </g>
+            `;
+        }).join('');
+
+        const description = items.length
+            ? I18n.t('stats.barSummary', '{count} items, led by {first} ({value}).', {
+                count: items.length,
+                first: items[0].label,
+                value: items[0].value
+            })
+            : '';
+
+        return {
+            series: [{ label }],
+            svg: `
+                <svg class="stats-svg" viewBox="0 0 ${width} ${height}" role="img" focusable="false">
+                    <desc>${escape(description)}</desc>
+                    ${rows}
+                </svg>
+            `,
+            table: `
+                <table class="table table-sm stats-table">
+                    <thead><tr><th scope="col"></th><th scope="col">${escape(label)}</th></tr></thead>
+                    <tbody>
+                        ${items.map(item => `<tr><th scope="row">${escape(item.label)}</th><td>${item.value}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            `
+        };
+    }
+
+    // A round axis maximum and the step between gridlines (at most ~5 lines)
+    static scale(value) {
+        const step = Math.max(1, Math.ceil(value / 5));
+        return { max: Math.ceil(value / step) * step, step };
+    }
+
+    renderError() {
+        this.container.innerHTML = `
+            <p class="text-center text-muted publications-status">
+                ${I18n.t('stats.loadError', 'The publication statistics could not be computed.')}
+            </p>
+        `;
+    }
+}
+
+// ===== COMMAND PALETTE =====
+// Ctrl/Cmd+K dialog that searches data/search-index.json (built by
+// scripts/build-search-index.js) and runs site commands.
+class CommandPalette {
+    static INDEX_URL = 'data/search-index.json';
+    static MAX_RESULTS = 8;
+
+    static TYPE_LABELS = {
+        command: 'Command',
+        page: 'Page',
+        section: 'Section',
+        publication: 'Publication',
+        project: 'Project',
+        course: 'Course',
+        news: 'News'
+    };
+
+    constructor(app) {
+        this.app = app;
+        this.items = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.isOpen = false;
+        this.indexPromise = null;
+
+        this.element = this.createElement();
+        document.body.appendChild(this.element);
+        this.scope = new ModuleScope('command-palette', this.element);
+
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-results');
+
+        this.bindEvents();
+    }
+
+    destroy() {
+        if (this.isOpen) this.close();
+        this.scope.dispose();
+        this.element.remove();
+    }
+
+    createElement() {
+        const palette = document.createElement('div');
+        palette.className = 'command-palette';
+        palette.hidden = true;
+        palette.innerHTML = `
+            <div class="command-palette-backdrop" data-palette-close></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="Search the site">
+                <div class="command-palette-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="text" class="command-palette-input" placeholder="Search pages, publications, courses or type a command..."
+                        role="combobox" aria-expanded="true" aria-controls="commandPaletteResults" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="command-palette-results" id="commandPaletteResults" role="listbox" aria-label="Results"></ul>
+            </div>
+        `;
+        return palette;
+    }
+
+    bindEvents() {
+        this.scope.listen(this.input, 'input', () => {
+            this.activeIndex = 0;
+            this.update();
+        });
+
+        this.scope.listen(this.input, 'keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActive(this.activeIndex - 1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this.execute(this.results[this.activeIndex]);
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                    break;
+                case 'Tab':
+                    // Results are reached with the arrow keys; keep focus in the dialog
+                    e.preventDefault();
+                    break;
+            }
+        });
+
+        this.scope.listen(this.list, 'click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.execute(this.results[Number(option.dataset.index)]);
+            }
+        });
+
+        this.scope.listen(this.list, 'mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+
+        this.scope.listen(this.element.querySelector('[data-palette-close]'), 'click', () => this.close());
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.previousFocus = document.activeElement;
+        this.isOpen = true;
+        this.element.hidden = false;
+        document.body.classList.add('command-palette-open');
+        this.input.value = '';
+        this.activeIndex = 0;
+        this.input.focus();
+        this.update();
+
+        this.loadIndex().then(() => {
+            if (this.isOpen) this.update();
+        });
+    }
+
+    close() {
+        this.isOpen = false;
+        this.element.hidden = true;
+        document.body.classList.remove('command-palette-open');
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+    }
+
+    loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = fetch(CommandPalette.INDEX_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load ${CommandPalette.INDEX_URL} (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(index => {
+                    this.items = index.items.map(item => ({
+                        ...item,
+                        tokens: {
+                            title: PublicationSearch.tokenize(item.title),
+                            text: PublicationSearch.tokenize(`${item.text || ''} ${item.pageTitle || ''}`)
+                        }
+                    }));
+                })
+                .catch(error => {
+                    this.app.handleError(error, 'loading search index');
+                });
+        }
+        return this.indexPromise;
+    }
+
+    getCommands() {
+        const pages = this.items.filter(item => item.type === 'page');
+        const commands = [
+            ...Object.entries(SiteTheme.THEMES).map(([name, theme]) => ({
+                type: 'command',
+                title: `Theme: ${theme.label}`,
+                text: 'dark light system mode appearance palette color',
+                icon: theme.icon,
+                run: () => this.app.setTheme(name)
+            })),
+            {
+                type: 'command',
+                title: 'Download CV',
+                text: 'curriculum vitae resume pdf',
+                icon: 'fas fa-file-pdf',
+                url: 'cv/cv_phd_aitmlouk.pdf'
+            },
+            ...pages.map(page => ({
+                type: 'command',
+                title: `Go to ${page.title}`,
+                text: 'page navigate open',
+                icon: 'fas fa-arrow-right',
+                url: page.url
+            }))
+        ];
+
+        return commands.map(command => ({
+            ...command,
+            tokens: {
+                title: PublicationSearch.tokenize(command.title),
+                text: PublicationSearch.tokenize(command.text)
+            }
+        }));
+    }
+
+    // Every query token must match a title or text token (prefix or typo-tolerant)
+    score(item, queryTokens) {
+        let total = 0;
+
+        for (const term of queryTokens) {
+            const maxTypos = PublicationSearch.allowedTypos(term);
+            let best = 0;
+
+            [['title', 2], ['text', 1]].forEach(([field, weight]) => {
+                item.tokens[field].forEach(token => {
+                    let quality = 0;
+                    if (token === term) {
+                        quality = 1;
+                    } else if (token.startsWith(term)) {
+                        quality = 0.8;
+                    } else if (maxTypos && PublicationSearch.editDistance(term, token, maxTypos) <= maxTypos) {
+                        quality = 0.4;
+                    }
+                    best = Math.max(best, quality * weight);
+                });
+            });
+
+            if (!best) return 0;
+            total += best;
+        }
+
+        return total;
+    }
+
+    update() {
+        const queryTokens = PublicationSearch.tokenize(this.input.value);
+        const candidates = [...this.getCommands(), ...this.items];
+
+        if (!queryTokens.length) {
+            this.results = candidates.filter(item => item.type === 'command');
+        } else {
+            this.results = candidates
+                .map(item => ({ item, score: this.score(item, queryTokens) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CommandPalette.MAX_RESULTS)
+                .map(({ item }) => item);
+        }
+
+        this.activeIndex = Math.min(this.activeIndex, Math.max(this.results.length - 1, 0));
+        this.render();
+    }
+
+    render() {
+        const escape = PublicationList.escapeHtml;
+
+        if (!this.results.length) {
+            this.list.innerHTML = '<li class="command-palette-empty" role="presentation">No matches found</li>';
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((item, index) => `
+            <li class="command-palette-option" role="option" id="command-palette-option-${index}" data-index="${index}" aria-selected="${index === this.activeIndex}">
+                <span class="command-palette-type">${CommandPalette.TYPE_LABELS[item.type] || item.type}</span>
+                <span class="command-palette-title">
+                    ${item.icon ? `<i class="${item.icon}" aria-hidden="true"></i>` : ''}
+                    ${escape(item.title)}
+                </span>
+                ${item.pageTitle ? `<span class="command-palette-page">${escape(item.pageTitle)}</span>` : ''}
+            </li>
+        `).join('');
+
+        this.setActive(this.activeIndex);
+    }
+
+    setActive(index) {
+        if (!this.results.length) return;
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            const active = Number(option.dataset.index) === this.activeIndex;
+            option.setAttribute('aria-selected', String(active));
+            option.classList.toggle('active', active);
+            if (active && typeof option.scrollIntoView === 'function') {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+    }
+
+    execute(item) {
+        if (!item) return;
+        const query = this.input.value.trim();
+        this.close();
+
+        if (query) {
+            this.app.emit('search', { source: 'command-palette', query, result: item.url || item.title });
+        }
+
+        if (item.run) {
+            item.run();
+            return;
+        }
+
+        const target = new URL(item.url, window.location.href);
+        if (target.pathname === window.location.pathname && target.hash) {
+            if (target.hash === window.location.hash) {
+                this.app.scrollToHash();
+            } else {
+                window.location.hash = target.hash;
+            }
+        } else {
+            this.app.navigateToPage(target.href);
+        }
+    }
+}
+
+// ===== FORM VALIDATION =====
+// Declarative validation for forms marked with data-validate. Fields describe
+// their rules with attributes:
+//
+//     required, type="email"             built-in checks
+//     data-minlength, data-maxlength     length limits
+//     data-pattern                       regular expression the whole value must match
+//     data-match="<field id>"            must equal another field
+//     data-rules="name name:param"       rules registered with FormValidator.addRule()
+//     data-depends-on="<field id> ..."   revalidate when those fields change
+//     data-<rule>-message                replaces the default message for one rule
+//
+// Messages follow the closest lang attribute and are rendered in a
+// "<field id>-error" element referenced from aria-describedby. A valid submit
+// dispatches a cancelable "validsubmit" event; if nothing cancels it the form
+// is submitted normally.
+class FormValidator {
+    static EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    static MESSAGES = {
+        en: {
+            required: 'This field is required.',
+            email: 'Please enter a valid email address.',
+            minlength: 'Please enter at least {param} characters.',
+            maxlength: 'Please use no more than {param} characters.',
+            pattern: 'Please match the requested format.',
+            match: 'This field must match {label}.',
+            maxLinks: 'Please include no more than {param} links.',
+            invalid: 'Please check this field.',
+            summaryTitle: 'Please correct the following:',
+            summaryOne: '1 field needs attention',
+            summaryMany: '{count} fields need attention'
+        },
+        fr: {
+            required: 'Ce champ est obligatoire.',
+            email: 'Veuillez saisir une adresse e-mail valide.',
+            minlength: 'Veuillez saisir au moins {param} caractères.',
+            maxlength: 'Veuillez ne pas dépasser {param} caractères.',
+            pattern: 'Veuillez respecter le format demandé.',
+            match: 'Ce champ doit correspondre à {label}.',
+            maxLinks: 'Veuillez ne pas inclure plus de {param} liens.',
+            invalid: 'Veuillez vérifier ce champ.',
+            summaryTitle: 'Veuillez corriger les points suivants :',
+            summaryOne: '1 champ à corriger',
+            summaryMany: '{count} champs à corriger'
+        },
+        sv: {
+            required: 'Det här fältet är obligatoriskt.',
+            email: 'Ange en giltig e-postadress.',
+            minlength: 'Ange minst {param} tecken.',
+            maxlength: 'Använd högst {param} tecken.',
+            pattern: 'Följ det begärda formatet.',
+            match: 'Fältet måste stämma överens med {label}.',
+            maxLinks: 'Ta med högst {param} länkar.',
+            invalid: 'Kontrollera det här fältet.',
+            summaryTitle: 'Rätta följande:',
+            summaryOne: '1 fält behöver rättas',
+            summaryMany: '{count} fält behöver rättas'
+        }
+    };
+
+    // Named rules for data-rules. validate(value, { field, form, param }) returns
+    // true when the value is acceptable (or a Promise of that for async rules).
+    static RULES = {
+        maxLinks: {
+            validate: (value, { param }) => (value.match(/https?:\/\/|www\./gi) || []).length <= Number(param)
+        }
+    };
+
+    // message may be a string or { en, fr, sv }; runWhenEmpty lets cross-field
+    // rules such as "required if" check empty values
+    static addRule(name, validate, { message = '', async = false, runWhenEmpty = false } = {}) {
+        FormValidator.RULES[name] = { validate, message, async, runWhenEmpty };
+    }
+
+    static getValue(field) {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            return field.checked ? field.value : '';
+        }
+        return field.value.trim();
+    }
+
+    constructor(form, app) {
+        this.form = form;
+        this.app = app;
+        this.touched = new WeakSet();
+        this.pending = new Map();
+        this.summary = null;
+        this.isValidating = false;
+        this.scope = new ModuleScope('form-validator', form);
+
+        // Native bubbles would pre-empt the inline messages
+        form.noValidate = true;
+        this.bindEvents();
+    }
+
+    destroy() {
+        this.scope.dispose();
+        this.pending.clear();
+        if (this.summary) {
+            this.summary.remove();
+            this.summary = null;
+        }
+    }
+
+    bindEvents() {
+        this.scope.listen(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        });
+
+        this.scope.listen(this.form, 'focusout', (e) => {
+            const field = e.target;
+            if (!this.isValidatable(field) || (!FormValidator.getValue(field) && !this.touched.has(field))) return;
+            this.touched.add(field);
+            this.validateFieldAsync(field);
+        });
+
+        this.scope.listen(this.form, 'input', (e) => {
+            if (!e.target.id) return;
+            this.getFields()
+                .filter(field => this.touched.has(field) && this.getDependencies(field).includes(e.target.id))
+                .forEach(field => this.validateField(field));
+        });
+    }
+
+    async handleSubmit() {
+        if (this.isValidating) return;
+
+        this.isValidating = true;
+        let isValid = false;
+        try {
+            isValid = await this.validateForm();
+        } finally {
+            this.isValidating = false;
+        }
+        if (!isValid) return;
+
+        const event = new CustomEvent('validsubmit', { cancelable: true });
+        if (this.form.dispatchEvent(event)) {
+            this.form.submit();
+        }
+    }
+
+    // ===== FIELDS =====
+    isValidatable(field) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+            field.type !== 'hidden' &&
+            !field.disabled &&
+            !field.closest('[aria-hidden="true"]');
+    }
+
+    getFields() {
+        return [...this.form.elements].filter(field => this.isValidatable(field));
+    }
+
+    getDependencies(field) {
+        const ids = (field.dataset.dependsOn || '').split(/\s+/).filter(Boolean);
+        if (field.dataset.match) ids.push(field.dataset.match);
+        return ids;
+    }
+
+    // "name:param" pairs from data-rules
+    getRules(field) {
+        return (field.dataset.rules || '').split(/\s+/).filter(Boolean).map(rule => {
+            const [name, ...param] = rule.split(':');
+            return { name, param: param.join(':') };
+        });
+    }
+
+    getLabel(field) {
+        const label = field.labels && field.labels[0];
+        return label ? label.textContent.trim() : (field.getAttribute('aria-label') || field.name);
+    }
+
+    getLanguage() {
+        const source = this.form.closest('[lang]') || document.documentElement;
+        const lang = (source.getAttribute('lang') || 'en').slice(0, 2).toLowerCase();
+        return FormValidator.MESSAGES[lang] ? lang : 'en';
+    }
+
+    message(key, params = {}) {
+        const template = FormValidator.MESSAGES[this.getLanguage()][key] || FormValidator.MESSAGES.en[key] || key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    fieldMessage(field, key, params = {}) {
+        const override = field.dataset[`${key}Message`];
+        if (override) return override;
+
+        const rule = FormValidator.RULES[key];
+        if (rule && rule.message) {
+            const message = typeof rule.message === 'string'
+                ? rule.message
+                : rule.message[this.getLanguage()] || rule.message.en;
+            if (message) return message.replace(/\{param\}/g, params.param || '');
+        }
+
+        return this.message(FormValidator.MESSAGES.en[key] ? key : 'invalid', params);
+    }
+
+    // ===== CHECKS =====
+    // Runs every synchronous rule and returns the first error message ('' when valid)
+    checkField(field) {
+        const value = FormValidator.getValue(field);
+        const { minlength, maxlength, pattern, match } = field.dataset;
+
+        if (!value && field.required) {
+            return this.fieldMessage(field, 'required');
+        }
+
+        if (value) {
+            if (field.type === 'email' && !FormValidator.EMAIL_PATTERN.test(value)) {
+                return this.fieldMessage(field, 'email');
+            }
+            if (minlength && value.length < Number(minlength)) {
+                return this.fieldMessage(field, 'minlength', { param: minlength });
+            }
+            if (maxlength && value.length > Number(maxlength)) {
+                return this.fieldMessage(field, 'maxlength', { param: maxlength });
+            }
+            if (pattern && !new RegExp(`^(?:${pattern})$`).test(value)) {
+                return this.fieldMessage(field, 'pattern');
+            }
+        }
+
+        if (match) {
+            const other = document.getElementById(match);
+            if (other && FormValidator.getValue(other) !== value) {
+                return this.fieldMessage(field, 'match', { label: this.getLabel(other) });
+            }
+        }
+
+        for (const { name, param } of this.getRules(field)) {
+            const rule = FormValidator.RULES[name];
+            if (!rule || rule.async || (!value && !rule.runWhenEmpty)) continue;
+            if (!rule.validate(value, { field, form: this.form, param })) {
+                return this.fieldMessage(field, name, { param });
+            }
+        }
+
+        return '';
+    }
+
+    async checkFieldAsync(field) {
+        const message = this.checkField(field);
+        if (message) return message;
+
+        const value = FormValidator.getValue(field);
+        for (const { name, param } of this.getRules(field)) {
+            const rule = FormValidator.RULES[name];
+            if (!rule || !rule.async || (!value && !rule.runWhenEmpty)) continue;
+            try {
+                if (!(await rule.validate(value, { field, form: this.form, param }))) {
+                    return this.fieldMessage(field, name, { param });
+                }
+            } catch (error) {
+                // A failing remote check shouldn't stop people from submitting
+                this.app.handleError(error, `running validation rule "${name}"`);
+            }
+        }
+
+        return '';
+    }
+
+    // Synchronous check used while typing; errors only appear once a field
+    // has been left or the form submitted
+    validateField(field) {
+        this.pending.delete(field);
+        const message = this.checkField(field);
+
+        if (!message) {
+            this.setState(field, FormValidator.getValue(field) ? 'valid' : '', '');
+        } else if (this.touched.has(field)) {
+            this.setState(field, 'invalid', message);
+        } else {
+            this.setState(field, '', '');
+        }
+
+        return !message;
+    }
+
+    async validateFieldAsync(field) {
+        const token = {};
+        this.pending.set(field, token);
+
+        const message = await this.checkFieldAsync(field);
+        // The value changed while an async rule was running
+        if (this.pending.get(field) !== token) return !message;
+
+        this.pending.delete(field);
+        this.showError(field, message);
+        return !message;
+    }
+
+    async validateForm() {
+        const fields = this.getFields();
+        fields.forEach(field => this.touched.add(field));
+
+        const results = await Promise.all(fields.map(field => this.validateFieldAsync(field)));
+        const invalid = fields.filter((field, index) => !results[index]);
+
+        this.renderSummary(invalid);
+        if (invalid.length) {
+            invalid[0].focus();
+            this.app.announce(invalid.length === 1
+                ? this.message('summaryOne')
+                : this.message('summaryMany', { count: invalid.length }));
+        }
+
+        return !invalid.length;
+    }
+
+    reset() {
+        this.touched = new WeakSet();
+        this.pending.clear();
+        this.getFields().forEach(field => this.setState(field, '', ''));
+        this.renderSummary([]);
+    }
+
+    // ===== RENDERING =====
+    showError(field, message) {
+        this.setState(field, message ? 'invalid' : (FormValidator.getValue(field) ? 'valid' : ''), message);
+    }
+
+    setState(field, state, message) {
+        const container = field.parentElement;
+        container.classList.remove('valid', 'invalid');
+        if (state) container.classList.add(state);
+
+        this.getErrorElement(field).textContent = message;
+        if (message) {
+            field.setAttribute('aria-invalid', 'true');
+        } else {
+            field.removeAttribute('aria-invalid');
+        }
+
+        if (this.summary && !this.summary.hidden) {
+            this.renderSummary(this.getFields().filter(other => other.getAttribute('aria-invalid') === 'true'));
+        }
+    }
+
+    getErrorElement(field) {
+        if (!field.id) {
+            field.id = `${this.form.id || 'form'}-${field.name}`;
+        }
+
+        const id = `${field.id}-error`;
+        let errorElement = document.getElementById(id);
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.id = id;
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(id)) {
+            field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+        }
+
+        return errorElement;
+    }
+
+    renderSummary(invalidFields) {
+        if (!this.summary) {
+            if (!invalidFields.length) return;
+
+            this.summary = document.createElement('div');
+            this.summary.className = 'form-error-summary';
+            this.scope.listen(this.summary, 'click', (e) => {
+                const link = e.target.closest('a[data-field]');
+                if (!link) return;
+                e.preventDefault();
+                const field = document.getElementById(link.dataset.field);
+                if (field) field.focus();
+            });
+            this.form.prepend(this.summary);
+        }
+
+        this.summary.hidden = !invalidFields.length;
+        this.summary.innerHTML = invalidFields.length ? `
+            <p class="form-error-summary-title">${this.message('summaryTitle')}</p>
+            <ul>
+                ${invalidFields.map(field => `
+                    <li><a href="#${field.id}" data-field="${field.id}">${PublicationList.escapeHtml(this.getLabel(field))}: ${PublicationList.escapeHtml(this.getErrorElement(field).textContent)}</a></li>
+                `).join('')}
+            </ul>
+        ` : '';
+    }
+}
+
+// ===== CONTACT FORM =====
+// Sends the contact.html form through the adapter named in data-contact-adapter.
+// Messages that can't be delivered because the visitor is offline are kept in
+// IndexedDB and retried when the connection returns or the page is next opened.
+class ContactForm {
+    static ADAPTERS = {
+        json: { label: 'JSON endpoint', queueable: true, send: (payload, options) => ContactForm.sendJSON(payload, options) },
+        formspree: { label: 'Formspree', queueable: true, send: (payload, options) => ContactForm.sendFormspree(payload, options) },
+        mailto: { label: 'Email app', queueable: false, send: (payload, options) => ContactForm.openMailto(payload, options) }
+    };
+
+    // Submissions faster than this are assumed to come from bots
+    static MIN_FILL_TIME = 3000;
+    static RETRY_DELAYS = [30000, 120000, 600000];
+    static HONEYPOT_FIELD = 'website';
+    static DB_NAME = 'portfolio-contact';
+    static STORE_NAME = 'outbox';
+
+    static SUCCESS_MESSAGE = 'Thank you for your message! I will get back to you soon.';
+
+    constructor(form, app) {
+        this.form = form;
+        this.app = app;
+        this.endpoint = form.dataset.contactEndpoint || '';
+        this.email = form.dataset.contactEmail || '';
+        this.adapterName = this.resolveAdapter(form.dataset.contactAdapter);
+        this.validator = app.getFormValidator(form);
+        this.status = form.querySelector('.form-message');
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.submitLabel = '';
+        this.startedAt = Date.now();
+        this.isSubmitting = false;
+        this.isFlushing = false;
+        this.retryCount = 0;
+        this.retryTimer = null;
+        this.dbPromise = null;
+        this.isDestroyed = false;
+        this.scope = new ModuleScope('contact-form', form);
+    }
+
+    // Endpoint adapters fall back to mailto until an endpoint is configured
+    resolveAdapter(name) {
+        if (!ContactForm.ADAPTERS[name]) return 'mailto';
+        return name === 'mailto' || this.endpoint ? name : 'mailto';
+    }
+
+    init() {
+        // FormValidator has already checked every field when this fires
+        this.scope.listen(this.form, 'validsubmit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.scope.listen(window, 'online', () => this.flushQueue());
+        this.flushQueue();
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.scope.dispose();
+        clearTimeout(this.retryTimer);
+    }
+
+    // ===== SUBMISSION =====
+    async submit() {
+        if (this.isSubmitting) return;
+
+        // Bots are shown the normal confirmation so they have nothing to adapt to
+        if (this.isSpam()) {
+            this.complete(ContactForm.SUCCESS_MESSAGE);
+            return;
+        }
+
+        const adapter = ContactForm.ADAPTERS[this.adapterName];
+        const payload = this.getPayload();
+        this.setBusy(true);
+
+        try {
+            if (adapter.queueable && navigator.onLine === false) {
+                await this.enqueue(payload);
+                return;
+            }
+
+            const result = await adapter.send(payload, { endpoint: this.endpoint, email: this.email });
+            this.complete(result.message || ContactForm.SUCCESS_MESSAGE, 'success', result.reset !== false);
+        } catch (error) {
+            if (adapter.queueable && ContactForm.isNetworkError(error)) {
+                await this.enqueue(payload);
+                this.scheduleRetry();
+                return;
+            }
+
+            this.app.handleError(error, 'sending contact form');
+            this.showFieldErrors(error.fieldErrors || []);
+            this.showStatus('error', `Your message could not be sent. Please try again or email ${this.email} directly.`);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    isSpam() {
+        const honeypot = this.form.elements[ContactForm.HONEYPOT_FIELD];
+        if (honeypot && honeypot.value) return true;
+        return Date.now() - this.startedAt < ContactForm.MIN_FILL_TIME;
+    }
+
+    getFields() {
+        return [...this.form.elements].filter(field =>
+            field.name && field.name !== ContactForm.HONEYPOT_FIELD && !field.disabled);
+    }
+
+    getPayload() {
+        const payload = {};
+        this.getFields().forEach(field => {
+            payload[field.name] = field.value.trim();
+        });
+        return payload;
+    }
+
+    // Errors reported by the endpoint for individual fields, as [{ field, message }]
+    showFieldErrors(fieldErrors) {
+        let firstField = null;
+        fieldErrors.forEach(({ field: name, message }) => {
+            const field = this.form.elements[name];
+            if (!field) return;
+            this.validator.showError(field, message);
+            firstField = firstField || field;
+        });
+        if (firstField) firstField.focus();
+    }
+
+    complete(message, type = 'success', reset = true) {
+        if (reset) {
+            this.form.reset();
+            this.validator.reset();
+            this.getFields().forEach(field => field.parentElement.classList.remove('filled'));
+            this.startedAt = Date.now();
+        }
+        this.showStatus(type, message);
+    }
+
+    setBusy(isBusy) {
+        this.isSubmitting = isBusy;
+        this.form.classList.toggle('form-loading', isBusy);
+        this.form.setAttribute('aria-busy', String(isBusy));
+        if (!this.submitButton) return;
+
+        if (isBusy) {
+            this.submitLabel = this.submitButton.innerHTML;
+            this.submitButton.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Sending...';
+        } else if (this.submitLabel) {
+            this.submitButton.innerHTML = this.submitLabel;
+        }
+        this.submitButton.disabled = isBusy;
+    }
+
+    showStatus(type, message) {
+        this.app.announce(message);
+        if (!this.status) return;
+
+        this.status.className = `form-message visible ${type}`;
+        this.status.textContent = message;
+    }
+
+    // ===== ADAPTERS =====
+    static async sendJSON(payload, { endpoint }) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        if (!response.ok) {
+            const error = new Error(`Contact endpoint returned HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return {};
+    }
+
+    // Formspree-style endpoints take regular form fields and report problems
+    // as { errors: [{ field, message }] }
+    static async sendFormspree(payload, { endpoint }) {
+        const body = new FormData();
+        Object.entries(payload).forEach(([name, value]) => body.append(name, value));
+        if (payload.email) body.append('_replyto', payload.email);
+        if (payload.subject) body.append('_subject', payload.subject);
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { Accept: 'application/json' },
+            body
+        });
+        if (response.ok) return {};
+
+        const data = await response.json().catch(() => ({}));
+        const errors = Array.isArray(data.errors) ? data.errors : [];
+        const error = new Error(errors.map(({ message }) => message).join(' ') || `Contact endpoint returned HTTP ${response.status}`);
+        error.status = response.status;
+        error.fieldErrors = errors.filter(({ field }) => field);
+        throw error;
+    }
+
+    // Nothing is sent from the page: the visitor's email app opens with the
+    // message filled in, so the form is kept in case they cancel
+    static openMailto(payload, { email }) {
+        const subject = payload.topic ? `[${payload.topic}] ${payload.subject}` : payload.subject;
+        const body = `${payload.message}\n\n${payload.name} <${payload.email}>`;
+
+        window.location.href = `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return { message: 'Your email app should now open with the message ready to send.', reset: false };
+    }
+
+    // fetch() rejects with a TypeError only when the request never reached the server
+    static isNetworkError(error) {
+        return error instanceof TypeError;
+    }
+
+    // Worth sending again later: the server was unreachable, failing (5xx) or
+    // rate limiting (429). Other 4xx responses would be rejected the same way.
+    static isTemporaryError(error) {
+        return ContactForm.isNetworkError(error) || error.status >= 500 || error.status === 429;
+    }
+
+    // ===== OFFLINE QUEUE =====
+    openQueue() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(ContactForm.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(ContactForm.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async queueTransaction(mode, operation) {
+        const db = await this.openQueue();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(ContactForm.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(ContactForm.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async enqueue(payload) {
+        try {
+            await this.queueTransaction('readwrite', store => store.add({
+                adapter: this.adapterName,
+                endpoint: this.endpoint,
+                payload,
+                queuedAt: Date.now()
+            }));
+        } catch (error) {
+            this.app.handleError(error, 'queueing contact form');
+            this.showStatus('error', `You appear to be offline. Please try again later or email ${this.email} directly.`);
+            return;
+        }
+
+        this.complete('You appear to be offline. Your message has been saved and will be sent automatically once you are back online.', 'info');
+    }
+
+    async flushQueue() {
+        if (this.isFlushing || navigator.onLine === false || typeof indexedDB === 'undefined') return;
+
+        this.isFlushing = true;
+        clearTimeout(this.retryTimer);
+        let sent = 0;
+        let failed = 0;
+        let pending = 0;
+
+        try {
+            const queued = await this.queueTransaction('readonly', store => store.getAll());
+
+            for (const record of queued) {
+                const adapter = ContactForm.ADAPTERS[record.adapter];
+                try {
+                    if (!adapter || !adapter.queueable) {
+                        throw new Error(`Unknown contact adapter "${record.adapter}"`);
+                    }
+                    await adapter.send(record.payload, { endpoint: record.endpoint });
+                    sent++;
+                } catch (error) {
+                    if (ContactForm.isTemporaryError(error)) {
+                        pending++;
+                        continue;
+                    }
+                    // Rejected by the server: retrying would fail the same way
+                    this.app.handleError(error, 'sending queued contact form');
+                    failed++;
+                }
+                await this.queueTransaction('readwrite', store => store.delete(record.id));
+            }
+        } catch (error) {
+            this.app.handleError(error, 'reading contact queue');
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (failed) {
+            this.showStatus('error', `A message saved while you were offline could not be delivered. Please send it again or email ${this.email} directly.`);
+        } else if (sent) {
+            this.showStatus('success', sent === 1
+                ? 'Your message saved while offline has now been sent.'
+                : `Your ${sent} messages saved while offline have now been sent.`);
+        }
+
+        if (pending) {
+            this.scheduleRetry();
+        } else {
+            this.retryCount = 0;
+        }
+    }
+
+    scheduleRetry() {
+        if (this.isDestroyed) return;
+
+        const delays = ContactForm.RETRY_DELAYS;
+        const delay = delays[Math.min(this.retryCount, delays.length - 1)];
+        this.retryCount++;
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+    }
+}
+
+// ===== SITE LAYOUT =====
+// The navbar, footer and loading screen shared by every page, rendered from
+// the config below into <site-nav>, <site-footer> and <site-loading>:
+//
+//     <site-loading></site-loading>
+//     <site-nav></site-nav>
+//     <main id="main-content" tabindex="-1">...</main>
+//     <site-footer></site-footer>
+//
+// Adding a page or a link only takes an entry here. The render functions
+// return plain markup so Node scripts can reuse them (see build-search-index.js).
+class SiteLayout {
+    static BRAND = { name: 'Dr. Addi Ait-Mlouk', image: 'img/personal/me-2.jpg', width: 816, height: 906 };
+
+    // page matches ModernPortfolio.getCurrentPage(); nav: false keeps a page
+    // out of the navbar (it is still indexed for search)
+    static PAGES = [
+        { page: 'index', href: 'index.html', label: 'Home', icon: 'fas fa-home', key: 'nav.home' },
+        { page: 'about', href: 'about.html', label: 'About', icon: 'fas fa-user', key: 'nav.about' },
+        { page: 'research', href: 'research.html', label: 'Research', icon: 'fas fa-microscope', key: 'nav.research' },
+        { page: 'publications', href: 'publications.html', label: 'Publications', icon: 'fas fa-file-alt', key: 'nav.publications' },
+        { page: 'projects', href: 'projects.html', label: 'Projects', icon: 'fas fa-project-diagram', key: 'nav.projects' },
+        { page: 'teaching', href: 'teaching.html', label: 'Teaching', icon: 'fas fa-chalkboard-teacher', key: 'nav.teaching' },
+        { page: 'news', href: 'news.html', label: 'News', icon: 'fas fa-newspaper', key: 'nav.news', nav: false },
+        { page: 'divers', href: 'divers.html', label: 'Divers', icon: 'fas fa-th', key: 'nav.divers' },
+        { page: 'contact', href: 'contact.html', label: 'Contact', icon: 'fas fa-envelope', key: 'nav.contact' }
+    ];
+
+    // Footer columns list pages by name, or links of their own
+    static FOOTER_GROUPS = [
+        { title: 'Navigation', key: 'footer.navigation', links: ['index', 'about', 'research', 'publications'] },
+        {
+            title: 'Academic',
+            key: 'footer.academic',
+            links: ['projects', 'teaching', 'divers', 'contact', { href: 'cv/cv_phd_aitmlouk.pdf', label: 'Download CV', key: 'footer.cv' }]
+        }
+    ];
+
+    static SOCIAL_LINKS = [
+        { href: '#', label: 'LinkedIn', icon: 'fab fa-linkedin-in' },
+        { href: '#', label: 'Google Scholar', icon: 'fas fa-graduation-cap' },
+        { href: '#', label: 'ResearchGate', icon: 'fab fa-researchgate' },
+        { href: '#', label: 'ORCID', icon: 'fab fa-orcid' }
+    ];
+
+    static LEGAL_LINKS = [
+        { href: '#', label: 'Privacy Policy', key: 'footer.privacyPolicy' },
+        { href: '#', label: 'Terms of Use', key: 'footer.terms' },
+        { href: '#', label: 'Privacy settings', key: 'footer.privacySettings', attributes: 'data-consent-settings' }
+    ];
+
+    static getPage(name) {
+        return SiteLayout.PAGES.find(page => page.page === name);
+    }
+
+    // ===== RENDERING =====
+    static renderLoading() {
+        return `
+            <div id="loading-screen" class="loading-screen modern-loading">
+                <div class="loading-content">
+                    <div class="loading-spinner">
+                        <div class="spinner-circle"></div>
+                    </div>
+                    <div class="loading-text">
+                        <h3 class="brand-text" data-i18n="loading">Loading...</h3>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    static renderThemeToggle(id, className) {
+        return `
+            <button id="${id}" class="btn btn-ghost btn-sm${className ? ` ${className}` : ''}" aria-label="Toggle theme">
+                <i class="fas fa-sun theme-icon light-icon"></i>
+                <i class="fas fa-moon theme-icon dark-icon"></i>
+            </button>
+        `;
+    }
+
+    static renderNav(currentPage) {
+        const escape = PublicationList.escapeHtml;
+        const { name, image, width, height } = SiteLayout.BRAND;
+
+        const links = SiteLayout.PAGES.filter(page => page.nav !== false).map(page => {
+            const isActive = page.page === currentPage;
+            return `
+                <li class="nav-item">
+                    <a class="nav-link${isActive ? ' active' : ''}" href="${page.href}" data-page="${page.page}"${isActive ? ' aria-current="page"' : ''}>
+                        <i class="${page.icon} nav-icon"></i>
+                        <span data-i18n="${page.key}">${escape(page.label)}</span>
+                    </a>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <nav id="main-navbar" class="navbar navbar-expand-lg fixed-top modern-nav glass-nav" data-aos="fade-down">
+                <div class="container-fluid px-4">
+                    <a class="navbar-brand modern-brand" href="index.html">
+                        <div class="brand-container">
+                            <img src="${image}" alt="${escape(name)}" class="brand-logo" width="${width}" height="${height}" sizes="40px" loading="eager">
+                            <span class="brand-text"></span>
+                        </div>
+                    </a>
+
+                    <!-- Mobile Menu Controls - Always Visible -->
+                    <div class="navbar-controls d-flex align-items-center ms-auto d-lg-none">
+                        ${SiteLayout.renderThemeToggle('theme-toggle-mobile', 'me-2')}
+                        <button class="navbar-toggler modern-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav" aria-controls="navbarNav" aria-expanded="false" aria-label="Toggle navigation" data-i18n-attr="aria-label:nav.toggle">
+                            <span class="toggler-line"></span>
+                            <span class="toggler-line"></span>
+                            <span class="toggler-line"></span>
+                        </button>
+                    </div>
+
+                    <div class="collapse navbar-collapse" id="navbarNav">
+                        <ul class="navbar-nav mx-auto modern-nav-list">${links}</ul>
+
+                        <!-- Dark Mode Toggle - Desktop Only -->
+                        <div class="navbar-actions d-none d-lg-flex align-items-center">
+                            ${SiteLayout.renderThemeToggle('theme-toggle')}
+                        </div>
+                    </div>
+                </div>
+            </nav>
+        `;
+    }
+
+    static renderLink(link) {
+        const escape = PublicationList.escapeHtml;
+        const item = typeof link === 'string' ? SiteLayout.getPage(link) : link;
+        return `<a href="${item.href}" data-i18n="${item.key}">${escape(item.label)}</a>`;
+    }
+
+    static renderFooter() {
+        const escape = PublicationList.escapeHtml;
+        const { name, image, width, height } = SiteLayout.BRAND;
+
+        const groups = SiteLayout.FOOTER_GROUPS.map(group => `
+            <div class="col-lg-2 col-md-6">
+                <div class="footer-section">
+                    <h2 class="footer-title" data-i18n="${group.key}">${escape(group.title)}</h2>
+                    <ul class="footer-links">
+                        ${group.links.map(link => `<li>${SiteLayout.renderLink(link)}</li>`).join('')}
+                    </ul>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <footer class="modern-footer">
+                <div class="container">
+                    <div class="footer-content">
+                        <div class="row">
+                            <div class="col-lg-4">
+                                <div class="footer-section">
+                                    <div class="footer-brand mb-4">
+                                        <img src="${image}" alt="${escape(name)}" class="footer-logo me-2" width="${width}" height="${height}" sizes="48px">
+                                        <span class="footer-brand-text">${escape(name)}</span>
+                                    </div>
+                                    <p class="footer-description" data-i18n="footer.description">
+                                        Advancing the frontiers of computer science and data analytics through
+                                        innovative research and academic excellence.
+                                    </p>
+                                </div>
+                            </div>
+                            ${groups}
+                            <div class="col-lg-4">
+                                <div class="footer-section">
+                                    <h2 class="footer-title" data-i18n="footer.connect">Connect</h2>
+                                    <div class="social-links">
+                                        ${SiteLayout.SOCIAL_LINKS.map(link => `
+                                            <a href="${link.href}" class="social-link" aria-label="${escape(link.label)}">
+                                                <i class="${link.icon}"></i>
+                                            </a>
+                                        `).join('')}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="footer-bottom">
+                        <div class="row align-items-center">
+                            <div class="col-md-6">
+                                <p class="footer-copyright" data-i18n="footer.copyright">
+                                    © 2025 ${escape(name)}. All rights reserved.
+                                </p>
+                            </div>
+                            <div class="col-md-6 text-md-end">
+                                <div class="footer-links-bottom">
+                                    ${SiteLayout.LEGAL_LINKS.map(link => `
+                                        <a href="${link.href}" class="footer-link-bottom"${link.attributes ? ` ${link.attributes}` : ''} data-i18n="${link.key}">${escape(link.label)}</a>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </footer>
+        `;
+    }
+
+    // The router keeps the navbar, so the active link follows the page shown
+    static setActivePage(page, root = document) {
+        root.querySelectorAll('.nav-link[data-page]').forEach(link => {
+            const isActive = link.dataset.page === page;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // ===== CUSTOM ELEMENTS =====
+    // Defined as soon as the script runs, so the markup is in place before
+    // ModernPortfolio looks for #main-navbar, #theme-toggle or #loading-screen.
+    // Elements that already hold markup (pre-rendered copies) are left alone.
+    static define() {
+        if (typeof customElements === 'undefined' || customElements.get('site-nav')) return;
+
+        const layoutElement = render => class extends HTMLElement {
+            connectedCallback() {
+                if (!this.firstElementChild) {
+                    this.innerHTML = render();
+                }
+            }
+        };
+
+        customElements.define('site-loading', layoutElement(() => SiteLayout.renderLoading()));
+        customElements.define('site-nav', layoutElement(() => SiteLayout.renderNav(ModernPortfolio.getPageName(window.location))));
+        customElements.define('site-footer', layoutElement(() => SiteLayout.renderFooter()));
+    }
+}
+
+// ===== PAGE ROUTER =====
+// PJAX-style navigation: internal links fetch the target page and swap only
+// #main-content, so the navbar, footer, Bootstrap and AOS stay loaded. Links
+// it can't handle (other origins, downloads, modified clicks, data-no-router)
+// and pages without #main-content fall back to a normal page load.
+class PageRouter {
+    static CONTENT_ID = 'main-content';
+
+    // Head elements that describe the page and are replaced on navigation
+    static HEAD_SELECTORS = [
+        'meta[name="description"]',
+        'meta[name="keywords"]',
+        'meta[property^="og:"]',
+        'meta[name^="twitter:"]',
+        'link[rel="canonical"]',
+        'link[rel="alternate"][hreflang]'
+    ];
+
+    constructor(app) {
+        this.app = app;
+        this.cache = new Map();
+        this.currentPath = window.location.pathname;
+        this.navigationId = 0;
+    }
+
+    init(scope) {
+        if (!document.getElementById(PageRouter.CONTENT_ID)) return false;
+        if (!window.fetch || !window.DOMParser || !window.history.pushState) return false;
+
+        // Back/forward positions are restored by hand once the content is swapped
+        history.scrollRestoration = 'manual';
+        this.saveScrollPosition();
+        scope.onCleanup(() => {
+            history.scrollRestoration = 'auto';
+            this.navigationId++;
+        });
+
+        scope.listen(document, 'click', (e) => this.handleClick(e));
+        scope.listen(window, 'popstate', (e) => this.handlePopState(e));
+        scope.listen(window, 'scroll', this.app.debounce(() => this.saveScrollPosition(), 150), { passive: true });
+
+        // Start fetching as soon as a link is pointed at
+        const prefetch = (e) => {
+            const link = e.target.closest && e.target.closest('a[href]');
+            if (link && this.isRoutable(link)) this.fetchPage(link.href).catch(() => {});
+        };
+        scope.listen(document, 'mouseover', prefetch, { passive: true });
+        scope.listen(document, 'focusin', prefetch);
+
+        return true;
+    }
+
+    isRoutable(link) {
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download') || link.hasAttribute('data-no-router')) {
+            return false;
+        }
+
+        const url = new URL(link.href, window.location.href);
+        return url.origin === window.location.origin && /(\.html|\/)$/.test(url.pathname);
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || !this.isRoutable(link)) return;
+
+        // In-page anchors keep the browser's own hash navigation
+        const url = new URL(link.href, window.location.href);
+        if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return;
+
+        e.preventDefault();
+        this.navigate(url.href);
+    }
+
+    handlePopState(e) {
+        // Query and hash changes within a page belong to that page's modules
+        if (window.location.pathname === this.currentPath) return;
+
+        const scrollY = e.state && typeof e.state.scrollY === 'number' ? e.state.scrollY : 0;
+        this.navigate(window.location.href, { push: false, scrollY });
+    }
+
+    saveScrollPosition() {
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+    }
+
+    // ===== LOADING =====
+    fetchPage(href) {
+        const url = new URL(href, window.location.href);
+        url.hash = '';
+
+        if (!this.cache.has(url.href)) {
+            const request = fetch(url.href, { headers: { Accept: 'text/html' } }).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${url.pathname} (HTTP ${response.status})`);
+                }
+                return response.text();
+            });
+            request.catch(() => this.cache.delete(url.href));
+            this.cache.set(url.href, request);
+        }
+
+        return this.cache.get(url.href);
+    }
+
+    async navigate(href, { push = true, scrollY = null } = {}) {
+        const navigationId = ++this.navigationId;
+        this.saveScrollPosition();
+        document.documentElement.classList.add('page-loading');
+
+        let page;
+        try {
+            const html = await this.fetchPage(href);
+            page = new DOMParser().parseFromString(html, 'text/html');
+        } catch (error) {
+            this.app.handleError(error, 'loading page');
+            window.location.href = href;
+            return;
+        } finally {
+            document.documentElement.classList.remove('page-loading');
+        }
+
+        // A newer navigation started while this page was loading
+        if (navigationId !== this.navigationId) return;
+
+        const content = page.getElementById(PageRouter.CONTENT_ID);
+        if (!content) {
+            window.location.href = href;
+            return;
+        }
+
+        if (push) {
+            history.pushState({ scrollY: 0 }, '', href);
+        }
+
+        try {
+            await this.transition(() => this.swap(page, content));
+        } catch (error) {
+            // The page is half-swapped at this point; a real load is the safe way out
+            this.app.handleError(error, 'swapping page content');
+            window.location.reload();
+            return;
+        }
+
+        this.restoreScroll(scrollY);
+        this.app.announcePageChange();
+    }
+
+    // Cross-fades with the View Transitions API where it exists
+    async transition(update) {
+        const reduceMotion = Accessibility.prefersReducedMotion();
+        if (!document.startViewTransition || reduceMotion) {
+            update();
+            return;
+        }
+
+        await document.startViewTransition(update).updateCallbackDone;
+    }
+
+    swap(page, content) {
+        this.app.destroyPage();
+
+        document.title = page.title;
+        document.documentElement.lang = page.documentElement.lang || document.documentElement.lang;
+        PageRouter.HEAD_SELECTORS.forEach(selector => {
+            document.head.querySelectorAll(selector).forEach(element => element.remove());
+            page.head.querySelectorAll(selector).forEach(element => {
+                document.head.appendChild(document.importNode(element, true));
+            });
+        });
+
+        const next = document.importNode(content, true);
+        document.getElementById(PageRouter.CONTENT_ID).replaceWith(next);
+
+        this.currentPath = window.location.pathname;
+        this.app.currentPage = this.app.getCurrentPage();
+        this.app.updateActiveNavLink();
+        this.app.initPage(next);
+
+        // Newly inserted [data-aos] nodes stay hidden until AOS rescans the page
+        if (typeof AOS !== 'undefined') {
+            AOS.refreshHard();
+        }
+    }
+
+    restoreScroll(scrollY) {
+        const content = document.getElementById(PageRouter.CONTENT_ID);
+        content.focus({ preventScroll: true });
+
+        if (scrollY !== null) {
+            window.scrollTo(0, scrollY);
+        } else if (window.location.hash) {
+            this.app.scrollToHash();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+}
+
+// ===== NEWS =====
+// News lives in data/news.json. The same items render news.html (paginated,
+// filterable by tag and year), the latest-news carousel on the home page
+// (data-news-view="latest") and feed.xml / feed.json (scripts/build-feeds.js).
+class NewsList {
+    static PAGE_SIZE = 5;
+
+    // Shared between the views so navigating home -> news fetches once
+    static requests = new Map();
+
+    static fetchItems(src) {
+        if (!NewsList.requests.has(src)) {
+            const request = fetch(src).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${src} (HTTP ${response.status})`);
+                }
+                return response.json();
+            }).then(data => NewsList.normalizeItems(data.items || data));
+
+            request.catch(() => NewsList.requests.delete(src));
+            NewsList.requests.set(src, request);
+        }
+
+        return NewsList.requests.get(src);
+    }
+
+    static normalizeItems(records) {
+        return records
+            .map(record => NewsList.normalizeItem(record))
+            .filter(item => item.title && item.date)
+            .sort((a, b) => b.date - a.date);
+    }
+
+    static normalizeItem(record) {
+        const title = String(record.title || '').trim();
+        const date = NewsList.parseDate(record.date);
+        const tags = Array.isArray(record.tags) ? record.tags.map(tag => String(tag).trim()).filter(Boolean) : [];
+
+        return {
+            id: record.id || ModernPortfolio.slugify(title),
+            title,
+            icon: record.icon || '',
+            date,
+            year: date ? date.getUTCFullYear() : null,
+            category: record.category || '',
+            tags,
+            summary: String(record.summary || '').trim(),
+            url: record.url || '',
+            linkLabel: record.linkLabel || ''
+        };
+    }
+
+    // Dates are calendar days ("2024-11-08"); they stay in UTC so they never
+    // shift with the reader's timezone
+    static parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+        if (!match) return null;
+        return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    }
+
+    static formatDate(date, options) {
+        return I18n.formatDate(date, options);
+    }
+
+    static toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static isExternal(url) {
+        return /^https?:\/\//i.test(url);
+    }
+
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.src = container.dataset.newsSrc;
+        this.view = container.dataset.newsView || 'list';
+        this.limit = parseInt(container.dataset.newsLimit, 10) || 6;
+        this.pageSize = parseInt(container.dataset.newsPageSize, 10) || NewsList.PAGE_SIZE;
+        this.items = [];
+        this.activeTag = null;
+        this.activeYear = null;
+        this.page = 1;
+        this.isDestroyed = false;
+        this.scope = new ModuleScope('news-list', container);
+        this.handlePopState = () => {
+            this.restoreState();
+            this.update();
+        };
+    }
+
+    async load() {
+        const items = await NewsList.fetchItems(this.src);
+        // The router navigated away while the data was loading
+        if (this.isDestroyed) return;
+
+        this.items = items;
+        this.scope.onCleanup(this.app.on('language:change', () => this.localize()));
+
+        if (this.view === 'latest') {
+            this.renderLatest();
+            return;
+        }
+
+        this.restoreState();
+        this.render();
+        this.bindControls();
+        this.update();
+
+        // Deep links such as news.html#news-<id> resolve once rendered
+        this.app.scrollToHash();
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.scope.dispose();
+    }
+
+    // Dates and labels follow the page language; the click handlers live on
+    // the container, so re-rendering the markup is enough
+    localize() {
+        if (this.view === 'latest') {
+            this.renderLatest();
+            return;
+        }
+
+        this.render();
+        this.update();
+    }
+
+    getLinkLabel(item) {
+        return item.linkLabel || I18n.t('news.readMore', 'Read More');
+    }
+
+    renderError() {
+        const feed = `<a href="feed.xml">${I18n.t('news.feed', 'news feed')}</a>`;
+        this.container.innerHTML = `
+            <p class="text-center text-muted news-status">
+                ${I18n.t('news.loadError', 'News could not be loaded right now. Please see the {feed} instead.', { feed })}
+            </p>
+        `;
+    }
+
+    // ===== HOME PAGE CAROUSEL =====
+    renderLatest() {
+        this.container.innerHTML = this.renderSlides();
+
+        const carousel = Carousel.get(this.container.closest('[data-module~="carousel"]'));
+        if (carousel) {
+            carousel.refresh();
+        }
+        this.app.emit('content:change', { source: 'news', root: this.container });
+    }
+
+    renderSlides() {
+        const escape = PublicationList.escapeHtml;
+
+        return this.items.slice(0, this.limit).map(item => {
+            const href = item.url || `news.html#news-${item.id}`;
+            const target = NewsList.isExternal(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+
+            return `
+                <div class="news-slide" data-date="${NewsList.toISODate(item.date)}">
+                    <div class="news-card h-100">
+                        <div class="news-date">
+                            <div class="date-badge">
+                                <span class="day">${item.date.getUTCDate()}</span>
+                                <span class="month">${NewsList.formatDate(item.date, { month: 'short', year: 'numeric' })}</span>
+                            </div>
+                        </div>
+                        <div class="news-content">
+                            ${item.category ? `<div class="news-category">${escape(item.category)}</div>` : ''}
+                            <h3 class="news-title">${escape(item.title)}</h3>
+                            <p class="news-excerpt">${escape(item.summary)}</p>
+                            <a href="${escape(href)}" class="news-link"${target}>
+                                ${escape(this.getLinkLabel(item))} <i class="fas fa-arrow-right"></i>
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ===== NEWS PAGE =====
+    getTags() {
+        const tags = new Map();
+        this.items.forEach(item => item.tags.forEach(tag => {
+            const key = ModernPortfolio.slugify(tag);
+            if (!tags.has(key)) tags.set(key, tag);
+        }));
+        return [...tags].map(([key, label]) => ({ key, label })).sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    getYears() {
+        return [...new Set(this.items.map(item => item.year))].sort((a, b) => b - a);
+    }
+
+    hasTag(item, tag) {
+        return item.tags.some(label => ModernPortfolio.slugify(label) === tag);
+    }
+
+    getFilteredItems({ ignoreYear = false } = {}) {
+        return this.items.filter(item => {
+            if (this.activeTag && !this.hasTag(item, this.activeTag)) return false;
+            return ignoreYear || !this.activeYear || item.year === this.activeYear;
+        });
+    }
+
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.getFilteredItems().length / this.pageSize));
+    }
+
+    restoreState() {
+        const { tag, year, page } = this.app.readUrlState();
+
+        this.activeTag = this.getTags().some(({ key }) => key === tag) ? tag : null;
+        this.activeYear = this.getYears().includes(Number(year)) ? Number(year) : null;
+        this.page = Math.min(Math.max(1, parseInt(page, 10) || 1), this.getPageCount());
+
+        // A deep link to an item opens the page that holds it
+        const id = decodeURIComponent(window.location.hash.slice(1)).replace(/^news-/, '');
+        if (id && this.items.some(item => item.id === id)) {
+            if (!this.getFilteredItems().some(item => item.id === id)) {
+                this.activeTag = null;
+                this.activeYear = null;
+            }
+            const index = this.getFilteredItems().findIndex(item => item.id === id);
+            this.page = Math.floor(index / this.pageSize) + 1;
+        }
+    }
+
+    syncUrl({ push = false } = {}) {
+        this.app.writeUrlState({
+            tag: this.activeTag,
+            year: this.activeYear,
+            page: this.page > 1 ? this.page : null
+        }, { push });
+    }
+
+    render() {
+        const escape = PublicationList.escapeHtml;
+        const tags = this.getTags();
+
+        this.container.innerHTML = `
+            <div class="news-filters">
+                <div class="filter-tabs news-tags" role="group" aria-label="${I18n.t('news.filterLabel', 'Filter news by topic')}">
+                    <button type="button" class="filter-tab" data-news-tag="">${I18n.t('news.all', 'All')}</button>
+                    ${tags.map(({ key, label }) => `
+                        <button type="button" class="filter-tab" data-news-tag="${key}">${escape(label)}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="row g-4">
+                <div class="col-lg-9">
+                    <div class="news-list" data-news-items tabindex="-1"></div>
+                    <nav class="news-pagination" data-news-pagination aria-label="${I18n.t('news.pages', 'News pages')}"></nav>
+                </div>
+                <aside class="col-lg-3">
+                    <div class="news-archive">
+                        <h2 class="news-archive-title">${I18n.t('news.archive', 'Archive')}</h2>
+                        <ul class="news-archive-list">
+                            <li>
+                                <button type="button" class="news-archive-link" data-news-year="">
+                                    ${I18n.t('news.allYears', 'All years')} <span class="news-archive-count" data-news-count=""></span>
+                                </button>
+                            </li>
+                            ${this.getYears().map(year => `
+                                <li>
+                                    <button type="button" class="news-archive-link" data-news-year="${year}">
+                                        ${year} <span class="news-archive-count" data-news-count="${year}"></span>
+                                    </button>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                </aside>
+            </div>
+        `;
+
+        this.list = this.container.querySelector('[data-news-items]');
+        this.pagination = this.container.querySelector('[data-news-pagination]');
+    }
+
+    renderItem(item) {
+        const escape = PublicationList.escapeHtml;
+        const target = NewsList.isExternal(item.url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+
+        return `
+            <article class="news-item" id="news-${escape(item.id)}">
+                <h3 class="news-title">${item.icon ? `${escape(item.icon)} ` : ''}${escape(item.title)}</h3>
+                <p class="news-content">${escape(item.summary)}</p>
+                ${item.url ? `
+                    <p class="news-link">
+                        🔗 <a href="${escape(item.url)}"${target}>${escape(this.getLinkLabel(item))}</a>
+                    </p>
+                ` : ''}
+                <div class="news-meta">
+                    ${item.tags.length ? `
+                        <ul class="news-item-tags" aria-label="${I18n.t('news.topics', 'Topics')}">
+                            ${item.tags.map(tag => `
+                                <li><button type="button" class="news-tag" data-news-tag="${ModernPortfolio.slugify(tag)}">${escape(tag)}</button></li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                    <time class="news-date" datetime="${NewsList.toISODate(item.date)}">${NewsList.formatDate(item.date)}</time>
+                </div>
+            </article>
+        `;
+    }
+
+    // Items are newest first, so a heading opens each year on the page
+    renderItems(items) {
+        let currentYear = null;
+        return items.map(item => {
+            const heading = item.year !== currentYear ? `<h2 class="news-year">${item.year}</h2>` : '';
+            currentYear = item.year;
+            return heading + this.renderItem(item);
+        }).join('');
+    }
+
+    renderPagination(pageCount) {
+        if (pageCount <= 1) {
+            this.pagination.innerHTML = '';
+            return;
+        }
+
+        const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+        this.pagination.innerHTML = `
+            <button type="button" class="news-page-btn" data-news-page="${this.page - 1}" aria-label="${I18n.t('news.previousPage', 'Previous page')}"${this.page === 1 ? ' disabled' : ''}>
+                <i class="fas fa-chevron-left" aria-hidden="true"></i>
+            </button>
+            ${pages.map(page => `
+                <button type="button" class="news-page-btn${page === this.page ? ' active' : ''}" data-news-page="${page}"
+                        aria-label="${I18n.t('news.page', 'Page {page}', { page })}"${page === this.page ? ' aria-current="page"' : ''}>${page}</button>
+            `).join('')}
+            <button type="button" class="news-page-btn" data-news-page="${this.page + 1}" aria-label="${I18n.t('news.nextPage', 'Next page')}"${this.page === pageCount ? ' disabled' : ''}>
+                <i class="fas fa-chevron-right" aria-hidden="true"></i>
+            </button>
+        `;
+    }
+
+    // Re-renders the current page and syncs the filter buttons with the state
+    update() {
+        const items = this.getFilteredItems();
+        const pageCount = this.getPageCount();
+        this.page = Math.min(this.page, pageCount);
+
+        const start = (this.page - 1) * this.pageSize;
+        const pageItems = items.slice(start, start + this.pageSize);
+
+        this.list.innerHTML = this.renderItems(pageItems) ||
+            `<p class="text-center text-muted news-status">${I18n.t('news.noResults', 'No news matches this filter.')}</p>`;
+
+        this.renderPagination(pageCount);
+
+        this.container.querySelectorAll('.news-tags [data-news-tag]').forEach(button => {
+            const isActive = button.dataset.newsTag === (this.activeTag || '');
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        const yearCounts = new Map();
+        const tagItems = this.getFilteredItems({ ignoreYear: true });
+        tagItems.forEach(item => yearCounts.set(item.year, (yearCounts.get(item.year) || 0) + 1));
+
+        this.container.querySelectorAll('[data-news-year]').forEach(button => {
+            const isActive = button.dataset.newsYear === String(this.activeYear || '');
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+        this.container.querySelectorAll('[data-news-count]').forEach(count => {
+            const year = Number(count.dataset.newsCount);
+            count.textContent = `(${year ? yearCounts.get(year) || 0 : tagItems.length})`;
+        });
+
+        this.app.emit('content:change', { source: 'news', root: this.container });
+    }
+
+    bindControls() {
+        this.scope.listen(this.container, 'click', (e) => {
+            const tagButton = e.target.closest('[data-news-tag]');
+            const yearButton = e.target.closest('[data-news-year]');
+            const pageButton = e.target.closest('[data-news-page]');
+
+            if (tagButton) {
+                this.activeTag = tagButton.dataset.newsTag || null;
+                this.page = 1;
+            } else if (yearButton) {
+                this.activeYear = Number(yearButton.dataset.newsYear) || null;
+                this.page = 1;
+            } else if (pageButton) {
+                this.page = Number(pageButton.dataset.newsPage);
+            } else {
+                return;
+            }
+
+            this.update();
+            this.syncUrl({ push: true });
+            this.announceResults();
+            if (!pageButton) {
+                this.app.emit('filter:change', {
+                    list: 'news',
+                    filter: tagButton ? this.activeTag || 'all' : String(this.activeYear || 'all')
+                });
+            }
+
+            // Page buttons are re-rendered, so focus moves to the new page
+            if (pageButton) {
+                this.list.focus({ preventScroll: true });
+                window.scrollTo({
+                    top: this.list.getBoundingClientRect().top + window.pageYOffset - 100,
+                    behavior: Accessibility.scrollBehavior()
+                });
+            }
+        });
+
+        this.scope.listen(window, 'popstate', this.handlePopState);
+    }
+
+    announceResults() {
+        const count = this.getFilteredItems().length;
+        const pageCount = this.getPageCount();
+        const message = I18n.t('news.results', { one: '{count} news item', other: '{count} news items' }, { count });
+        const page = pageCount > 1 ? I18n.t('news.resultsPage', ', page {page} of {pageCount}', { page: this.page, pageCount }) : '';
+        this.app.announce(message + page);
+    }
+}
+
+// ===== CAROUSEL =====
+// Accessible carousel following the WAI-ARIA carousel pattern. Any number per
+// page; each is configured from data attributes:
+//
+//     <div data-module="carousel" aria-label="Latest news" data-carousel-autoplay="5000" data-carousel-loop>
+//         <button data-carousel-play></button>
+//         <div data-carousel-track>...slides...</div>
+//         <button data-carousel-prev></button>
+//         <button data-carousel-next></button>
+//         <div data-carousel-dots></div>
+//     </div>
+//
+// Slides are the children of the track; call refresh() after changing them.
+// Instances fire carousel:change,
+// carousel:play and carousel:pause on the root; Carousel.get(root) returns
+// the instance for scripting (next, prev, goTo, play, pause).
+class Carousel {
+    static DEFAULTS = {
+        autoplay: 0,
+        loop: false,
+        dragThreshold: 50
+    };
+
+    static instances = new WeakMap();
+    static count = 0;
+
+    static get(root) {
+        return Carousel.instances.get(root) || null;
+    }
+
+    static fromElement(root) {
+        const { carouselAutoplay, carouselLoop } = root.dataset;
+        return new Carousel(root, {
+            autoplay: parseInt(carouselAutoplay, 10) || 0,
+            loop: carouselLoop !== undefined && carouselLoop !== 'false'
+        });
+    }
+
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = Object.assign({}, Carousel.DEFAULTS, options);
+        this.track = root.querySelector('[data-carousel-track]');
+        this.slides = [];
+        this.prevButton = root.querySelector('[data-carousel-prev]');
+        this.nextButton = root.querySelector('[data-carousel-next]');
+        this.playButton = root.querySelector('[data-carousel-play]');
+        this.dotsContainer = root.querySelector('[data-carousel-dots]');
+        this.scope = new ModuleScope('carousel', root);
+
+        // index is the first fully visible slide; offset is where the track
+        // actually sits, which briefly lands on a clone while looping
+        this.index = 0;
+        this.offset = 0;
+        this.perView = 1;
+        this.step = 0;
+        this.clones = [];
+        this.isPlaying = false;
+        this.isHovered = false;
+        this.isFocused = false;
+        this.timer = null;
+        this.drag = null;
+        this.suppressClick = false;
+    }
+
+    get count() {
+        return this.canLoop ? this.slides.length : Math.max(1, this.slides.length - this.perView + 1);
+    }
+
+    get canLoop() {
+        return this.options.loop && this.slides.length > this.perView;
+    }
+
+    init() {
+        if (!this.track) return false;
+
+        this.setupAria();
+        this.bindEvents();
+        this.refresh();
+
+        // Reduced motion keeps the slide show still until the user starts it
+        if (this.options.autoplay && !Accessibility.prefersReducedMotion()) {
+            this.play();
+        } else {
+            this.updatePlayButton();
+        }
+
+        Carousel.instances.set(this.root, this);
+        return true;
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+        this.scope.dispose();
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        this.track.style.transform = '';
+        this.track.style.transition = '';
+        this.slides.forEach(slide => {
+            slide.removeAttribute('inert');
+            slide.removeAttribute('aria-hidden');
+        });
+        if (this.dotsContainer) {
+            this.dotsContainer.innerHTML = '';
+        }
+        Carousel.instances.delete(this.root);
+    }
+
+    setupAria() {
+        this.track.id = this.track.id || `carousel-${++Carousel.count}`;
+
+        this.root.setAttribute('role', 'region');
+        this.root.setAttribute('aria-roledescription', I18n.t('carousel.role', 'carousel'));
+        if (!this.root.hasAttribute('aria-label') && !this.root.hasAttribute('aria-labelledby')) {
+            this.root.setAttribute('aria-label', I18n.t('carousel.label', 'Carousel'));
+        }
+
+        [this.prevButton, this.nextButton, this.playButton].forEach(button => {
+            if (!button) return;
+            button.type = 'button';
+            button.setAttribute('aria-controls', this.track.id);
+        });
+
+        if (this.playButton) {
+            this.playButton.hidden = !this.options.autoplay;
+        }
+    }
+
+    // Re-reads the slides, e.g. after they were rendered from data
+    refresh() {
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        this.slides = [...this.track.children];
+
+        this.slides.forEach(slide => slide.setAttribute('role', 'group'));
+        this.labelSlides();
+
+        this.measure();
+        this.buildClones();
+        this.renderDots();
+        this.index = 0;
+        this.goTo(0, { animate: false });
+    }
+
+    // Slides per view come from the CSS (flex-basis per breakpoint)
+    measure() {
+        const slideWidth = this.slides.length ? this.slides[0].getBoundingClientRect().width : 0;
+        const trackWidth = this.track.getBoundingClientRect().width;
+        const gap = parseFloat(getComputedStyle(this.track).columnGap) || 0;
+
+        this.step = slideWidth + gap;
+        this.perView = slideWidth > 0
+            ? Math.max(1, Math.min(this.slides.length, Math.round((trackWidth + gap) / this.step)))
+            : 1;
+    }
+
+    // Looping copies a view's worth of slides onto each end so the track can
+    // keep moving in one direction, then jumps back to the real slide
+    buildClones() {
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        if (!this.canLoop) return;
+
+        const createClone = (slide) => {
+            const clone = slide.cloneNode(true);
+            clone.removeAttribute('id');
+            clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+            clone.setAttribute('data-carousel-clone', '');
+            clone.setAttribute('aria-hidden', 'true');
+            clone.setAttribute('inert', '');
+            this.clones.push(clone);
+            return clone;
+        };
+
+        this.slides.slice(-this.perView).forEach(slide => {
+            this.track.insertBefore(createClone(slide), this.slides[0]);
+        });
+        this.slides.slice(0, this.perView).forEach(slide => {
+            this.track.appendChild(createClone(slide));
+        });
+    }
+
+    renderDots() {
+        if (!this.dotsContainer) return;
+
+        const count = this.slides.length > 1 ? this.count : 0;
+        this.dotsContainer.innerHTML = Array.from({ length: count }, (_, index) => `
+            <button type="button" class="slider-dot" data-carousel-dot="${index}"
+                    aria-controls="${this.track.id}" aria-label="${this.getDotLabel(index)}"></button>
+        `).join('');
+    }
+
+    labelSlides() {
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('aria-roledescription', I18n.t('carousel.slideRole', 'slide'));
+            slide.setAttribute('aria-label', I18n.t('carousel.slide', '{index} of {count}', {
+                index: index + 1,
+                count: this.slides.length
+            }));
+        });
+    }
+
+    getDotLabel(index) {
+        return I18n.t('carousel.showSlide', 'Show slide {index} of {count}', { index: index + 1, count: this.count });
+    }
+
+    // Called when the page language changes
+    relabel() {
+        this.root.setAttribute('aria-roledescription', I18n.t('carousel.role', 'carousel'));
+        this.labelSlides();
+        if (this.dotsContainer) {
+            this.dotsContainer.querySelectorAll('[data-carousel-dot]').forEach(dot => {
+                dot.setAttribute('aria-label', this.getDotLabel(Number(dot.dataset.carouselDot)));
+            });
+        }
+        this.updatePlayButton();
+    }
+
+    bindEvents() {
+        const { scope } = this;
+
+        if (this.prevButton) scope.listen(this.prevButton, 'click', () => this.prev());
+        if (this.nextButton) scope.listen(this.nextButton, 'click', () => this.next());
+        if (this.playButton) scope.listen(this.playButton, 'click', () => this.toggle());
+
+        if (this.dotsContainer) {
+            scope.listen(this.dotsContainer, 'click', (e) => {
+                const dot = e.target.closest('[data-carousel-dot]');
+                if (dot) this.goTo(parseInt(dot.dataset.carouselDot, 10));
+            });
+        }
+
+        // Arrow keys work wherever focus is inside the carousel
+        scope.listen(this.root, 'keydown', (e) => this.handleKeydown(e));
+
+        // Hovering or focusing the carousel holds the rotation
+        scope.listen(this.root, 'mouseenter', () => {
+            this.isHovered = true;
+            this.restartAutoplay();
+        });
+        scope.listen(this.root, 'mouseleave', () => {
+            this.isHovered = false;
+            this.restartAutoplay();
+        });
+        scope.listen(this.root, 'focusin', () => {
+            this.isFocused = true;
+            this.restartAutoplay();
+        });
+        scope.listen(this.root, 'focusout', (e) => {
+            if (this.root.contains(e.relatedTarget)) return;
+            this.isFocused = false;
+            this.restartAutoplay();
+        });
+        scope.listen(document, 'visibilitychange', () => this.restartAutoplay());
+
+        // Mouse drag and touch swipe
+        scope.listen(this.track, 'pointerdown', (e) => this.handlePointerDown(e));
+        scope.listen(this.track, 'pointermove', (e) => this.handlePointerMove(e));
+        scope.listen(this.track, 'pointerup', (e) => this.handlePointerUp(e));
+        scope.listen(this.track, 'pointercancel', (e) => this.handlePointerUp(e, { cancelled: true }));
+        scope.listen(this.track, 'dragstart', (e) => e.preventDefault());
+        scope.listen(this.track, 'click', (e) => {
+            if (!this.suppressClick) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.suppressClick = false;
+        }, true);
+
+        scope.listen(this.track, 'transitionend', (e) => {
+            if (e.target === this.track && e.propertyName === 'transform') this.settle();
+        });
+
+        let resizeTimeout;
+        scope.listen(window, 'resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => this.handleResize(), 150);
+        });
+        scope.onCleanup(() => clearTimeout(resizeTimeout));
+    }
+
+    // ===== NAVIGATION =====
+    next() {
+        this.settle();
+        this.goTo(this.index + 1);
+    }
+
+    prev() {
+        this.settle();
+        this.goTo(this.index - 1);
+    }
+
+    goTo(index, { animate = true } = {}) {
+        const previousIndex = this.index;
+
+        if (this.canLoop) {
+            this.offset = Math.max(-1, Math.min(index, this.count));
+            this.index = (this.offset + this.count) % this.count;
+        } else {
+            this.offset = this.index = Math.max(0, Math.min(index, this.count - 1));
+        }
+
+        this.translate(animate);
+        this.update();
+        this.restartAutoplay();
+
+        // Landed on a clone: jump to the real slide once the move has finished
+        if (this.offset !== this.index && (!animate || !this.hasTransition())) {
+            this.settle();
+        }
+
+        if (this.index !== previousIndex) {
+            this.emit('change', { index: this.index, previousIndex });
+        }
+    }
+
+    settle() {
+        if (this.offset === this.index) return;
+        this.offset = this.index;
+        this.translate(false);
+    }
+
+    translate(animate = true, dragOffset = 0) {
+        const leadingClones = this.canLoop ? this.perView : 0;
+        const position = (this.offset + leadingClones) * this.step - dragOffset;
+
+        this.track.style.transition = animate ? '' : 'none';
+        this.track.style.transform = `translateX(${-position}px)`;
+
+        if (!animate && !this.drag) {
+            // Flush the jump before transitions come back on
+            void this.track.offsetWidth;
+            this.track.style.transition = '';
+        }
+    }
+
+    hasTransition() {
+        return parseFloat(getComputedStyle(this.track).transitionDuration) > 0;
+    }
+
+    update() {
+        // Slides out of view are hidden from assistive tech and the tab order
+        this.slides.forEach((slide, index) => {
+            const position = (index - this.index + this.slides.length) % this.slides.length;
+            const isVisible = this.canLoop ? position < this.perView : index >= this.index && index < this.index + this.perView;
+            slide.toggleAttribute('inert', !isVisible);
+            slide.setAttribute('aria-hidden', String(!isVisible));
+        });
+
+        if (this.dotsContainer) {
+            this.dotsContainer.querySelectorAll('[data-carousel-dot]').forEach((dot, index) => {
+                const isActive = index === this.index;
+                dot.classList.toggle('active', isActive);
+                if (isActive) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+        }
+
+        if (!this.canLoop) {
+            if (this.prevButton) this.prevButton.disabled = this.index === 0;
+            if (this.nextButton) this.nextButton.disabled = this.index >= this.count - 1;
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const actions = {
+            ArrowLeft: () => this.prev(),
+            ArrowRight: () => this.next(),
+            Home: () => this.goTo(0),
+            End: () => this.goTo(this.count - 1)
+        };
+
+        if (actions[e.key]) {
+            e.preventDefault();
+            actions[e.key]();
+        }
+    }
+
+    handleResize() {
+        const { perView } = this;
+        this.measure();
+
+        if (perView !== this.perView) {
+            this.buildClones();
+            this.renderDots();
+        }
+        this.goTo(Math.min(this.index, this.count - 1), { animate: false });
+    }
+
+    // ===== DRAGGING =====
+    handlePointerDown(e) {
+        if (e.button !== 0 || !e.isPrimary || this.slides.length < 2) return;
+
+        this.settle();
+        this.drag = { pointerId: e.pointerId, startX: e.clientX, deltaX: 0, isMoving: false };
+        this.suppressClick = false;
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        this.drag.deltaX = e.clientX - this.drag.startX;
+
+        // Small movements still count as clicks on links inside the slides
+        if (!this.drag.isMoving && Math.abs(this.drag.deltaX) > 5) {
+            this.drag.isMoving = true;
+            this.root.classList.add('is-dragging');
+            if (this.track.setPointerCapture) {
+                this.track.setPointerCapture(e.pointerId);
+            }
+            clearTimeout(this.timer);
+        }
+
+        if (this.drag.isMoving) {
+            this.translate(false, this.drag.deltaX);
+        }
+    }
+
+    handlePointerUp(e, { cancelled = false } = {}) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        const { deltaX, isMoving } = this.drag;
+        this.drag = null;
+        this.root.classList.remove('is-dragging');
+        if (!isMoving) return;
+
+        this.suppressClick = !cancelled;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+
+        if (!cancelled && deltaX <= -this.options.dragThreshold) {
+            this.next();
+        } else if (!cancelled && deltaX >= this.options.dragThreshold) {
+            this.prev();
+        } else {
+            this.goTo(this.index);
+        }
+    }
+
+    // ===== AUTOPLAY =====
+    play() {
+        if (!this.options.autoplay) return;
+        this.isPlaying = true;
+        this.updatePlayButton();
+        this.restartAutoplay();
+        this.emit('play');
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.updatePlayButton();
+        this.restartAutoplay();
+        this.emit('pause');
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    isRotating() {
+        return this.isPlaying && !this.isHovered && !this.isFocused && !document.hidden;
+    }
+
+    restartAutoplay() {
+        clearTimeout(this.timer);
+
+        // Slide changes are announced only while the user is in control
+        const isRotating = this.isRotating();
+        this.track.setAttribute('aria-live', isRotating ? 'off' : 'polite');
+
+        if (isRotating && !this.drag && this.slides.length > 1) {
+            this.timer = setTimeout(() => this.next(), this.options.autoplay);
+        }
+    }
+
+    updatePlayButton() {
+        if (!this.playButton) return;
+
+        const label = this.isPlaying
+            ? I18n.t('carousel.stop', 'Stop automatic slide show')
+            : I18n.t('carousel.start', 'Start automatic slide show');
+        this.playButton.setAttribute('aria-label', label);
+        this.playButton.title = label;
+        this.playButton.innerHTML = `<i class="fas ${this.isPlaying ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+    }
+
+    emit(name, detail = {}) {
+        this.root.dispatchEvent(new CustomEvent(`carousel:${name}`, {
+            detail: Object.assign({ carousel: this }, detail)
+        }));
+    }
+}
+
+// ===== ERROR REPORTER =====
+// Collects uncaught errors, unhandled promise rejections, failed resource
+// loads and everything passed to ModernPortfolio.handleError(). Repeats of an
+// error (same message and top stack frame) are counted rather than resent, and
+// one already reported earlier in the session isn't sent again. Reports go to
+//
+//     <meta name="error-endpoint" content="https://example.org/errors">
+//
+// with the stack, page and user agent; no query strings or personal data.
+// In dev mode (localhost, or ?dev on any URL) they are also listed on the page.
+class ErrorReporter {
+    static MAX_REPORTS = 20;
+    static MAX_STACK_LENGTH = 2000;
+    static MAX_PENDING = 50;
+    static SESSION_KEY = 'reported-errors';
+    static DEV_PARAM = 'dev';
+    static DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]', ''];
+
+    // Errors seen before the app starts wait here for the reporter
+    static current = null;
+    static pending = [];
+    static isListening = false;
+
+    // Installed as soon as the script loads, before any module runs
+    static listen() {
+        if (ErrorReporter.isListening) return;
+        ErrorReporter.isListening = true;
+
+        // Capture phase, because failed <img>/<script> loads don't bubble
+        window.addEventListener('error', (e) => {
+            const target = e.target;
+            if (target && target !== window && target.tagName) {
+                const url = target.currentSrc || target.src || target.href || '';
+                ErrorReporter.capture({
+                    name: 'ResourceError',
+                    message: `Failed to load <${target.tagName.toLowerCase()}> ${url}`
+                }, { kind: 'resource' });
+                return;
+            }
+
+            // Cross-origin scripts only say "Script error." with nothing to go on
+            if (!e.error && (!e.message || e.message === 'Script error.')) return;
+            ErrorReporter.capture(e.error || new Error(e.message), {
+                kind: 'uncaught',
+                source: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : null
+            });
+        }, true);
+
+        window.addEventListener('unhandledrejection', (e) => {
+            const reason = e.reason;
+            ErrorReporter.capture(reason instanceof Error ? reason : new Error(String(reason)), {
+                kind: 'unhandledrejection'
+            });
+        });
+    }
+
+    static capture(error, details = {}) {
+        if (ErrorReporter.current) {
+            return ErrorReporter.current.capture(error, details);
+        }
+        if (ErrorReporter.pending.length < ErrorReporter.MAX_PENDING) {
+            ErrorReporter.pending.push([error, details, new Date()]);
+        }
+        return null;
+    }
+
+    static isDevMode() {
+        return ErrorReporter.DEV_HOSTS.includes(window.location.hostname) ||
+            new URLSearchParams(window.location.search).has(ErrorReporter.DEV_PARAM);
+    }
+
+    static fromDocument(app) {
+        return new ErrorReporter(app, {
+            endpoint: ModernPortfolio.getMeta('error-endpoint'),
+            dev: ErrorReporter.isDevMode()
+        });
+    }
+
+    // The first stack line with a position identifies where it was thrown
+    static fingerprint({ name, message, stack, source }) {
+        const frame = (stack || '').split('\n').find(line => /:\d+:\d+/.test(line)) || source || '';
+        return `${name}: ${message} @ ${frame.trim()}`;
+    }
+
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = Object.assign({ endpoint: '', dev: false }, options);
+        this.scope = new ModuleScope('errors');
+        this.reports = new Map();
+        this.sentCount = 0;
+        this.panel = null;
+        this.isPanelOpen = true;
+    }
+
+    init() {
+        ErrorReporter.current = this;
+        this.scope.onCleanup(() => {
+            if (ErrorReporter.current === this) ErrorReporter.current = null;
+        });
+
+        ErrorReporter.pending.splice(0).forEach(([error, details, time]) => {
+            this.capture(error, Object.assign({ time }, details));
+        });
+    }
+
+    capture(error, { context = '', kind = 'handled', module = null, source = null, time = new Date() } = {}) {
+        const report = {
+            name: (error && error.name) || 'Error',
+            message: (error && error.message) || String(error),
+            stack: error && error.stack ? String(error.stack).slice(0, ErrorReporter.MAX_STACK_LENGTH) : null,
+            kind,
+            context: context || null,
+            module,
+            source,
+            page: window.location.pathname,
+            userAgent: navigator.userAgent,
+            timestamp: time.toISOString(),
+            count: 1
+        };
+        report.fingerprint = ErrorReporter.fingerprint(report);
+
+        const existing = this.reports.get(report.fingerprint);
+        if (existing) {
+            existing.count++;
+            this.updatePanel();
+            return existing;
+        }
+
+        this.reports.set(report.fingerprint, report);
+        this.send(report);
+        this.updatePanel();
+        return report;
+    }
+
+    // Fingerprints already sent this session, so reloads don't resend them
+    getSentFingerprints() {
+        try {
+            return JSON.parse(sessionStorage.getItem(ErrorReporter.SESSION_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    send(report) {
+        const { endpoint } = this.options;
+        if (!endpoint || this.sentCount >= ErrorReporter.MAX_REPORTS) return;
+
+        const sent = this.getSentFingerprints();
+        if (sent.includes(report.fingerprint)) return;
+
+        this.sentCount++;
+        try {
+            sessionStorage.setItem(ErrorReporter.SESSION_KEY, JSON.stringify(sent.concat(report.fingerprint).slice(-100)));
+        } catch (error) {
+            // Without storage, deduplication only covers this page view
+        }
+
+        const body = JSON.stringify(report);
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+        fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+            .catch(() => {});
+    }
+
+    // ===== DEV PANEL =====
+    updatePanel() {
+        if (!this.options.dev || !this.reports.size) return;
+
+        if (!this.panel) {
+            this.panel = document.createElement('aside');
+            this.panel.className = 'error-panel';
+            this.panel.setAttribute('aria-label', 'Errors');
+            document.body.appendChild(this.panel);
+
+            this.scope.listen(this.panel, 'click', (e) => {
+                if (e.target.closest('[data-error-clear]')) {
+                    this.reports.clear();
+                    this.panel.remove();
+                    this.panel = null;
+                } else if (e.target.closest('[data-error-toggle]')) {
+                    this.isPanelOpen = !this.isPanelOpen;
+                    this.updatePanel();
+                }
+            });
+            this.scope.onCleanup(() => {
+                if (this.panel) this.panel.remove();
+                this.panel = null;
+            });
+        }
+
+        const escape = PublicationList.escapeHtml;
+        const reports = [...this.reports.values()];
+        const total = reports.reduce((sum, report) => sum + report.count, 0);
+        const items = reports.map(report => `
+            <li>
+                <details>
+                    <summary>
+                        ${report.count > 1 ? `<span class="error-panel-count">×${report.count}</span>` : ''}
+                        <strong>${escape(report.name)}:</strong> ${escape(report.message)}
+                        <span class="error-panel-meta">${escape(report.context || report.kind)}</span>
+                    </summary>
+                    <pre>${escape(report.stack || report.source || 'No stack trace')}</pre>
+                </details>
+            </li>
+        `).join('');
+
+        this.panel.innerHTML = `
+            <div class="error-panel-header">
+                <strong>${total} ${total === 1 ? 'error' : 'errors'}</strong>
+                <button type="button" data-error-toggle aria-expanded="${this.isPanelOpen}">${this.isPanelOpen ? 'Hide' : 'Show'}</button>
+                <button type="button" data-error-clear>Clear</button>
+            </div>
+            <ol class="error-panel-list" ${this.isPanelOpen ? '' : 'hidden'}>${items}</ol>
+        `;
+    }
+
+    destroy() {
+        this.scope.dispose();
+    }
+}
+
+// ===== PERFORMANCE MONITOR =====
+// Collects Core Web Vitals (LCP, CLS, INP) plus FCP and TTFB with native
+// PerformanceObservers, summarizes long tasks and resource timing, and sends
+// the results in batches once the visitor consents to "performance".
+// Reporting is off until an endpoint is configured:
+//
+//     <meta name="perf-endpoint" content="https://example.org/perf">
+//     <meta name="perf-reporter" content="beacon">   (optional; see REPORTERS)
+//
+// scripts/perf-stub-server.js serves the site with an endpoint that logs
+// what arrives. Add ?perf-debug to any URL to see the live values.
+class PerformanceMonitor {
+    // [good, poor] boundaries from web.dev
+    static THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        FCP: [1800, 3000],
+        TTFB: [800, 1800]
+    };
+
+    static REPORTERS = {
+        beacon: (payload, options) => PerformanceMonitor.sendBeacon(payload, options),
+        console: (payload) => {
+            console.table(payload.metrics.map(({ name, value, rating }) => ({ name, value, rating })));
+            return true;
+        }
+    };
+
+    static BATCH_SIZE = 10;
+    static FLUSH_DELAY = 10000;
+    static SLOWEST_RESOURCES = 5;
+    static DEBUG_PARAM = 'perf-debug';
+
+    static registerReporter(name, send) {
+        PerformanceMonitor.REPORTERS[name] = send;
+    }
+
+    static fromDocument(app) {
+        const endpoint = ModernPortfolio.getMeta('perf-endpoint');
+
+        return new PerformanceMonitor(app, {
+            endpoint,
+            reporter: ModernPortfolio.getMeta('perf-reporter') || (endpoint ? 'beacon' : ''),
+            debug: new URLSearchParams(window.location.search).has(PerformanceMonitor.DEBUG_PARAM)
+        });
+    }
+
+    static isConfigured() {
+        return !!PerformanceMonitor.fromDocument(null).reporter;
+    }
+
+    static isSupported() {
+        return typeof PerformanceObserver !== 'undefined' && !!PerformanceObserver.supportedEntryTypes;
+    }
+
+    static rate(name, value) {
+        const thresholds = PerformanceMonitor.THRESHOLDS[name];
+        if (!thresholds) return null;
+        if (value <= thresholds[0]) return 'good';
+        return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+    }
+
+    // Text bodies avoid a CORS preflight for cross-origin endpoints
+    static sendBeacon(payload, { endpoint }) {
+        const body = JSON.stringify(payload);
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return true;
+
+        // sendBeacon refuses bodies over its quota; keepalive survives unload too
+        fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+            .catch(() => {});
+        return true;
+    }
+
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = Object.assign({ endpoint: '', reporter: '', debug: false }, options);
+        this.scope = new ModuleScope('performance-monitor');
+
+        // One id per page view so the endpoint can merge repeated reports
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.metrics = new Map();
+        this.reported = new Map();
+        this.queue = [];
+        this.flushTimer = null;
+
+        this.isLCPFinal = false;
+        this.clsSession = { value: 0, first: 0, last: 0 };
+        this.interactions = new Map();
+        this.longTasks = { count: 0, blockingTime: 0, longest: 0 };
+        this.resources = { count: 0, transferSize: 0, byType: {}, slowest: [] };
+        this.overlay = null;
+    }
+
+    get reporter() {
+        const { reporter, endpoint } = this.options;
+        if (reporter === 'beacon' && !endpoint) return null;
+        return PerformanceMonitor.REPORTERS[reporter] || null;
+    }
+
+    init() {
+        if (!PerformanceMonitor.isSupported()) return false;
+
+        this.observeTTFB();
+        this.observe('paint', entries => entries.forEach(entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setMetric('FCP', entry.startTime);
+                this.enqueue('FCP');
+            }
+        }));
+        this.observe('largest-contentful-paint', entries => {
+            if (!this.isLCPFinal) this.setMetric('LCP', entries[entries.length - 1].startTime);
+        });
+        this.observe('layout-shift', entries => this.addLayoutShifts(entries));
+        this.observe('event', entries => this.addInteractions(entries), { durationThreshold: 40 });
+        this.observe('first-input', entries => this.addInteractions(entries));
+        this.observe('longtask', entries => this.addLongTasks(entries));
+        this.observe('resource', entries => this.addResources(entries));
+
+        // LCP stops at the first interaction, since later paints are caused by it
+        const finalizeLCP = () => {
+            this.isLCPFinal = true;
+            this.enqueue('LCP');
+        };
+        this.scope.listen(window, 'keydown', finalizeLCP, { capture: true, once: true });
+        this.scope.listen(window, 'pointerdown', finalizeLCP, { capture: true, once: true });
+
+        // Hidden is the last reliable moment on mobile, so everything goes out then
+        this.scope.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushAll();
+        });
+        this.scope.listen(window, 'pagehide', () => this.flushAll());
+        this.scope.onCleanup(() => clearTimeout(this.flushTimer));
+
+        if (this.options.debug) this.renderOverlay();
+        return true;
+    }
+
+    observe(type, callback, options = {}) {
+        if (!PerformanceObserver.supportedEntryTypes.includes(type)) return;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe(Object.assign({ type, buffered: true }, options));
+            this.scope.onCleanup(() => observer.disconnect());
+        } catch (error) {
+            this.app.handleError(error, `observing ${type} entries`);
+        }
+    }
+
+    observeTTFB() {
+        const [navigation] = performance.getEntriesByType('navigation');
+        if (!navigation) return;
+
+        this.navigationType = navigation.type;
+        // Prerendered pages count from activation, not from the prerender
+        const value = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+        this.setMetric('TTFB', value);
+        this.enqueue('TTFB');
+    }
+
+    // CLS is the worst session window: shifts less than 1s apart, 5s at most
+    addLayoutShifts(entries) {
+        entries.forEach(entry => {
+            if (entry.hadRecentInput) return;
+
+            const session = this.clsSession;
+            if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+                session.value += entry.value;
+            } else {
+                session.value = entry.value;
+                session.first = entry.startTime;
+            }
+            session.last = entry.startTime;
+
+            const current = this.metrics.get('CLS');
+            if (!current || session.value > current.value) this.setMetric('CLS', session.value);
+        });
+    }
+
+    // INP approximates the 98th percentile: the worst interaction, skipping
+    // one for every 50 so a single outlier doesn't decide the score
+    addInteractions(entries) {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+            const previous = this.interactions.get(entry.interactionId) || 0;
+            this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+        });
+
+        const durations = [...this.interactions.values()].sort((a, b) => b - a);
+        if (durations.length) {
+            this.setMetric('INP', durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+        }
+    }
+
+    addLongTasks(entries) {
+        entries.forEach(entry => {
+            this.longTasks.count++;
+            this.longTasks.blockingTime += Math.max(0, entry.duration - 50);
+            this.longTasks.longest = Math.max(this.longTasks.longest, entry.duration);
+        });
+
+        this.setMetric('long-tasks', this.longTasks.count, {
+            blockingTime: Math.round(this.longTasks.blockingTime),
+            longest: Math.round(this.longTasks.longest)
+        });
+    }
+
+    addResources(entries) {
+        const summary = this.resources;
+        entries.forEach(entry => {
+            const type = entry.initiatorType || 'other';
+            const bucket = summary.byType[type] || (summary.byType[type] = { count: 0, transferSize: 0 });
+
+            summary.count++;
+            summary.transferSize += entry.transferSize || 0;
+            bucket.count++;
+            bucket.transferSize += entry.transferSize || 0;
+            summary.slowest.push({ name: entry.name, duration: Math.round(entry.duration) });
+        });
+
+        summary.slowest = summary.slowest
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, PerformanceMonitor.SLOWEST_RESOURCES);
+
+        this.setMetric('resources', summary.count, {
+            transferSize: summary.transferSize,
+            byType: summary.byType,
+            slowest: summary.slowest
+        });
+    }
+
+    setMetric(name, value, detail = null) {
+        const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+        const metric = { name, value: rounded, rating: PerformanceMonitor.rate(name, rounded) };
+        if (detail) metric.detail = detail;
+
+        this.metrics.set(name, metric);
+        this.app.emit('perf:metric', metric);
+        this.updateOverlay();
+    }
+
+    // ===== REPORTING =====
+    // Queues a metric unless the same value already went out
+    enqueue(name) {
+        const metric = this.metrics.get(name);
+        if (!metric || !this.reporter) return;
+
+        const signature = JSON.stringify(metric);
+        if (this.reported.get(name) === signature) return;
+        this.reported.set(name, signature);
+
+        this.queue.push(metric);
+        if (this.queue.length >= PerformanceMonitor.BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), PerformanceMonitor.FLUSH_DELAY);
+        }
+    }
+
+    flushAll() {
+        this.metrics.forEach((metric, name) => this.enqueue(name));
+        this.flush();
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const reporter = this.reporter;
+        if (!reporter || !this.queue.length || !this.app.hasConsent('performance')) return;
+
+        const payload = {
+            id: this.id,
+            url: window.location.href,
+            navigationType: this.navigationType || null,
+            sentAt: new Date().toISOString(),
+            metrics: this.queue.splice(0)
+        };
+
+        try {
+            reporter(payload, { endpoint: this.options.endpoint });
+        } catch (error) {
+            this.app.handleError(error, 'reporting performance metrics');
+        }
+    }
+
+    // ===== DEBUG OVERLAY =====
+    renderOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        this.overlay.setAttribute('aria-label', 'Performance metrics');
+        document.body.appendChild(this.overlay);
+        this.scope.onCleanup(() => {
+            this.overlay.remove();
+            this.overlay = null;
+        });
+        this.updateOverlay();
+    }
+
+    updateOverlay() {
+        if (!this.overlay) return;
+
+        const format = ({ name, value }) => {
+            if (name === 'CLS') return value.toFixed(3);
+            if (name === 'long-tasks' || name === 'resources') return value;
+            return `${value} ms`;
+        };
+        const rows = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB', 'long-tasks', 'resources'].map(name => {
+            const metric = this.metrics.get(name);
+            const detail = name === 'long-tasks' && metric ? ` (${metric.detail.blockingTime} ms blocking)`
+                : name === 'resources' && metric ? ` (${Math.round(metric.detail.transferSize / 1024)} KB)`
+                : '';
+            return `
+                <tr class="${metric && metric.rating ? `perf-${metric.rating}` : ''}">
+                    <th scope="row">${name}</th>
+                    <td>${metric ? `${format(metric)}${detail}` : '–'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.overlay.innerHTML = `
+            <table>
+                <caption>Performance ${this.reporter ? `→ ${this.options.reporter}` : '(not reporting)'}</caption>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    destroy() {
+        this.flushAll();
+        this.scope.dispose();
+    }
+}
+
+// ===== CONSENT =====
+// Records the visitor's choice for each optional category in localStorage and
+// asks for it with a banner. Only categories a configured feature needs are
+// offered, so with no analytics or performance endpoint there is no banner.
+// Do Not Track and Global Privacy Control count as a refusal of everything.
+// Links marked data-consent-settings reopen the choices.
+class ConsentManager {
+    static STORAGE_KEY = 'consent';
+    // Bump to ask everyone again, e.g. after adding a category
+    static VERSION = 1;
+    static MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+    static CATEGORIES = {
+        analytics: {
+            label: 'Usage analytics',
+            description: 'Page views and clicks on publications, courses, projects and the CV, without cookies or identifiers.'
+        },
+        performance: {
+            label: 'Performance',
+            description: 'Loading and responsiveness measurements (Web Vitals) used to keep the site fast.'
+        }
+    };
+
+    static hasPrivacySignal() {
+        if (navigator.globalPrivacyControl === true) return true;
+        return [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(value => value === '1' || value === 'yes');
+    }
+
+    constructor(app, categories = Object.keys(ConsentManager.CATEGORIES)) {
+        this.app = app;
+        this.categories = categories.filter(name => name in ConsentManager.CATEGORIES);
+        this.scope = new ModuleScope('consent');
+        this.choices = this.load();
+        this.banner = null;
+        this.trigger = null;
+    }
+
+    get needsChoice() {
+        return this.categories.length > 0 && !this.choices && !ConsentManager.hasPrivacySignal();
+    }
+
+    has(category) {
+        if (ConsentManager.hasPrivacySignal()) return false;
+        return !!(this.choices && this.choices.categories[category]);
+    }
+
+    init() {
+        this.scope.listen(document, 'click', (e) => {
+            const link = e.target.closest('[data-consent-settings]');
+            if (!link) return;
+            e.preventDefault();
+            this.open({ customize: true, trigger: link });
+        });
+
+        // Keep tabs in agreement when the choice changes elsewhere
+        this.scope.listen(window, 'storage', (e) => {
+            if (e.key !== ConsentManager.STORAGE_KEY) return;
+            this.choices = this.load();
+            this.close();
+            this.app.emit('consent:change', { categories: this.getCategories() });
+        });
+
+        if (this.needsChoice) {
+            this.open();
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ConsentManager.STORAGE_KEY));
+            if (!saved || saved.version !== ConsentManager.VERSION) return null;
+            if (Date.now() - Date.parse(saved.updatedAt) > ConsentManager.MAX_AGE) return null;
+            return saved;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save(categories) {
+        this.choices = {
+            version: ConsentManager.VERSION,
+            updatedAt: new Date().toISOString(),
+            categories
+        };
+
+        try {
+            localStorage.setItem(ConsentManager.STORAGE_KEY, JSON.stringify(this.choices));
+        } catch (error) {
+            // Private browsing: the choice still holds for this page view
+        }
+
+        this.app.emit('consent:change', { categories: this.getCategories() });
+    }
+
+    getCategories() {
+        return Object.fromEntries(this.categories.map(name => [name, this.has(name)]));
+    }
+
+    // ===== BANNER =====
+    open({ customize = false, trigger = null } = {}) {
+        this.close();
+        this.trigger = trigger;
+
+        const signal = ConsentManager.hasPrivacySignal();
+        const description = !this.categories.length
+            ? 'This site doesn\'t use any analytics or tracking. Your theme choice is kept in your browser only.'
+            : signal
+                ? 'Your browser asks sites not to track you (Do Not Track or Global Privacy Control), so optional measurements stay off.'
+                : 'I\'d like to measure how the site is used and how fast it loads. Nothing is shared with advertisers, and you can change your mind any time from the footer.';
+
+        const options = this.categories.map(name => {
+            const category = ConsentManager.CATEGORIES[name];
+            return `
+                <label class="consent-option">
+                    <input type="checkbox" name="${name}" ${this.has(name) ? 'checked' : ''} ${signal ? 'disabled' : ''}>
+                    <span><strong>${category.label}</strong> ${category.description}</span>
+                </label>
+            `;
+        }).join('');
+
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-labelledby', 'consent-title');
+        banner.setAttribute('aria-describedby', 'consent-description');
+        banner.innerHTML = `
+            <h2 id="consent-title" class="consent-title">Privacy choices</h2>
+            <p id="consent-description" class="consent-description">${description}</p>
+            <div class="consent-options" ${customize ? '' : 'hidden'}>
+                <label class="consent-option">
+                    <input type="checkbox" checked disabled>
+                    <span><strong>Necessary</strong> Your theme and these privacy choices, stored in your browser.</span>
+                </label>
+                ${options}
+            </div>
+            <div class="consent-actions">
+                ${this.categories.length && !signal ? `
+                    <button type="button" class="btn btn-outline-primary btn-sm" data-consent="reject">Reject all</button>
+                    <button type="button" class="btn btn-outline-primary btn-sm" data-consent="${customize ? 'save' : 'customize'}">${customize ? 'Save choices' : 'Customize'}</button>
+                    <button type="button" class="btn btn-primary btn-sm" data-consent="accept">Accept all</button>
+                ` : `
+                    <button type="button" class="btn btn-primary btn-sm" data-consent="close">Close</button>
+                `}
+            </div>
+        `;
+        document.body.appendChild(banner);
+        this.banner = banner;
+
+        // The listeners go away with the banner
+        banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent]');
+            if (button) this.handleAction(button.dataset.consent);
+        });
+        banner.addEventListener('keydown', (e) => {
+            // A first-time visitor has to pick an option
+            if (e.key === 'Escape' && this.choices) this.close();
+        });
+
+        requestAnimationFrame(() => banner.classList.add('show'));
+        if (trigger) {
+            (banner.querySelector('input:not([disabled])') || banner.querySelector('[data-consent]')).focus();
+        }
+    }
+
+    handleAction(action) {
+        const all = (value) => Object.fromEntries(this.categories.map(name => [name, value]));
+
+        if (action === 'accept') {
+            this.save(all(true));
+        } else if (action === 'reject') {
+            this.save(all(false));
+        } else if (action === 'save') {
+            this.save(Object.fromEntries(this.categories.map(name => [
+                name,
+                this.banner.querySelector(`input[name="${name}"]`).checked
+            ])));
+        } else if (action === 'customize') {
+            const options = this.banner.querySelector('.consent-options');
+            const button = this.banner.querySelector('[data-consent="customize"]');
+            options.hidden = false;
+            button.dataset.consent = 'save';
+            button.textContent = 'Save choices';
+            options.querySelector('input:not([disabled])').focus();
+            return;
+        }
+
+        this.app.announce('Privacy choices saved');
+        this.close();
+    }
+
+    close() {
+        if (!this.banner) return;
+
+        this.banner.remove();
+        this.banner = null;
+        if (this.trigger) {
+            this.trigger.focus();
+            this.trigger = null;
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.scope.dispose();
+    }
+}
+
+// ===== ANALYTICS =====
+// First-party usage analytics: page views (including client-side navigation),
+// clicks on publication, course and project links, CV downloads, and filter
+// and search usage. Nothing is recorded without consent for "analytics".
+// The transport is chosen in the page head:
+//
+//     <meta name="analytics-transport" content="endpoint">    beacon JSON to analytics-endpoint
+//     <meta name="analytics-transport" content="gtag">        forward to an existing gtag()
+//     <meta name="analytics-transport" content="plausible">   Plausible events API
+//     <meta name="analytics-endpoint" content="/api/collect">
+//     <meta name="analytics-domain" content="addi-ait-mlouk.github.io">   (Plausible site)
+class Analytics {
+    static TRANSPORTS = {
+        endpoint: (event, options) => Analytics.sendToEndpoint(event, options),
+        gtag: (event) => Analytics.sendToGtag(event),
+        plausible: (event, options) => Analytics.sendToPlausible(event, options)
+    };
+
+    static PLAUSIBLE_ENDPOINT = 'https://plausible.io/api/event';
+
+    // Links worth counting, by the kind reported with the click
+    static LINK_KINDS = {
+        publication: '.pub-link',
+        course: '.course-link',
+        project: '.project-actions a, .project-link'
+    };
+    static CV_LINK = /(^|\/)cv\/[^/]+\.pdf$/i;
+
+    // Searches settle this long before they count, so typing isn't recorded
+    static SEARCH_DELAY = 1500;
+    static MAX_QUERY_LENGTH = 100;
+
+    static registerTransport(name, send) {
+        Analytics.TRANSPORTS[name] = send;
+    }
+
+    static fromDocument(app) {
+        return new Analytics(app, {
+            transport: ModernPortfolio.getMeta('analytics-transport'),
+            endpoint: ModernPortfolio.getMeta('analytics-endpoint'),
+            domain: ModernPortfolio.getMeta('analytics-domain') || window.location.hostname
+        });
+    }
+
+    static isConfigured() {
+        const transport = ModernPortfolio.getMeta('analytics-transport');
+        return !!Analytics.TRANSPORTS[transport] && (transport !== 'endpoint' || !!ModernPortfolio.getMeta('analytics-endpoint'));
+    }
+
+    static sendToEndpoint(event, { endpoint }) {
+        const body = JSON.stringify(event);
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+        fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } })
+            .catch(() => {});
+    }
+
+    static sendToGtag(event) {
+        if (typeof gtag !== 'function') return;
+
+        if (event.name === 'pageview') {
+            gtag('event', 'page_view', { page_location: event.url, page_title: event.title });
+        } else {
+            gtag('event', event.name.replace(/-/g, '_'), event.props);
+        }
+    }
+
+    static sendToPlausible(event, { endpoint, domain }) {
+        fetch(endpoint || Analytics.PLAUSIBLE_ENDPOINT, {
+            method: 'POST',
+            body: JSON.stringify({
+                name: event.name,
+                url: event.url,
+                domain,
+                referrer: event.referrer || null,
+                props: event.props
+            }),
+            keepalive: true,
+            headers: { 'Content-Type': 'text/plain' }
+        }).catch(() => {});
+    }
+
+    constructor(app, options = {}) {
+        this.app = app;
+        this.options = Object.assign({ transport: '', endpoint: '', domain: '' }, options);
+        this.scope = new ModuleScope('analytics');
+        this.referrer = document.referrer;
+        this.searchTimers = new Map();
+    }
+
+    get transport() {
+        const { transport, endpoint } = this.options;
+        if (transport === 'endpoint' && !endpoint) return null;
+        return Analytics.TRANSPORTS[transport] || null;
+    }
+
+    get isEnabled() {
+        return !!this.transport && this.app.hasConsent('analytics');
+    }
 
-            // Update dots
-            const dots = dotsContainer.querySelectorAll('.slider-dot');
-            dots.forEach((dot, index) => {
-                dot.classList.toggle('active', index === currentIndex);
-            });
+    init() {
+        this.scope.onCleanup(this.app.on('page:load', () => this.trackPageView()));
+        this.scope.onCleanup(this.app.on('filter:change', ({ list, filter }) => this.track('filter', { list, filter })));
+        this.scope.onCleanup(this.app.on('search', (detail) => this.trackSearch(detail)));
+
+        // A page view only counts once it's allowed, so record the current one on opt-in
+        this.scope.onCleanup(this.app.on('consent:change', ({ categories }) => {
+            if (categories.analytics && !this.hasTrackedPage) this.trackPageView();
+        }));
+
+        // Capture phase: the router may replace the page before bubbling ends
+        this.scope.listen(document, 'click', (e) => this.trackLink(e), true);
+        this.scope.onCleanup(() => this.searchTimers.forEach(timer => clearTimeout(timer)));
+    }
 
-            // Update button states
-            updateButtonStates();
+    track(name, props = {}) {
+        if (!this.isEnabled) return false;
+
+        const url = new URL(window.location.href);
+        url.hash = '';
+        const event = {
+            name,
+            url: url.href,
+            title: document.title,
+            referrer: this.referrer || null,
+            props,
+            timestamp: new Date().toISOString()
         };
 
-        // Update button states
-        const updateButtonStates = () => {
-            const totalPages = getTotalPages();
+        try {
+            this.transport(event, this.options);
+        } catch (error) {
+            console.error('Portfolio Error sending analytics:', error);
+        }
+        return true;
+    }
 
-            if (prevBtn) {
-                prevBtn.disabled = currentIndex === 0;
-                prevBtn.style.opacity = currentIndex === 0 ? '0.5' : '1';
-                prevBtn.style.cursor = currentIndex === 0 ? 'not-allowed' : 'pointer';
-            }
+    trackPageView() {
+        if (this.lastPage === window.location.pathname + window.location.search) return;
+        if (!this.track('pageview')) return;
 
-            if (nextBtn) {
-                nextBtn.disabled = currentIndex >= totalPages - 1;
-                nextBtn.style.opacity = currentIndex >= totalPages - 1 ? '0.5' : '1';
-                nextBtn.style.cursor = currentIndex >= totalPages - 1 ? 'not-allowed' : 'pointer';
-            }
-        };
+        this.hasTrackedPage = true;
+        this.lastPage = window.location.pathname + window.location.search;
+        // Later client-side navigations were referred by this page
+        this.referrer = window.location.href;
+    }
 
-        // Go to specific slide
-        const goToSlide = (index) => {
-            const totalPages = getTotalPages();
-            currentIndex = Math.max(0, Math.min(index, totalPages - 1));
-            updateSlider();
-        };
+    trackLink(e) {
+        const link = e.target.closest('a[href]');
+        if (!link || link.getAttribute('href') === '#') return;
+
+        const url = new URL(link.href, window.location.href);
+        if (Analytics.CV_LINK.test(url.pathname)) {
+            this.track('cv-download', { file: url.pathname.split('/').pop() });
+            return;
+        }
+
+        const kind = Object.keys(Analytics.LINK_KINDS).find(name => link.matches(Analytics.LINK_KINDS[name]));
+        if (kind) {
+            this.track('outbound-click', { kind, url: url.href });
+        }
+    }
+
+    trackSearch({ source, query, ...detail }) {
+        clearTimeout(this.searchTimers.get(source));
+        this.searchTimers.set(source, setTimeout(() => {
+            this.searchTimers.delete(source);
+            this.track('search', Object.assign({ source, query: query.slice(0, Analytics.MAX_QUERY_LENGTH) }, detail));
+        }, source === 'command-palette' ? 0 : Analytics.SEARCH_DELAY));
+    }
+
+    destroy() {
+        this.scope.dispose();
+    }
+}
+
+// ===== I18N =====
+// English is written in the HTML and in the code; French and Swedish come
+// from data/i18n/<language>.json, flat maps of key to text. Markup opts in with
+//
+//     <span data-i18n="nav.home">Home</span>                           text
+//     <button data-i18n-attr="aria-label:nav.toggleTheme">             attributes, comma-separated
+//
+// and code calls I18n.t('key', 'English text', { name: value }). A value can
+// be { one, other, ... } for plurals (selected with params.count). Anything
+// missing from a catalog stays in English, so catalogs can be partial.
+// ?lang=<code> links to a page in a given language; the choice is remembered.
+class I18n {
+    static LANGUAGES = {
+        en: { label: 'English', locale: 'en-US' },
+        fr: { label: 'Français', locale: 'fr-FR' },
+        sv: { label: 'Svenska', locale: 'sv-SE' }
+    };
+
+    static DEFAULT_LANGUAGE = 'en';
+    static STORAGE_KEY = 'language';
+    static URL_PARAM = 'lang';
+    static CATALOG_URL = 'data/i18n/{language}.json';
+
+    static language = I18n.DEFAULT_LANGUAGE;
+    static catalog = {};
+    static catalogs = new Map();
+    // English text and attributes of translated elements, for switching back
+    static originals = new WeakMap();
+
+    static t(key, fallback = key, params = {}) {
+        let message = Object.prototype.hasOwnProperty.call(I18n.catalog, key) ? I18n.catalog[key] : fallback;
+
+        if (message && typeof message === 'object') {
+            const form = new Intl.PluralRules(I18n.getLocale()).select(params.count);
+            message = message[form] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    static getLocale() {
+        return I18n.LANGUAGES[I18n.language].locale;
+    }
+
+    static formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+        return date.toLocaleDateString(I18n.getLocale(), Object.assign({ timeZone: 'UTC' }, options));
+    }
+
+    static isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(I18n.LANGUAGES, language || '');
+    }
 
-        // Next slide
-        const nextSlide = () => {
-            const totalPages = getTotalPages();
-            if (currentIndex < totalPages - 1) {
-                goToSlide(currentIndex + 1);
+    // ?lang, then the saved choice, then the browser's preferred languages
+    static detectLanguage() {
+        const fromUrl = new URLSearchParams(window.location.search).get(I18n.URL_PARAM);
+        if (I18n.isSupported(fromUrl)) return fromUrl;
+
+        try {
+            const saved = localStorage.getItem(I18n.STORAGE_KEY);
+            if (I18n.isSupported(saved)) return saved;
+        } catch (error) {
+            // Private browsing: fall through to the browser languages
+        }
+
+        const preferred = (navigator.languages || [navigator.language])
+            .map(tag => String(tag || '').slice(0, 2).toLowerCase())
+            .find(code => I18n.isSupported(code));
+        return preferred || I18n.DEFAULT_LANGUAGE;
+    }
+
+    static loadCatalog(language) {
+        if (language === I18n.DEFAULT_LANGUAGE) return Promise.resolve({});
+
+        if (!I18n.catalogs.has(language)) {
+            const url = I18n.CATALOG_URL.replace('{language}', language);
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+                }
+                return response.json();
+            });
+
+            request.catch(() => I18n.catalogs.delete(language));
+            I18n.catalogs.set(language, request);
+        }
+
+        return I18n.catalogs.get(language);
+    }
+
+    static translate(root = document) {
+        const elements = [...root.querySelectorAll('[data-i18n], [data-i18n-attr]')];
+        if (root.matches && root.matches('[data-i18n], [data-i18n-attr]')) elements.unshift(root);
+
+        elements.forEach(element => {
+            if (!I18n.originals.has(element)) {
+                I18n.originals.set(element, { text: element.textContent, attributes: {} });
             }
-        };
+            const original = I18n.originals.get(element);
 
-        // Previous slide
-        const prevSlide = () => {
-            if (currentIndex > 0) {
-                goToSlide(currentIndex - 1);
+            if (element.dataset.i18n) {
+                element.textContent = I18n.t(element.dataset.i18n, original.text);
             }
-        };
 
-        // Autoplay
-        const startAutoplay = () => {
-            stopAutoplay();
-            autoplayInterval = setInterval(() => {
-                const totalPages = getTotalPages();
-                if (currentIndex >= totalPages - 1) {
-                    goToSlide(0);
-                } else {
-                    nextSlide();
+            (element.dataset.i18nAttr || '').split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+
+                if (!(attribute in original.attributes)) {
+                    original.attributes[attribute] = element.getAttribute(attribute) || '';
                 }
-            }, autoplayDelay);
-        };
+                element.setAttribute(attribute, I18n.t(key, original.attributes[attribute]));
+            });
+        });
+    }
+
+    constructor(app) {
+        this.app = app;
+        this.scope = new ModuleScope('i18n');
+        this.switchers = [];
+        this.originalTitle = document.title;
+        this.requestId = 0;
+    }
 
-        const stopAutoplay = () => {
-            if (autoplayInterval) {
-                clearInterval(autoplayInterval);
-                autoplayInterval = null;
+    init() {
+        this.renderSwitchers();
+
+        // Client-side navigation brings in new English content and a new title
+        this.scope.onCleanup(this.app.on('page:load', ({ root }) => {
+            this.originalTitle = document.title;
+            I18n.translate(root || document);
+            this.updateDocument();
+        }));
+
+        // Another tab switched language
+        this.scope.listen(window, 'storage', (e) => {
+            if (e.key === I18n.STORAGE_KEY && I18n.isSupported(e.newValue)) {
+                this.setLanguage(e.newValue, { save: false });
             }
-        };
+        });
 
-        const resetAutoplay = () => {
-            stopAutoplay();
-            startAutoplay();
-        };
+        const fromUrl = new URLSearchParams(window.location.search).get(I18n.URL_PARAM);
+        return this.setLanguage(I18n.detectLanguage(), { save: I18n.isSupported(fromUrl) });
+    }
 
-        // Touch/swipe support
-        let touchStartX = 0;
-        let touchEndX = 0;
+    async setLanguage(language, { save = true } = {}) {
+        if (!I18n.isSupported(language)) return false;
 
-        const handleTouchStart = (e) => {
-            touchStartX = e.touches[0].clientX;
-            stopAutoplay();
-        };
+        const requestId = ++this.requestId;
+        let catalog;
+        try {
+            catalog = await I18n.loadCatalog(language);
+        } catch (error) {
+            this.app.handleError(error, `loading ${language} translations`);
+            return false;
+        }
 
-        const handleTouchMove = (e) => {
-            touchEndX = e.touches[0].clientX;
-        };
+        // A later choice won while this catalog was loading
+        if (requestId !== this.requestId) return false;
 
-        const handleTouchEnd = () => {
-            const swipeThreshold = 50;
-            const diff = touchStartX - touchEndX;
+        const changed = language !== I18n.language;
+        I18n.language = language;
+        I18n.catalog = catalog;
 
-            if (Math.abs(diff) > swipeThreshold) {
-                if (diff > 0) {
-                    nextSlide();
-                } else {
-                    prevSlide();
-                }
+        if (save) {
+            try {
+                localStorage.setItem(I18n.STORAGE_KEY, language);
+            } catch (error) {
+                // Private browsing: the language still applies to this page view
             }
-            resetAutoplay();
-        };
+        }
 
-        // Event listeners
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => {
-                prevSlide();
-                resetAutoplay();
-            });
+        // A ?lang link shouldn't contradict the language now showing
+        if (new URLSearchParams(window.location.search).has(I18n.URL_PARAM)) {
+            this.app.writeUrlState({ [I18n.URL_PARAM]: language === I18n.DEFAULT_LANGUAGE ? null : language });
+        }
+
+        I18n.translate(document);
+        this.updateDocument();
+
+        if (changed) {
+            this.app.emit('language:change', { language, locale: I18n.getLocale() });
+        }
+        return true;
+    }
+
+    updateDocument() {
+        document.documentElement.lang = I18n.language;
+        document.title = I18n.t(`title.${this.app.currentPage}`, this.originalTitle);
+
+        this.switchers.forEach(select => {
+            select.value = I18n.language;
+        });
+        this.updateAlternates();
+    }
+
+    // hreflang alternates for the page being shown, one per language
+    updateAlternates() {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.delete(I18n.URL_PARAM);
+
+        [...Object.keys(I18n.LANGUAGES), 'x-default'].forEach(code => {
+            let link = document.head.querySelector(`link[rel="alternate"][hreflang="${code}"]`);
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = code;
+                document.head.appendChild(link);
+            }
+
+            const href = new URL(url.href);
+            if (code !== 'x-default' && code !== I18n.DEFAULT_LANGUAGE) {
+                href.searchParams.set(I18n.URL_PARAM, code);
+            }
+            link.href = href.href;
+        });
+    }
+
+    // One switcher next to each theme toggle (desktop and mobile)
+    renderSwitchers() {
+        document.querySelectorAll('#theme-toggle, #theme-toggle-mobile').forEach(toggle => {
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm language-switcher';
+            select.setAttribute('aria-label', 'Language');
+            select.dataset.i18nAttr = 'aria-label:language.label';
+            select.innerHTML = Object.entries(I18n.LANGUAGES).map(([code, { label }]) => `
+                <option value="${code}" lang="${code}">${label}</option>
+            `).join('');
+            select.value = I18n.language;
+
+            toggle.parentNode.insertBefore(select, toggle);
+            this.switchers.push(select);
+            this.scope.listen(select, 'change', () => this.setLanguage(select.value));
+            this.scope.onCleanup(() => select.remove());
+        });
+    }
+
+    destroy() {
+        this.scope.dispose();
+        this.switchers = [];
+    }
+}
+
+// ===== STRUCTURED DATA =====
+// schema.org JSON-LD generated from what the page shows, kept in one
+// <script type="application/ld+json" id="structured-data"> in the head:
+// the site owner as a Person, plus one node per publication, course, research
+// project and news item (see StructuredData.TYPES). Lists rendered from data
+// files emit content:change and the graph is rebuilt.
+//
+// A publication deep link (publications.html#pub-<key>) is that paper's detail
+// view, so it also gets Highwire citation_* meta tags for Google Scholar and
+// reference managers.
+class StructuredData {
+    static SCRIPT_ID = 'structured-data';
+
+    // One entry per kind of content; build() returns a schema.org node or null
+    static TYPES = {
+        person: {
+            selector: '.profile-card',
+            build: (element, data) => data.extendPerson(element)
+        },
+        publication: {
+            selector: '.publication-item[data-pub-id]',
+            build: (element, data) => data.buildArticle(element)
+        },
+        course: {
+            selector: '.course-card-simple',
+            build: (element, data) => data.buildCourse(element)
+        },
+        project: {
+            selector: '.featured-project-card',
+            build: (element, data) => data.buildProject(element)
+        },
+        news: {
+            selector: '.news-item, .news-slide',
+            build: (element, data) => data.buildNewsArticle(element)
         }
+    };
+
+    static ARTICLE_TYPES = {
+        journal: { container: 'Periodical', meta: 'citation_journal_title' },
+        conference: { container: 'Book', meta: 'citation_conference_title' },
+        chapter: { container: 'Book', meta: 'citation_inbook_title' },
+        thesis: { type: 'Thesis', meta: 'citation_dissertation_institution' },
+        other: { meta: 'citation_publisher' }
+    };
+
+    static text(element, selector) {
+        const match = element.querySelector(selector);
+        return match ? match.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    // Drops empty values so nodes only carry what the page actually says
+    static compact(node) {
+        Object.keys(node).forEach(key => {
+            const value = node[key];
+            if (value === '' || value === null || value === undefined || (Array.isArray(value) && !value.length)) {
+                delete node[key];
+            }
+        });
+        return node;
+    }
+
+    // "Dr. Addi Ait-Mlouk" -> { honorificPrefix: 'Dr.', name: 'Addi Ait-Mlouk' }
+    static splitHonorific(name) {
+        const match = name.match(/^((?:Dr|Prof|Professor)\.?)\s+(.+)$/);
+        return match ? { honorificPrefix: match[1], name: match[2] } : { name };
+    }
+
+    constructor(app) {
+        this.app = app;
+        this.scope = new ModuleScope('structured-data', document.head);
+    }
+
+    init() {
+        this.scope.onCleanup(this.app.on('page:load', () => this.update()));
+        this.scope.onCleanup(this.app.on('content:change', () => this.update()));
+        this.scope.onCleanup(this.app.on('language:change', () => this.update()));
+        this.scope.listen(window, 'hashchange', () => this.updateCitationMeta());
+        this.scope.onCleanup(() => {
+            this.removeCitationMeta();
+            const script = document.getElementById(StructuredData.SCRIPT_ID);
+            if (script) script.remove();
+        });
+        this.update();
+    }
+
+    destroy() {
+        this.scope.dispose();
+    }
+
+    resolve(href) {
+        return href ? new URL(href, window.location.href).href : '';
+    }
+
+    get pageUrl() {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.search = '';
+        return url.href;
+    }
 
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => {
-                nextSlide();
-                resetAutoplay();
+    update() {
+        const root = this.app.getPageRoot();
+        const siteUrl = this.resolve('./');
+        const author = ModernPortfolio.getMeta('author');
+
+        this.personId = `${siteUrl}#person`;
+        this.person = StructuredData.compact(Object.assign({
+            '@type': 'Person',
+            '@id': this.personId,
+            url: siteUrl
+        }, StructuredData.splitHonorific(author)));
+        this.ownerKey = this.person.name ? PublicationList.authorKey(this.person.name) : null;
+
+        const graph = [
+            {
+                '@type': 'WebSite',
+                '@id': `${siteUrl}#website`,
+                url: siteUrl,
+                name: ModernPortfolio.getMeta('apple-mobile-web-app-title') || author,
+                inLanguage: document.documentElement.lang,
+                author: { '@id': this.personId }
+            },
+            this.person
+        ];
+
+        Object.values(StructuredData.TYPES).forEach(({ selector, build }) => {
+            root.querySelectorAll(selector).forEach(element => {
+                const node = build(element, this);
+                if (node && node !== this.person) graph.push(node);
             });
+        });
+
+        let script = document.getElementById(StructuredData.SCRIPT_ID);
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = StructuredData.SCRIPT_ID;
+            document.head.appendChild(script);
+        }
+        // "</" cannot close the script from inside a string
+        script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2)
+            .replace(/<\//g, '<\\/');
+
+        this.updateCitationMeta();
+    }
+
+    // ===== BUILDERS =====
+    // The profile card adds to the site-wide Person node instead of making a second one
+    extendPerson(card) {
+        const image = card.querySelector('img');
+        const country = StructuredData.text(card, '.profile-location');
+
+        Object.assign(this.person, StructuredData.compact({
+            jobTitle: StructuredData.text(card, '.profile-title'),
+            image: image ? this.resolve(image.getAttribute('src')) : '',
+            address: country ? { '@type': 'PostalAddress', addressCountry: country } : null,
+            sameAs: [...card.querySelectorAll('a[href^="http"]')].map(link => link.href),
+            knowsAbout: [...document.querySelectorAll('.interest-tag')].map(tag => tag.textContent.trim())
+        }));
+        return this.person;
+    }
+
+    getEntry(id) {
+        const publications = this.app.publications;
+        return publications && publications.entries
+            ? publications.entries.find(entry => entry.id === id)
+            : null;
+    }
+
+    buildArticle(element) {
+        const entry = this.getEntry(element.dataset.pubId);
+        if (!entry) return null;
+
+        const kind = StructuredData.ARTICLE_TYPES[entry.type] || StructuredData.ARTICLE_TYPES.other;
+        const href = entry.url || (entry.doi ? `https://doi.org/${entry.doi}` : '');
+        const venue = PublicationStats.normalizeVenue(entry.venue);
+
+        return StructuredData.compact({
+            '@type': kind.type || 'ScholarlyArticle',
+            '@id': `${this.pageUrl}#pub-${entry.id}`,
+            url: `${this.pageUrl}#pub-${entry.id}`,
+            headline: entry.title.slice(0, 110),
+            name: entry.title,
+            author: entry.authors.map(name => (PublicationList.authorKey(name) === this.ownerKey
+                ? { '@id': this.personId }
+                : { '@type': 'Person', name })),
+            datePublished: entry.year,
+            isPartOf: kind.container && venue ? { '@type': kind.container, name: venue } : null,
+            publisher: entry.type === 'thesis' && venue ? { '@type': 'Organization', name: venue } : null,
+            sameAs: href,
+            identifier: entry.doi ? { '@type': 'PropertyValue', propertyID: 'DOI', value: entry.doi } : null
+        });
+    }
+
+    // "University of Skövde • 7.5 Credits"
+    buildCourse(card) {
+        const [provider, credits] = StructuredData.text(card, '.course-info').split('•').map(part => part.trim());
+        const link = card.querySelector('.course-link');
+        const href = link ? link.getAttribute('href') : '';
+
+        return StructuredData.compact({
+            '@type': 'Course',
+            name: StructuredData.text(card, '.course-name'),
+            provider: provider ? { '@type': 'CollegeOrUniversity', name: provider } : null,
+            numberOfCredits: credits ? parseFloat(credits) || null : null,
+            url: href && href !== '#' ? this.resolve(href) : '',
+            instructor: { '@id': this.personId }
+        });
+    }
+
+    // Titles carry the running years, "ProcTwin (2025-2029)"; funded projects
+    // state the budget in the category, "EU Project • €4,825,924"
+    buildProject(card) {
+        const title = StructuredData.text(card, '.project-title');
+        const subtitle = StructuredData.text(card, '.project-subtitle');
+        const category = StructuredData.text(card, '.project-category');
+        const years = `${title} ${subtitle}`.match(/\b((?:19|20)\d{2})\s*[-–]\s*((?:19|20)\d{2})\b/);
+        const budget = category.match(/€\s*([\d,.]+)/);
+        const link = card.querySelector('.project-actions a[href]');
+
+        return StructuredData.compact({
+            '@type': 'ResearchProject',
+            name: title.replace(/\s*\((?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}\)\s*$/, ''),
+            alternateName: subtitle.replace(/\s*\.?\s*\((?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}\)\s*$/, ''),
+            description: StructuredData.text(card, '.project-description'),
+            keywords: category.split('•')[0].trim(),
+            foundingDate: years ? years[1] : '',
+            dissolutionDate: years ? years[2] : '',
+            url: link ? link.href : '',
+            funding: budget ? {
+                '@type': 'MonetaryGrant',
+                amount: { '@type': 'MonetaryAmount', currency: 'EUR', value: Number(budget[1].replace(/,/g, '')) }
+            } : null,
+            member: { '@id': this.personId }
+        });
+    }
+
+    buildNewsArticle(element) {
+        const title = StructuredData.text(element, '.news-title');
+        const date = element.querySelector('time[datetime]');
+        const link = element.querySelector('.news-link a, a.news-link');
+        const url = element.id ? `${this.pageUrl}#${element.id}` : (link ? link.href : '');
+
+        return StructuredData.compact({
+            '@type': 'NewsArticle',
+            '@id': element.id ? url : '',
+            url,
+            // Drop the emoji that opens most news titles
+            headline: title.replace(/^[^\p{L}\p{N}]+/u, '').slice(0, 110),
+            description: StructuredData.text(element, 'p.news-content, .news-content p'),
+            datePublished: date ? date.getAttribute('datetime') : element.dataset.date || '',
+            author: { '@id': this.personId },
+            publisher: { '@id': this.personId }
+        });
+    }
+
+    // ===== CITATION META TAGS =====
+    updateCitationMeta() {
+        this.removeCitationMeta();
+
+        const match = window.location.hash.match(/^#pub-(.+)$/);
+        const entry = match ? this.getEntry(decodeURIComponent(match[1])) : null;
+        if (!entry) return;
+
+        const kind = StructuredData.ARTICLE_TYPES[entry.type] || StructuredData.ARTICLE_TYPES.other;
+        const { fields = {} } = entry;
+        const [firstPage, lastPage] = String(fields.pages || '').split(/-+|–/).map(page => page.trim());
+
+        const tags = [
+            ['citation_title', entry.title],
+            // Highwire expects "Family, Given"
+            ...entry.authors.map(name => {
+                const { family, given } = PublicationList.parseName(name);
+                return ['citation_author', given ? `${family}, ${given}` : family];
+            }),
+            ['citation_publication_date', entry.year],
+            [kind.meta, PublicationStats.normalizeVenue(entry.venue)],
+            ['citation_volume', fields.volume],
+            ['citation_issue', fields.number],
+            ['citation_firstpage', firstPage],
+            ['citation_lastpage', lastPage],
+            ['citation_publisher', entry.type !== 'other' ? fields.publisher : ''],
+            ['citation_doi', entry.doi],
+            ['citation_abstract_html_url', `${this.pageUrl}#pub-${entry.id}`],
+            ['citation_pdf_url', /\.pdf($|\?)/i.test(entry.url) ? entry.url : '']
+        ];
+
+        tags.filter(([, content]) => content).forEach(([name, content]) => {
+            const meta = document.createElement('meta');
+            meta.name = name;
+            meta.content = content;
+            meta.dataset.structuredData = '';
+            document.head.appendChild(meta);
+        });
+    }
+
+    removeCitationMeta() {
+        document.head.querySelectorAll('meta[name^="citation_"][data-structured-data]').forEach(meta => meta.remove());
+    }
+}
+
+// ===== ACCESSIBILITY =====
+// Shared helpers for focus handling, reduced motion and ARIA id references.
+// Effects check prefersReducedMotion() at the moment they run, so changing
+// the OS setting applies without a reload.
+class Accessibility {
+    static FOCUSABLE = [
+        'a[href]',
+        'area[href]',
+        'button',
+        'input:not([type="hidden"])',
+        'select',
+        'textarea',
+        'iframe',
+        'object',
+        'embed',
+        'audio[controls]',
+        'video[controls]',
+        'details > summary:first-of-type',
+        '[contenteditable]:not([contenteditable="false"])',
+        '[tabindex]'
+    ].join(', ');
+
+    static REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+    // Elements reachable with Tab, in document order. Hidden means [hidden],
+    // [inert], aria-hidden or display: none / visibility: hidden on the
+    // element itself.
+    static getFocusable(container) {
+        return [...container.querySelectorAll(Accessibility.FOCUSABLE)].filter(element => {
+            if (element.disabled || Number(element.getAttribute('tabindex')) < 0) return false;
+            if (element.closest('[hidden], [inert], [aria-hidden="true"]')) return false;
+
+            const style = getComputedStyle(element);
+            return style.display !== 'none' && style.visibility !== 'hidden';
+        });
+    }
+
+    static prefersReducedMotion() {
+        return !!window.matchMedia && window.matchMedia(Accessibility.REDUCED_MOTION_QUERY).matches;
+    }
+
+    static scrollBehavior() {
+        return Accessibility.prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
+    // Close enough to the accessible name computation for deciding whether an
+    // element is labelled at all
+    static hasName(element) {
+        return Boolean(
+            element.getAttribute('aria-labelledby') ||
+            (element.getAttribute('aria-label') || '').trim() ||
+            element.textContent.trim() ||
+            (element.getAttribute('title') || '').trim() ||
+            element.querySelector('img[alt]:not([alt=""])')
+        );
+    }
+
+    // aria-labelledby / aria-describedby hold space-separated id lists
+    static addReference(element, attribute, id) {
+        const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+        if (!ids.includes(id)) ids.push(id);
+        element.setAttribute(attribute, ids.join(' '));
+    }
+
+    static removeReference(element, attribute, id) {
+        const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(token => token && token !== id);
+        if (ids.length) {
+            element.setAttribute(attribute, ids.join(' '));
+        } else {
+            element.removeAttribute(attribute);
+        }
+    }
+}
+
+// ===== TOOLTIPS =====
+// A role="tooltip" element per [data-tooltip] trigger, with its own id.
+// Icon-only triggers take their name from it (aria-labelledby); triggers that
+// already have one get it as a description (aria-describedby).
+class Tooltip {
+    static count = 0;
+    static OFFSET = 8;
+
+    constructor(trigger) {
+        this.trigger = trigger;
+        this.relation = Accessibility.hasName(trigger) ? 'aria-describedby' : 'aria-labelledby';
+
+        this.element = document.createElement('div');
+        this.element.id = `tooltip-${++Tooltip.count}`;
+        this.element.className = 'site-tooltip';
+        this.element.setAttribute('role', 'tooltip');
+        this.element.textContent = trigger.dataset.tooltip;
+        this.element.hidden = true;
+        document.body.appendChild(this.element);
+
+        Accessibility.addReference(trigger, this.relation, this.element.id);
+    }
+
+    get isVisible() {
+        return !this.element.hidden;
+    }
+
+    show() {
+        this.element.textContent = this.trigger.dataset.tooltip;
+        this.element.hidden = false;
+        this.position();
+    }
+
+    hide() {
+        this.element.hidden = true;
+    }
+
+    // Centered above the trigger, or below it when there is no room
+    position() {
+        const trigger = this.trigger.getBoundingClientRect();
+        const { width, height } = this.element.getBoundingClientRect();
+        const placeAbove = trigger.top - height - Tooltip.OFFSET >= 0;
+        const top = placeAbove ? trigger.top - height - Tooltip.OFFSET : trigger.bottom + Tooltip.OFFSET;
+        const maxLeft = document.documentElement.clientWidth - width - Tooltip.OFFSET;
+        const left = Math.max(Tooltip.OFFSET, Math.min(trigger.left + (trigger.width - width) / 2, maxLeft));
+
+        this.element.dataset.placement = placeAbove ? 'top' : 'bottom';
+        this.element.style.top = `${top + window.pageYOffset}px`;
+        this.element.style.left = `${left + window.pageXOffset}px`;
+    }
+
+    destroy() {
+        Accessibility.removeReference(this.trigger, this.relation, this.element.id);
+        this.element.remove();
+    }
+}
+
+// ===== ACCESSIBILITY CHECKER =====
+// Dev-mode audit (localhost, or ?dev on any URL; see ErrorReporter). After
+// each page load, content change and theme switch it lists problems in the
+// console and a panel: images without alt text, text below WCAG AA contrast,
+// skipped heading levels and ARIA references to ids that don't exist. A quick
+// check in the spirit of axe, not a replacement for it.
+class AccessibilityChecker {
+    static RULES = {
+        'image-alt': root => AccessibilityChecker.checkImageAlt(root),
+        'color-contrast': root => AccessibilityChecker.checkContrast(root),
+        'heading-order': root => AccessibilityChecker.checkHeadingOrder(root),
+        'aria-reference': root => AccessibilityChecker.checkAriaReferences(root)
+    };
+
+    static DELAY = 1000;
+    // WCAG AA: 4.5:1, or 3:1 for large text (24px, or 18.66px bold)
+    static MIN_CONTRAST = 4.5;
+    static MIN_CONTRAST_LARGE = 3;
+
+    // Dev panels report on the page, not on themselves
+    static IGNORED = '.error-panel, [aria-hidden="true"], [hidden]';
+
+    // check(root) returns [{ element, message }]
+    static registerRule(name, check) {
+        AccessibilityChecker.RULES[name] = check;
+    }
+
+    static isChecked(element) {
+        return !element.closest(AccessibilityChecker.IGNORED);
+    }
+
+    static describe(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+        return `${element.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    // ===== RULES =====
+    static checkImageAlt(root) {
+        const images = [...root.querySelectorAll('img:not([alt]), input[type="image"]:not([alt])')]
+            .map(element => ({ element, message: `${AccessibilityChecker.describe(element)} has no alt attribute` }));
+
+        const roleImages = [...root.querySelectorAll('[role="img"]')]
+            .filter(element => !element.getAttribute('aria-label') && !element.getAttribute('aria-labelledby'))
+            .map(element => ({ element, message: `${AccessibilityChecker.describe(element)} has role="img" but no label` }));
+
+        return [...images, ...roleImages].filter(({ element }) => AccessibilityChecker.isChecked(element));
+    }
+
+    static checkHeadingOrder(root) {
+        const headings = [...root.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]')]
+            .filter(element => AccessibilityChecker.isChecked(element))
+            .map(element => ({ element, level: Number(element.getAttribute('aria-level') || element.tagName.slice(1)) }));
+
+        const issues = [];
+        const titles = headings.filter(({ level }) => level === 1);
+        if (!titles.length) {
+            issues.push({ element: root, message: 'The page has no level 1 heading' });
         }
+        titles.slice(1).forEach(({ element }) => {
+            issues.push({ element, message: `${AccessibilityChecker.describe(element)} is a second level 1 heading` });
+        });
+
+        headings.forEach(({ element, level }, index) => {
+            const previous = index > 0 ? headings[index - 1].level : 0;
+            if (level > previous + 1) {
+                issues.push({
+                    element,
+                    message: `${AccessibilityChecker.describe(element)} is level ${level} after ${previous ? `level ${previous}` : 'no heading'}`
+                });
+            }
+        });
+
+        return issues;
+    }
 
-        // Touch events
-        slider.addEventListener('touchstart', handleTouchStart, { passive: true });
-        slider.addEventListener('touchmove', handleTouchMove, { passive: true });
-        slider.addEventListener('touchend', handleTouchEnd);
+    static checkAriaReferences(root) {
+        const issues = [];
+        root.querySelectorAll('[aria-labelledby], [aria-describedby]').forEach(element => {
+            if (!AccessibilityChecker.isChecked(element)) return;
 
-        // Mouse enter/leave for autoplay
-        const sliderWrapper = slider.closest('.news-slider-wrapper');
-        if (sliderWrapper) {
-            sliderWrapper.addEventListener('mouseenter', stopAutoplay);
-            sliderWrapper.addEventListener('mouseleave', startAutoplay);
+            ['aria-labelledby', 'aria-describedby'].forEach(attribute => {
+                (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean).forEach(id => {
+                    if (!document.getElementById(id)) {
+                        issues.push({ element, message: `${AccessibilityChecker.describe(element)} has ${attribute}="${id}", which does not exist` });
+                    }
+                });
+            });
+        });
+        return issues;
+    }
+
+    // Text over images or gradients can't be measured and is skipped
+    static checkContrast(root) {
+        const issues = [];
+        const checked = new Set();
+        const backgrounds = new Map();
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+        });
+
+        while (walker.nextNode()) {
+            const element = walker.currentNode.parentElement;
+            if (!element || checked.has(element)) continue;
+            checked.add(element);
+
+            if (!AccessibilityChecker.isChecked(element) || element.closest('script, style, noscript, template, .sr-only')) continue;
+            if (!element.getClientRects().length) continue;
+
+            const style = getComputedStyle(element);
+            if (style.visibility === 'hidden' || parseFloat(style.opacity) === 0) continue;
+
+            const background = AccessibilityChecker.getBackground(element, backgrounds);
+            const foreground = AccessibilityChecker.parseColor(style.color);
+            if (!background || !foreground) continue;
+
+            const color = AccessibilityChecker.blend(foreground, background);
+            const ratio = AccessibilityChecker.contrastRatio(color, background);
+            const size = parseFloat(style.fontSize);
+            const isLarge = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+            const minimum = isLarge ? AccessibilityChecker.MIN_CONTRAST_LARGE : AccessibilityChecker.MIN_CONTRAST;
+
+            if (ratio < minimum) {
+                issues.push({
+                    element,
+                    message: `${AccessibilityChecker.describe(element)} has contrast ${ratio.toFixed(2)}:1 (${AccessibilityChecker.toHex(color)} on ${AccessibilityChecker.toHex(background)}), below ${minimum}:1`
+                });
+            }
         }
+        return issues;
+    }
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (!slider.closest('.news-slider-wrapper:hover')) return;
+    // ===== COLOR =====
+    // [r, g, b, alpha] from a computed rgb()/rgba() value
+    static parseColor(value) {
+        const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec((value || '').trim());
+        if (!match) return null;
 
-            if (e.key === 'ArrowLeft') {
-                prevSlide();
-                resetAutoplay();
-            } else if (e.key === 'ArrowRight') {
-                nextSlide();
-                resetAutoplay();
+        let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+        if (match[4] && match[4].endsWith('%')) alpha /= 100;
+        return [Number(match[1]), Number(match[2]), Number(match[3]), alpha];
+    }
+
+    static blend([r, g, b, alpha], [br, bg, bb]) {
+        return [
+            r * alpha + br * (1 - alpha),
+            g * alpha + bg * (1 - alpha),
+            b * alpha + bb * (1 - alpha),
+            1
+        ];
+    }
+
+    // The colors painted behind the element, blended down to white; null
+    // when an image or gradient is involved
+    static getBackground(element, cache = new Map()) {
+        if (!element) return [255, 255, 255, 1];
+        if (cache.has(element)) return cache.get(element);
+
+        const style = getComputedStyle(element);
+        let background;
+        if (style.backgroundImage && style.backgroundImage !== 'none') {
+            background = null;
+        } else {
+            const color = AccessibilityChecker.parseColor(style.backgroundColor) || [0, 0, 0, 0];
+            if (color[3] >= 1) {
+                background = color;
+            } else {
+                const behind = AccessibilityChecker.getBackground(element.parentElement, cache);
+                background = behind && AccessibilityChecker.blend(color, behind);
             }
+        }
+
+        cache.set(element, background);
+        return background;
+    }
+
+    static luminance([r, g, b]) {
+        const [red, green, blue] = [r, g, b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
         });
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    }
 
-        // Resize handler
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                const oldSlidesToShow = slidesToShow;
-                updateSlidesToShow();
+    static contrastRatio(first, second) {
+        const [lighter, darker] = [AccessibilityChecker.luminance(first), AccessibilityChecker.luminance(second)]
+            .sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
 
-                if (oldSlidesToShow !== slidesToShow) {
-                    createDots();
-                    goToSlide(0);
-                } else {
-                    updateSlider();
-                }
-            }, 250);
+    static toHex(color) {
+        return `#${color.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    constructor(app) {
+        this.app = app;
+        this.scope = new ModuleScope('accessibility-checker', document, (error, context) => app.handleError(error, context));
+        this.timer = null;
+        this.issues = [];
+        this.panel = null;
+        this.isPanelOpen = false;
+    }
+
+    init() {
+        ['page:load', 'content:change', 'theme:change', 'language:change'].forEach(event => {
+            this.scope.onCleanup(this.app.on(event, () => this.schedule()));
         });
+        this.scope.onCleanup(() => clearTimeout(this.timer));
+        this.schedule();
+    }
 
-        // Initialize
-        updateSlidesToShow();
-        createDots();
-        updateSlider();
-        startAutoplay();
+    // Runs once things have settled: data-driven modules render after load
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.scope.guard(() => this.run())(), AccessibilityChecker.DELAY);
     }
 
-    // ===== ERROR HANDLING =====
-    handleError(error, context = '') {
-        console.error(`Portfolio Error ${context}:`, error);
-        
-        // Send to analytics if available
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'exception', {
-                description: error.message,
-                fatal: false
+    run() {
+        this.issues = Object.entries(AccessibilityChecker.RULES).flatMap(([rule, check]) => (
+            check(document.body).map(issue => Object.assign({ rule }, issue))
+        ));
+        this.report();
+        this.updatePanel();
+        return this.issues;
+    }
+
+    report() {
+        const page = window.location.pathname;
+        if (!this.issues.length) {
+            console.info(`Accessibility: no issues found on ${page}`);
+            return;
+        }
+
+        console.groupCollapsed(`Accessibility: ${this.issues.length} ${this.issues.length === 1 ? 'issue' : 'issues'} on ${page}`);
+        this.issues.forEach(({ rule, message, element }) => console.warn(`[${rule}] ${message}`, element));
+        console.groupEnd();
+    }
+
+    // ===== DEV PANEL =====
+    updatePanel() {
+        if (!this.issues.length) {
+            if (this.panel) this.panel.remove();
+            this.panel = null;
+            return;
+        }
+
+        if (!this.panel) {
+            this.panel = document.createElement('aside');
+            this.panel.className = 'error-panel a11y-panel';
+            this.panel.setAttribute('aria-label', 'Accessibility issues');
+            document.body.appendChild(this.panel);
+
+            this.scope.listen(this.panel, 'click', (e) => {
+                const item = e.target.closest('[data-a11y-issue]');
+                if (item) {
+                    this.highlight(this.issues[Number(item.dataset.a11yIssue)]);
+                } else if (e.target.closest('[data-a11y-toggle]')) {
+                    this.isPanelOpen = !this.isPanelOpen;
+                    this.updatePanel();
+                } else if (e.target.closest('[data-a11y-rerun]')) {
+                    this.run();
+                }
+            });
+            this.scope.onCleanup(() => {
+                if (this.panel) this.panel.remove();
+                this.panel = null;
             });
         }
+
+        const escape = PublicationList.escapeHtml;
+        const total = this.issues.length;
+        const items = this.issues.map(({ rule, message }, index) => `
+            <li>
+                <button type="button" class="a11y-panel-issue" data-a11y-issue="${index}">
+                    <span class="error-panel-meta">${escape(rule)}</span> ${escape(message)}
+                </button>
+            </li>
+        `).join('');
+
+        this.panel.innerHTML = `
+            <div class="error-panel-header">
+                <strong>${total} accessibility ${total === 1 ? 'issue' : 'issues'}</strong>
+                <button type="button" data-a11y-toggle aria-expanded="${this.isPanelOpen}">${this.isPanelOpen ? 'Hide' : 'Show'}</button>
+                <button type="button" data-a11y-rerun>Check again</button>
+            </div>
+            <ol class="error-panel-list" ${this.isPanelOpen ? '' : 'hidden'}>${items}</ol>
+        `;
+    }
+
+    highlight(issue) {
+        if (!issue || !issue.element.isConnected) return;
+
+        issue.element.scrollIntoView({ block: 'center', behavior: Accessibility.scrollBehavior() });
+        issue.element.classList.add('a11y-highlight');
+        setTimeout(() => issue.element.classList.remove('a11y-highlight'), 2000);
+        console.warn(`[${issue.rule}] ${issue.message}`, issue.element);
+    }
+
+    destroy() {
+        this.scope.dispose();
     }
 }
 
@@ -1242,26 +8333,65 @@ const modernAnimations = `
     border: 0 !important;
 }
 
-.lazy {
-    opacity: 0;
-    transition: opacity 0.3s;
+.anchor-target {
+    animation: anchor-flash 2s ease-out;
 }
 
-.loaded {
-    opacity: 1;
+@keyframes anchor-flash {
+    0%, 40% {
+        box-shadow: 0 0 0 4px rgba(37, 99, 235, 0.35);
+    }
+    100% {
+        box-shadow: 0 0 0 4px rgba(37, 99, 235, 0);
+    }
 }
 `;
 
-// Inject animations
-const styleSheet = document.createElement('style');
-styleSheet.textContent = modernAnimations;
-document.head.appendChild(styleSheet);
-
-// Initialize the portfolio when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    window.modernPortfolio = new ModernPortfolio();
-    
-});
+if (typeof document !== 'undefined') {
+    // Catch errors from here on; the "errors" module reports them once the app starts
+    ErrorReporter.listen();
+
+    // Navbar, footer and loading screen; the script runs after they are parsed,
+    // so they render right away
+    SiteLayout.define();
+
+    // Inject animations
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = modernAnimations;
+    document.head.appendChild(styleSheet);
+
+    // Initialize the portfolio when DOM is ready
+    document.addEventListener('DOMContentLoaded', () => {
+        window.modernPortfolio = new ModernPortfolio();
+    });
+
+    // Export for global access
+    window.ModernPortfolio = ModernPortfolio;
+    window.PublicationList = PublicationList;
+    window.Citation = Citation;
+    window.PublicationSearch = PublicationSearch;
+    window.CommandPalette = CommandPalette;
+    window.CoauthorNetwork = CoauthorNetwork;
+    window.PublicationStats = PublicationStats;
+    window.StructuredData = StructuredData;
+    window.FormValidator = FormValidator;
+    window.ContactForm = ContactForm;
+    window.PageRouter = PageRouter;
+    window.SiteLayout = SiteLayout;
+    window.ModuleScope = ModuleScope;
+    window.NewsList = NewsList;
+    window.Carousel = Carousel;
+    window.PerformanceMonitor = PerformanceMonitor;
+    window.ConsentManager = ConsentManager;
+    window.Analytics = Analytics;
+    window.ErrorReporter = ErrorReporter;
+    window.I18n = I18n;
+    window.Accessibility = Accessibility;
+    window.Tooltip = Tooltip;
+    window.AccessibilityChecker = AccessibilityChecker;
+}
 
-// Export for global access
-window.ModernPortfolio = ModernPortfolio;
\ No newline at end of file
+// Node scripts (scripts/*.js) reuse the parsers and helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModernPortfolio, PublicationList, Citation, PublicationSearch, CommandPalette, NewsList, I18n, CoauthorNetwork, PublicationStats, StructuredData, SiteLayout, Accessibility, AccessibilityChecker };
+}
\ No newline at end of file
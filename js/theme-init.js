@@ -1,53 +1,112 @@
 /**
  * Enhanced Theme Initialization Script
  * Must be loaded in <head> before page renders to prevent flash
+ *
+ * Also exposes window.SiteTheme, which ModernPortfolio uses to switch themes
+ * later on. The stored preference is "light", "dark", "system" (follow the OS)
+ * or the name of a palette.
  */
 (function() {
-    try {
-        const savedTheme = localStorage.getItem('theme') || 'light';
+    const STORAGE_KEY = 'theme';
+    const DEFAULT_THEME = 'system';
 
-        // Robust DOM element checking and setting
-        function setThemeOnElement(element, theme) {
-            if (element && typeof element.setAttribute === 'function') {
-                element.setAttribute('data-theme', theme);
-                return true;
-            }
-            return false;
+    // Every theme resolves to a base data-theme ("light" or "dark") so the
+    // existing [data-theme] rules keep applying. Palettes additionally set
+    // data-palette="<name>" and override variables in css/modern-multipage.css.
+    const THEMES = {
+        light: { label: 'Light', icon: 'fas fa-sun', scheme: 'light' },
+        dark: { label: 'Dark', icon: 'fas fa-moon', scheme: 'dark' },
+        system: { label: 'System', icon: 'fas fa-desktop', scheme: null },
+        sepia: { label: 'Sepia', icon: 'fas fa-book-open', scheme: 'light', palette: true },
+        'high-contrast': { label: 'High contrast', icon: 'fas fa-adjust', scheme: 'dark', palette: true }
+    };
+
+    const darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+    function register(name, options) {
+        THEMES[name] = Object.assign({ label: name, icon: 'fas fa-palette', scheme: 'light', palette: true }, options);
+    }
+
+    function getPreference() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return THEMES[saved] ? saved : DEFAULT_THEME;
+        } catch (error) {
+            return DEFAULT_THEME;
         }
+    }
+
+    function savePreference(name) {
+        try {
+            localStorage.setItem(STORAGE_KEY, name);
+        } catch (error) {
+            // Private browsing: the theme still applies for this page view
+        }
+    }
+
+    function resolveScheme(name) {
+        const theme = THEMES[name] || THEMES[DEFAULT_THEME];
+        if (theme.scheme) return theme.scheme;
+        return darkQuery && darkQuery.matches ? 'dark' : 'light';
+    }
+
+    // Robust DOM element checking and setting
+    function setThemeOnElement(element, name, scheme) {
+        if (!element || typeof element.setAttribute !== 'function') return false;
 
+        element.setAttribute('data-theme', scheme);
+        if (THEMES[name].palette) {
+            element.setAttribute('data-palette', name);
+        } else {
+            element.removeAttribute('data-palette');
+        }
+
+        // Class-based hooks for immediate effect
+        element.classList.toggle('dark-theme', scheme === 'dark');
+        element.classList.toggle('light-theme', scheme === 'light');
+        return true;
+    }
+
+    function apply(name) {
+        const theme = THEMES[name] ? name : DEFAULT_THEME;
+        const scheme = resolveScheme(theme);
+
+        setThemeOnElement(document.documentElement, theme, scheme);
+        setThemeOnElement(document.body, theme, scheme);
+        document.documentElement.style.colorScheme = scheme;
+        return scheme;
+    }
+
+    window.SiteTheme = {
+        STORAGE_KEY,
+        THEMES,
+        darkQuery,
+        register,
+        getPreference,
+        savePreference,
+        resolveScheme,
+        apply
+    };
+
+    try {
         // Set theme on document element immediately
-        setThemeOnElement(document.documentElement, savedTheme);
+        apply(getPreference());
 
         // Handle body element
         function initializeBodyTheme() {
             if (document.body) {
-                setThemeOnElement(document.body, savedTheme);
-
-                // Add class-based styling for immediate effect
-                if (savedTheme === 'dark') {
-                    document.body.classList.add('dark-theme');
-                    document.documentElement.classList.add('dark-theme');
-                } else {
-                    document.body.classList.add('light-theme');
-                    document.documentElement.classList.add('light-theme');
-                }
+                apply(getPreference());
             }
         }
 
         // Initialize immediately if body exists, otherwise wait
-        if (document.body) {
-            initializeBodyTheme();
-        } else {
-            // Multiple fallback approaches
+        if (!document.body) {
             if (document.readyState === 'loading') {
                 document.addEventListener('DOMContentLoaded', initializeBodyTheme);
             } else {
                 // DOM is already ready
                 setTimeout(initializeBodyTheme, 0);
             }
-
-            // Additional fallback
-            window.addEventListener('load', initializeBodyTheme);
         }
 
     } catch (error) {
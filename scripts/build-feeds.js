@@ -0,0 +1,120 @@
+// Builds feed.xml (RSS 2.0) and feed.json (JSON Feed 1.1) from data/news.json.
+// Run after editing the news:
+//
+//     node scripts/build-feeds.js
+//
+// Items are read with NewsList.normalizeItems() so the feeds list exactly
+// what news.html shows, in the same order.
+
+const fs = require('fs');
+const path = require('path');
+const { NewsList } = require('../js/modern-multipage.js');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = path.join(ROOT, 'data', 'news.json');
+
+const SITE = {
+    title: 'Dr. Addi Ait-Mlouk - News',
+    description: 'Announcements, open positions and updates from Dr. Addi Ait-Mlouk\'s research group.',
+    url: 'https://addi-ait-mlouk.github.io/',
+    author: 'Dr. Addi Ait-Mlouk',
+    email: 'addi.ait-mlouk@his.se',
+    language: 'en'
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(url) {
+    return new URL(url, SITE.url).href;
+}
+
+// Every item has a stable anchor on news.html; external links are kept separately
+function permalink(item) {
+    return absoluteUrl(`news.html#news-${item.id}`);
+}
+
+function itemLink(item) {
+    return item.url ? absoluteUrl(item.url) : permalink(item);
+}
+
+// The category doubles as a tag in both feeds
+function categories(item) {
+    return [...new Set([item.category, ...item.tags].filter(Boolean))];
+}
+
+function buildRSS(items) {
+    // Derived from the newest item rather than the clock so rebuilding
+    // unchanged news doesn't rewrite the file
+    const lastBuildDate = items.length ? items[0].date.toUTCString() : new Date(0).toUTCString();
+
+    const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(itemLink(item))}</link>
+      <guid isPermaLink="true">${escapeXml(permalink(item))}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+${categories(item).map(category => `      <category>${escapeXml(category)}</category>`).join('\n')}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(SITE.title)}</title>
+    <link>${escapeXml(absoluteUrl('news.html'))}</link>
+    <atom:link href="${escapeXml(absoluteUrl('feed.xml'))}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(SITE.description)}</description>
+    <language>${SITE.language}</language>
+    <managingEditor>${SITE.email} (${escapeXml(SITE.author)})</managingEditor>
+    <lastBuildDate>${lastBuildDate}</lastBuildDate>${entries}
+  </channel>
+</rss>
+`;
+}
+
+function buildJSONFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: SITE.title,
+        home_page_url: absoluteUrl('news.html'),
+        feed_url: absoluteUrl('feed.json'),
+        description: SITE.description,
+        language: SITE.language,
+        authors: [{ name: SITE.author, url: SITE.url }],
+        items: items.map(item => {
+            const entry = {
+                id: permalink(item),
+                url: permalink(item),
+                title: item.title,
+                content_text: item.summary,
+                date_published: item.date.toISOString(),
+                tags: categories(item)
+            };
+            if (item.url) {
+                entry.external_url = absoluteUrl(item.url);
+            }
+            return entry;
+        })
+    };
+
+    return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+function build() {
+    const data = JSON.parse(fs.readFileSync(SOURCE, 'utf8'));
+    const items = NewsList.normalizeItems(data.items || data);
+
+    fs.writeFileSync(path.join(ROOT, 'feed.xml'), buildRSS(items));
+    fs.writeFileSync(path.join(ROOT, 'feed.json'), buildJSONFeed(items));
+
+    console.log(`Wrote ${items.length} items to feed.xml and feed.json`);
+}
+
+build();
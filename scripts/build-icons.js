@@ -0,0 +1,205 @@
+// Builds the web app icons referenced by manifest.json:
+//
+//     node scripts/build-icons.js
+//
+// The "AM" monogram is defined once as polygons and written both as SVG and
+// as PNG (rasterized here, so no image tooling is needed). Maskable icons
+// keep the monogram inside the 80% safe zone and fill the whole square.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT = path.join(__dirname, '..', 'img', 'icons');
+
+// 512x512 design grid
+const SIZE = 512;
+const COLORS = { from: '#2563eb', to: '#1e3a8a', glyph: '#ffffff' };
+const CORNER_RADIUS = 112;
+
+// Outer outlines and counters, filled with the even-odd rule
+const GLYPH = [
+    // A
+    [[80, 372], [150, 140], [190, 140], [260, 372], [218, 372], [202, 320], [138, 320], [122, 372]],
+    [[148, 286], [192, 286], [170, 212]],
+    // M
+    [[272, 372], [272, 140], [314, 140], [352, 250], [390, 140], [432, 140], [432, 372], [394, 372],
+        [394, 222], [364, 306], [340, 306], [310, 222], [310, 372]]
+];
+
+const ICONS = [
+    { file: 'icon.svg', format: 'svg', maskable: false },
+    { file: 'icon-maskable.svg', format: 'svg', maskable: true },
+    { file: 'icon-192.png', format: 'png', size: 192, maskable: false },
+    { file: 'icon-512.png', format: 'png', size: 512, maskable: false },
+    { file: 'icon-maskable-512.png', format: 'png', size: 512, maskable: true }
+];
+
+// ===== SHAPES =====
+function scaleAround(polygons, factor) {
+    const center = SIZE / 2;
+    return polygons.map(points => points.map(([x, y]) => [
+        center + (x - center) * factor,
+        center + (y - center) * factor
+    ]));
+}
+
+function glyphFor(maskable) {
+    return maskable ? scaleAround(GLYPH, 0.8) : GLYPH;
+}
+
+function roundedSquare(radius, segments = 12) {
+    const corners = [
+        [SIZE - radius, radius, -Math.PI / 2],
+        [SIZE - radius, SIZE - radius, 0],
+        [radius, SIZE - radius, Math.PI / 2],
+        [radius, radius, Math.PI]
+    ];
+
+    return [corners.flatMap(([cx, cy, start]) => Array.from({ length: segments + 1 }, (_, i) => {
+        const angle = start + (Math.PI / 2) * (i / segments);
+        return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    }))];
+}
+
+// ===== SVG =====
+function toSVG(maskable) {
+    const pathData = glyphFor(maskable)
+        .map(points => `M${points.map(([x, y]) => `${+x.toFixed(1)} ${+y.toFixed(1)}`).join('L')}Z`)
+        .join('');
+    const background = maskable
+        ? `<rect width="${SIZE}" height="${SIZE}" fill="url(#bg)"/>`
+        : `<rect width="${SIZE}" height="${SIZE}" rx="${CORNER_RADIUS}" fill="url(#bg)"/>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${COLORS.from}"/>
+      <stop offset="1" stop-color="${COLORS.to}"/>
+    </linearGradient>
+  </defs>
+  ${background}
+  <path fill="${COLORS.glyph}" fill-rule="evenodd" d="${pathData}"/>
+</svg>
+`;
+}
+
+// ===== PNG =====
+// Coverage of even-odd polygons per pixel: 4 sub-rows per pixel, exact
+// horizontal overlap within each sub-row
+function rasterize(polygons, size) {
+    const scale = size / SIZE;
+    const edges = polygons.flatMap(points => points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        return [point[0] * scale, point[1] * scale, next[0] * scale, next[1] * scale];
+    }));
+
+    const coverage = new Float32Array(size * size);
+    const SUBROWS = 4;
+
+    for (let row = 0; row < size * SUBROWS; row++) {
+        const y = (row + 0.5) / SUBROWS;
+        const crossings = [];
+
+        edges.forEach(([x0, y0, x1, y1]) => {
+            if ((y0 <= y && y1 > y) || (y1 <= y && y0 > y)) {
+                crossings.push(x0 + ((y - y0) / (y1 - y0)) * (x1 - x0));
+            }
+        });
+        crossings.sort((a, b) => a - b);
+
+        const offset = Math.floor(y) * size;
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const start = Math.max(0, crossings[i]);
+            const end = Math.min(size, crossings[i + 1]);
+            for (let x = Math.floor(start); x < end; x++) {
+                const overlap = Math.min(end, x + 1) - Math.max(start, x);
+                if (overlap > 0) coverage[offset + x] += overlap / SUBROWS;
+            }
+        }
+    }
+
+    return coverage;
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function toPNG(size, maskable) {
+    const background = maskable ? null : rasterize(roundedSquare(CORNER_RADIUS), size);
+    const glyph = rasterize(glyphFor(maskable), size);
+    const from = hexToRgb(COLORS.from);
+    const to = hexToRgb(COLORS.to);
+    const white = hexToRgb(COLORS.glyph);
+
+    // One filter byte (0 = none) per scanline, then RGBA pixels
+    const raw = Buffer.alloc(size * (size * 4 + 1));
+    for (let y = 0; y < size; y++) {
+        raw[y * (size * 4 + 1)] = 0;
+        for (let x = 0; x < size; x++) {
+            const index = y * size + x;
+            const t = (x + y) / (2 * (size - 1));
+            const ink = Math.min(1, glyph[index]);
+            const pixel = y * (size * 4 + 1) + 1 + x * 4;
+
+            for (let channel = 0; channel < 3; channel++) {
+                const base = from[channel] + (to[channel] - from[channel]) * t;
+                raw[pixel + channel] = Math.round(base + (white[channel] - base) * ink);
+            }
+            raw[pixel + 3] = Math.round(255 * (background ? Math.min(1, background[index]) : 1));
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function build() {
+    fs.mkdirSync(OUTPUT, { recursive: true });
+
+    ICONS.forEach(icon => {
+        const content = icon.format === 'svg' ? toSVG(icon.maskable) : toPNG(icon.size, icon.maskable);
+        fs.writeFileSync(path.join(OUTPUT, icon.file), content);
+    });
+
+    console.log(`Wrote ${ICONS.length} icons to ${path.relative(path.join(__dirname, '..'), OUTPUT)}`);
+}
+
+build();
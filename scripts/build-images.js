@@ -0,0 +1,154 @@
+// Encodes responsive versions of the photos and figures under img/:
+//
+//     node scripts/build-images.js [output directory, default dist/]
+//
+// scripts/build-site.js runs it and uses the result to turn each <img> in the
+// built pages into a <picture> with srcset, width/height and a placeholder.
+//
+// - Every image is resized to the WIDTHS below its own width (and its own
+//   width, up to MAX_WIDTH), then written as AVIF, WebP and JPEG; images with
+//   transparency get PNG instead of JPEG.
+// - The placeholder is a PLACEHOLDER_WIDTH px blurred copy, inlined as a data
+//   URL and shown until the real image loads. Transparent images have none,
+//   as it would show through.
+// - Files are named after a hash of the source (lab/fedn.1a2b3c4d5e-640.avif),
+//   so they can be cached forever. Encoding is slow, so results are kept in
+//   .cache/images/ and reused until the source changes or VERSION is bumped.
+//
+// Needs sharp (npm install).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE = 'img';
+const OUTPUT = 'img/responsive';
+const CACHE = path.join(ROOT, '.cache', 'images');
+
+// Icons are drawn at their exact sizes by scripts/build-icons.js
+const EXCLUDED = /(^|\/)\.|^img\/(icons|responsive)\//;
+const EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+const WIDTHS = [160, 320, 640, 960, 1280, 1920];
+const MAX_WIDTH = 1920;
+const PLACEHOLDER_WIDTH = 16;
+
+const FORMATS = {
+    avif: { type: 'image/avif', encode: image => image.avif({ quality: 50, effort: 4 }) },
+    webp: { type: 'image/webp', encode: image => image.webp({ quality: 75 }) },
+    jpeg: { type: 'image/jpeg', extension: 'jpg', encode: image => image.jpeg({ quality: 78, progressive: true, mozjpeg: true }) },
+    png: { type: 'image/png', encode: image => image.png({ compressionLevel: 9, palette: true }) }
+};
+
+// Bump after changing the settings above so cached encodings are redone
+const VERSION = 1;
+
+// ===== SOURCES =====
+function listImages(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const relative = `${dir}/${entry.name}`;
+        if (EXCLUDED.test(`${relative}${entry.isDirectory() ? '/' : ''}`)) return [];
+        if (entry.isDirectory()) return listImages(relative);
+        return EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [relative] : [];
+    });
+}
+
+function widthsFor(width) {
+    const largest = Math.min(width, MAX_WIDTH);
+    return [...WIDTHS.filter(candidate => candidate < largest), largest];
+}
+
+// ===== ENCODING =====
+// Returns the manifest entry for one image; files are written to directory
+async function encode(file, buffer, hash, directory) {
+    const { width, height } = await sharp(buffer).metadata();
+    const { isOpaque } = await sharp(buffer).stats();
+    const formats = ['avif', 'webp', isOpaque ? 'jpeg' : 'png'];
+    const base = `${file.slice(SOURCE.length + 1).replace(/\.\w+$/, '')}.${hash}`;
+
+    const sources = {};
+    for (const format of formats) {
+        const { type, extension = format, encode: encodeAs } = FORMATS[format];
+        sources[type] = [];
+
+        for (const size of widthsFor(width)) {
+            const name = `${base}-${size}.${extension}`;
+            const target = path.join(directory, name);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            await encodeAs(sharp(buffer).resize({ width: size })).toFile(target);
+            sources[type].push({ file: `${OUTPUT}/${name}`, width: size });
+        }
+    }
+
+    return {
+        width,
+        height,
+        fallback: FORMATS[formats[2]].type,
+        placeholder: isOpaque ? await placeholder(buffer) : null,
+        sources
+    };
+}
+
+async function placeholder(buffer) {
+    const data = await sharp(buffer)
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(1)
+        .jpeg({ quality: 50 })
+        .toBuffer();
+    return `data:image/jpeg;base64,${data.toString('base64')}`;
+}
+
+// Encodes into the cache unless it already holds this version
+async function cached(file) {
+    const buffer = fs.readFileSync(path.join(ROOT, file));
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 10);
+    const key = crypto.createHash('sha256').update(`${file}\n${hash}\n${VERSION}`).digest('hex').slice(0, 16);
+    const directory = path.join(CACHE, key);
+    const manifestFile = path.join(directory, 'manifest.json');
+
+    if (fs.existsSync(manifestFile)) {
+        return { directory, entry: JSON.parse(fs.readFileSync(manifestFile, 'utf8')), fresh: false };
+    }
+
+    fs.rmSync(directory, { recursive: true, force: true });
+    const entry = await encode(file, buffer, hash, path.join(directory, 'files'));
+    fs.writeFileSync(manifestFile, JSON.stringify(entry));
+    return { directory, entry, fresh: true };
+}
+
+// ===== BUILD =====
+// Resolves to { 'img/lab/fedn.png': { width, height, fallback, placeholder,
+// sources: { 'image/avif': [{ file, width }], ... } } }
+async function build(root = path.join(ROOT, 'dist')) {
+    const manifest = {};
+    let encoded = 0;
+    let before = 0;
+    let after = 0;
+
+    for (const file of listImages(SOURCE)) {
+        const { directory, entry, fresh } = await cached(file);
+        fs.cpSync(path.join(directory, 'files'), path.join(root, OUTPUT), { recursive: true });
+        manifest[file] = entry;
+        if (fresh) encoded++;
+
+        const avif = entry.sources['image/avif'];
+        before += fs.statSync(path.join(ROOT, file)).size;
+        after += fs.statSync(path.join(root, avif[avif.length - 1].file)).size;
+    }
+
+    const images = Object.keys(manifest).length;
+    console.log(`Images: ${images} (${encoded} encoded, ${images - encoded} from .cache/), originals ${Math.round(before / 1024)} KB, largest AVIFs ${Math.round(after / 1024)} KB`);
+    return manifest;
+}
+
+if (require.main === module) {
+    const output = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+    build(output).catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { build, OUTPUT };
@@ -0,0 +1,180 @@
+// Builds data/search-index.json for the Ctrl/Cmd+K command palette.
+// Run after editing page content, data/publications.bib or data/news.json:
+//
+//     node scripts/build-search-index.js
+//
+// Heading anchors are derived with ModernPortfolio.slugify() so the ids
+// assigned at runtime by initHeadingAnchors() match the indexed URLs.
+
+const fs = require('fs');
+const path = require('path');
+const { ModernPortfolio, PublicationList, NewsList, SiteLayout } = require('../js/modern-multipage.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'search-index.json');
+
+// Every page of the site, from the same config as the navbar
+const PAGES = SiteLayout.PAGES.map(({ href, label }) => ({ file: href, title: label }));
+
+// Heading classes that mark an indexable content item rather than a plain section
+const HEADING_TYPES = [
+    { className: 'course-name', type: 'course', canonicalPage: 'teaching.html' },
+    { className: 'project-title', type: 'project', canonicalPage: 'projects.html', exclude: 'student-name' }
+];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+// Equivalent of element.textContent for a fragment of markup
+function textContent(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ''));
+}
+
+function cleanText(html) {
+    return textContent(html)
+        .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, length = 160) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+    return match ? match[1] : '';
+}
+
+function indexPage(page, html) {
+    const items = [];
+    const description = getAttribute((/<meta name="description"([^>]*)>/.exec(html) || [])[1] || '', 'content');
+
+    items.push({
+        type: 'page',
+        title: page.title,
+        url: page.file,
+        text: decodeEntities(description)
+    });
+
+    // Mirror initHeadingAnchors(): existing ids are reserved, then headings
+    // inside <section> elements get slug ids in document order.
+    const used = new Set();
+    html.replace(/\bid="([^"]+)"/g, (match, id) => used.add(id));
+
+    const sections = html.match(/<section\b[\s\S]*?<\/section>/g) || [];
+    sections.forEach(section => {
+        const headingPattern = /<h([1-4])\b([^>]*)>([\s\S]*?)<\/h\1>/g;
+        let match;
+
+        while ((match = headingPattern.exec(section)) !== null) {
+            const [, , attributes, inner] = match;
+            let id = getAttribute(attributes, 'id');
+
+            if (!id) {
+                const base = ModernPortfolio.slugify(textContent(inner)) || 'section';
+                id = base;
+                for (let i = 2; used.has(id); i++) {
+                    id = `${base}-${i}`;
+                }
+                used.add(id);
+            }
+
+            const title = cleanText(inner);
+            if (!title) continue;
+
+            const classes = getAttribute(attributes, 'class').split(/\s+/);
+            const kind = HEADING_TYPES.find(({ className, exclude }) =>
+                classes.includes(className) && !classes.includes(exclude));
+
+            // The first paragraph after an item heading serves as its summary
+            const following = section.slice(headingPattern.lastIndex, headingPattern.lastIndex + 1500);
+            const paragraph = kind ? /<p\b[^>]*>([\s\S]*?)<\/p>/.exec(following) : null;
+
+            items.push({
+                type: kind ? kind.type : 'section',
+                title,
+                url: `${page.file}#${id}`,
+                pageTitle: page.title,
+                text: paragraph ? truncate(cleanText(paragraph[1])) : ''
+            });
+        }
+    });
+
+    return items;
+}
+
+function indexPublications() {
+    const source = fs.readFileSync(path.join(ROOT, 'data', 'publications.bib'), 'utf8');
+
+    return PublicationList.parseBibTeX(source)
+        .map((record, index) => PublicationList.normalizeEntry(record, index))
+        .map(entry => ({
+            type: 'publication',
+            title: entry.title,
+            url: `publications.html#pub-${entry.id}`,
+            pageTitle: 'Publications',
+            text: truncate([entry.authors.join(', '), entry.venue, entry.year].filter(Boolean).join(' · '))
+        }));
+}
+
+// News is rendered from data/news.json at runtime, so it is indexed from the
+// data file; NewsList gives each item a news.html#news-<id> anchor
+function indexNews() {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'news.json'), 'utf8'));
+
+    return NewsList.normalizeItems(data.items || data).map(item => ({
+        type: 'news',
+        title: item.title,
+        url: `news.html#news-${item.id}`,
+        pageTitle: 'News',
+        text: truncate(item.summary)
+    }));
+}
+
+// Items repeated across pages (e.g. news teasers on the home page) are kept
+// only on the page that owns them
+function dedupe(items) {
+    const canonical = new Map(HEADING_TYPES.map(({ type, canonicalPage }) => [type, canonicalPage]));
+    const seen = new Map();
+
+    items.forEach(item => {
+        if (!canonical.has(item.type)) return;
+        const key = `${item.type}:${ModernPortfolio.slugify(item.title)}`;
+        const existing = seen.get(key);
+        const isCanonical = item.url.startsWith(`${canonical.get(item.type)}#`);
+        if (!existing || isCanonical) {
+            seen.set(key, item);
+        }
+    });
+
+    return items.filter(item => {
+        if (!canonical.has(item.type)) return true;
+        return seen.get(`${item.type}:${ModernPortfolio.slugify(item.title)}`) === item;
+    });
+}
+
+function build() {
+    const pageItems = PAGES.flatMap(page => {
+        const html = fs.readFileSync(path.join(ROOT, page.file), 'utf8');
+        return indexPage(page, html);
+    });
+
+    const items = [...dedupe(pageItems), ...indexNews(), ...indexPublications()];
+    fs.writeFileSync(OUTPUT, `${JSON.stringify({ items }, null, 2)}\n`);
+
+    console.log(`Wrote ${items.length} entries to ${path.relative(ROOT, OUTPUT)}`);
+}
+
+build();
@@ -0,0 +1,74 @@
+// Regenerates the precache list and version in sw.js. Run before publishing,
+// after any change to pages, styles, scripts, data or images:
+//
+//     node scripts/build-service-worker.js
+//
+// VERSION is a hash of every precached file, so any content change produces a
+// new sw.js and visitors get the "new version available" prompt.
+// scripts/build-site.js runs the same build over dist/.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+
+// Directories precached in full, plus individual files in the site root.
+// The responsive image variants in dist/ are left to the runtime cache: the
+// browser only ever fetches one size per image.
+const DIRECTORIES = ['css', 'js', 'data', 'img', 'cv'];
+const ROOT_FILES = ['manifest.json', 'feed.xml', 'feed.json'];
+const EXCLUDED = /(^|\/)\.|\.map$|^img\/responsive\//;
+
+const BLOCK = /(\/\/ ===== PRECACHE \(generated[^\n]*\n)[\s\S]*?(\/\/ ===== END PRECACHE =====)/;
+
+function listFiles(root, dir) {
+    return fs.readdirSync(path.join(root, dir), { withFileTypes: true }).flatMap(entry => {
+        const relative = `${dir}/${entry.name}`;
+        if (EXCLUDED.test(relative)) return [];
+        return entry.isDirectory() ? listFiles(root, relative) : [relative];
+    });
+}
+
+function collectFiles(root) {
+    const pages = fs.readdirSync(root).filter(file => file.endsWith('.html'));
+    const rootFiles = ROOT_FILES.filter(file => fs.existsSync(path.join(root, file)));
+    const directories = DIRECTORIES.filter(dir => fs.existsSync(path.join(root, dir)));
+
+    return [...pages, ...rootFiles, ...directories.flatMap(dir => listFiles(root, dir))].sort();
+}
+
+function hashFiles(root, files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(root, file)));
+    });
+    return hash.digest('hex').slice(0, 10);
+}
+
+function build(root = ROOT) {
+    const serviceWorker = path.join(root, 'sw.js');
+    const files = collectFiles(root);
+    const urls = ['./', ...files];
+    const source = fs.readFileSync(serviceWorker, 'utf8');
+
+    if (!BLOCK.test(source)) {
+        throw new Error('sw.js is missing the generated PRECACHE block');
+    }
+
+    const block = `const VERSION = '${hashFiles(root, files)}';
+const PRECACHE_URLS = [
+${urls.map(url => `    '${url}'`).join(',\n')}
+];
+`;
+    fs.writeFileSync(serviceWorker, source.replace(BLOCK, `$1${block}$2`));
+
+    console.log(`Wrote ${urls.length} precache URLs to ${path.relative(ROOT, serviceWorker)}`);
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { build };
@@ -0,0 +1,464 @@
+// Builds the deployable site into dist/:
+//
+//     node scripts/build-site.js
+//
+// - Pages are pre-rendered: the navbar, footer and loading screen from
+//   SiteLayout, the publication list and statistics from data/publications.bib
+//   (plus data/citations.json when present) and the news from data/news.json,
+//   so the content is there without JavaScript. Courses and projects are
+//   written in teaching.html and research.html and need no rendering.
+// - ModernPortfolio still runs on top: modules re-render the pre-rendered
+//   containers with filters, search and translations.
+// - CSS and JS are minified and fingerprinted (css/modern-multipage.<hash>.css)
+//   and the pages point at the new names.
+// - Images get responsive AVIF/WebP/JPEG versions (scripts/build-images.js)
+//   and every <img> becomes a <picture> with srcset, width/height and a
+//   blur-up placeholder. The <img>'s own sizes attribute (default 100vw) tells
+//   the browser how wide it is shown.
+// - sitemap.xml, robots.txt and the service worker precache are generated for
+//   the output.
+//
+// Publish dist/ instead of the repository root. The root pages keep working
+// as they are for local editing, but only dist/ has the srcset variants and
+// placeholders: the source <img> tags carry their sizes and intrinsic
+// width/height and load the original file.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const {
+    ModernPortfolio, PublicationList, PublicationStats, NewsList, I18n, SiteLayout
+} = require('../js/modern-multipage.js');
+const serviceWorker = require('./build-service-worker.js');
+const images = require('./build-images.js');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const SITE_URL = 'https://addi-ait-mlouk.github.io/';
+
+// Copied as they are; css/ and js/ go through processAssets()
+const COPIED = ['data', 'img', 'cv', 'manifest.json', 'feed.xml', 'feed.json', 'CNAME', 'sw.js'];
+const ASSET_DIRECTORIES = ['css', 'js'];
+const EXCLUDED = /(^|\/)\.|\.map$/;
+
+// Without JavaScript nothing removes the loading screen or runs the AOS
+// entrance animations, which start from opacity: 0
+const NOSCRIPT_STYLE = '<noscript><style>site-loading { display: none; } [data-aos] { opacity: 1 !important; transform: none !important; }</style></noscript>';
+
+// ===== MINIFICATION =====
+// Conservative on purpose: comments and indentation go, line breaks stay so
+// automatic semicolon insertion behaves exactly as in the source. Strings,
+// template literals and regular expressions are copied untouched.
+function minifyJs(source) {
+    const REGEX_AFTER = /[(,=:[!&|?{};+\-*%<>~^]$|(^|[^\w$])(return|typeof|case|in|of|new|delete|void|throw|yield|await)$/;
+    const templates = [];
+    let output = '';
+    let i = 0;
+
+    // Only the end of the output matters; testing all of it would be quadratic
+    const tail = () => output.slice(-16);
+
+    const copyQuoted = (quote) => {
+        const start = i++;
+        while (i < source.length && source[i] !== quote) {
+            i += source[i] === '\\' ? 2 : 1;
+        }
+        output += source.slice(start, ++i);
+    };
+
+    // Copies template text up to the closing backtick or the next ${
+    const copyTemplate = () => {
+        const start = i;
+        while (i < source.length && source[i] !== '`' && !(source[i] === '$' && source[i + 1] === '{')) {
+            i += source[i] === '\\' ? 2 : 1;
+        }
+        if (source[i] === '`') {
+            output += source.slice(start, ++i);
+        } else {
+            output += source.slice(start, i += 2);
+            templates.push(0);
+        }
+    };
+
+    const copyRegex = () => {
+        const start = i++;
+        let inClass = false;
+        while (i < source.length && (inClass || source[i] !== '/')) {
+            if (source[i] === '\\') i++;
+            else if (source[i] === '[') inClass = true;
+            else if (source[i] === ']') inClass = false;
+            i++;
+        }
+        i++;
+        while (/[a-z]/i.test(source[i] || '')) i++;
+        output += source.slice(start, i);
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (char === '\'' || char === '"') {
+            copyQuoted(char);
+        } else if (char === '`') {
+            output += char;
+            i++;
+            copyTemplate();
+        } else if (char === '/' && next === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const comment = source.slice(i, end + 2);
+            i = end + 2;
+            if (comment.includes('\n')) output += '\n';
+            else if (!/\s$/.test(tail())) output += ' ';
+        } else if (char === '/') {
+            if (!output || REGEX_AFTER.test(tail().trimEnd())) {
+                copyRegex();
+            } else {
+                output += char;
+                i++;
+            }
+        } else if (char === '{' && templates.length) {
+            templates[templates.length - 1]++;
+            output += char;
+            i++;
+        } else if (char === '}' && templates.length && templates[templates.length - 1] === 0) {
+            templates.pop();
+            output += char;
+            i++;
+            copyTemplate();
+        } else if (char === '}' && templates.length) {
+            templates[templates.length - 1]--;
+            output += char;
+            i++;
+        } else if (char === '\n' || char === '\r') {
+            while (output.endsWith(' ') || output.endsWith('\t')) output = output.slice(0, -1);
+            if (output && !output.endsWith('\n')) output += '\n';
+            i++;
+            while (/[ \t\r\n]/.test(source[i] || '')) i++;
+        } else if (char === ' ' || char === '\t') {
+            if (!/[ \t\n]$/.test(tail())) output += ' ';
+            i++;
+        } else {
+            output += char;
+            i++;
+        }
+    }
+
+    return `${output.trim()}\n`;
+}
+
+function minifyCss(source) {
+    // Strings (data: URLs, content: "...") are set aside first
+    const strings = [];
+    return source
+        .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, (string) => `\u0000${strings.push(string) - 1}\u0000`)
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([{};,])\s*/g, '$1')
+        .replace(/:\s+/g, ':')
+        .replace(/;}/g, '}')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => strings[index])
+        .trim() + '\n';
+}
+
+// ===== ASSETS =====
+function listFiles(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const relative = `${dir}/${entry.name}`;
+        if (EXCLUDED.test(relative)) return [];
+        return entry.isDirectory() ? listFiles(relative) : [relative];
+    });
+}
+
+// Writes css/x.<hash>.css and js/x.<hash>.js; returns a map of old -> new paths
+function processAssets() {
+    const renamed = new Map();
+
+    ASSET_DIRECTORIES.flatMap(listFiles).forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const extension = path.extname(file);
+        const minified = extension === '.js' ? minifyJs(source)
+            : extension === '.css' ? minifyCss(source)
+            : source;
+        const hash = crypto.createHash('sha256').update(minified).digest('hex').slice(0, 10);
+        const output = extension === '.js' || extension === '.css'
+            ? file.replace(/(\.\w+)$/, `.${hash}$1`)
+            : file;
+
+        write(output, minified);
+        renamed.set(file, output);
+        console.log(`  ${output} (${Math.round(source.length / 1024)} KB -> ${Math.round(minified.length / 1024)} KB)`);
+    });
+
+    return renamed;
+}
+
+// ===== DATA =====
+function loadData() {
+    const bib = fs.readFileSync(path.join(ROOT, 'data', 'publications.bib'), 'utf8');
+    const entries = PublicationList.parseBibTeX(bib)
+        .map((record, index) => PublicationList.normalizeEntry(record, index))
+        .filter(entry => entry.title);
+
+    const citationsFile = path.join(ROOT, 'data', 'citations.json');
+    const citations = fs.existsSync(citationsFile) ? JSON.parse(fs.readFileSync(citationsFile, 'utf8')) : null;
+
+    const news = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'news.json'), 'utf8'));
+
+    return {
+        entries,
+        citations,
+        news: NewsList.normalizeItems(news.items || news)
+    };
+}
+
+// ===== PRE-RENDERING =====
+function parseAttributes(source) {
+    const attributes = {};
+    source.replace(/([\w-]+)(?:="([^"]*)")?/g, (match, name, value = '') => {
+        attributes[name] = value.replace(/&amp;/g, '&');
+    });
+    return attributes;
+}
+
+// The element.dataset the modules would see
+function toDataset(attributes) {
+    const dataset = {};
+    Object.entries(attributes)
+        .filter(([name]) => name.startsWith('data-'))
+        .forEach(([name, value]) => {
+            dataset[name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+        });
+    return dataset;
+}
+
+function findClosingDiv(html, from) {
+    const tags = /<div\b|<\/div>/g;
+    tags.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = tags.exec(html))) {
+        depth += match[0] === '</div>' ? -1 : 1;
+        if (depth === 0) return match.index;
+    }
+    throw new Error('Unclosed <div>');
+}
+
+// Replaces the content of every <div data-module="... name ..."> with
+// render(dataset); the module re-renders it when the script runs
+function fillModule(html, name, render) {
+    const containers = [];
+    const openTags = /<div\b([^>]*)>/g;
+    let match;
+
+    while ((match = openTags.exec(html))) {
+        const attributes = parseAttributes(match[1]);
+        if ((attributes['data-module'] || '').split(/\s+/).includes(name)) {
+            const start = match.index + match[0].length;
+            containers.push({ start, end: findClosingDiv(html, start), dataset: toDataset(attributes) });
+        }
+    }
+
+    return containers.reverse().reduce((result, { start, end, dataset }) => (
+        `${result.slice(0, start)}\n${render(dataset)}\n${result.slice(end)}`
+    ), html);
+}
+
+function prerenderLayout(html, page) {
+    return html
+        .replace('<site-loading></site-loading>', `<site-loading>${SiteLayout.renderLoading()}</site-loading>`)
+        .replace('<site-nav></site-nav>', `<site-nav>${SiteLayout.renderNav(page)}</site-nav>`)
+        .replace('<site-footer></site-footer>', `<site-footer>${SiteLayout.renderFooter()}</site-footer>`);
+}
+
+function prerenderPublications(html, { entries, citations }) {
+    html = fillModule(html, 'publications', (dataset) => PublicationList.renderGroups(
+        PublicationList.groupByYear(entries),
+        PublicationList.normalizeName(dataset.highlightAuthor || '')
+    ));
+
+    let counters = null;
+    html = fillModule(html, 'publication-stats', (dataset) => {
+        const stats = new PublicationStats({ dataset }, null);
+        stats.stats = PublicationStats.compute(entries, PublicationList.indexAuthors(entries), { owner: stats.owner, citations });
+        counters = stats.stats.counters;
+        return stats.renderCharts();
+    });
+
+    if (!counters) return html;
+
+    // The counters start from the computed values; citation cards only show with citation data
+    return html.replace(
+        /(<div class="stat-card" data-stat-card)( hidden)?(>\s*<span class="stat-number" data-count=")\d+(" data-stat="([\w-]+)">)\d+/g,
+        (match, card, hidden, open, close, name) => (counters[name] === undefined
+            ? match
+            : `${card}${open}${counters[name]}${close}${counters[name]}`)
+    );
+}
+
+function prerenderNews(html, { news }) {
+    return fillModule(html, 'news', (dataset) => {
+        const list = new NewsList({ dataset }, null);
+        list.items = news;
+        return list.view === 'latest'
+            ? list.renderSlides()
+            : `<div class="news-list" data-news-items>${list.renderItems(news)}</div>`;
+    });
+}
+
+// ===== IMAGES =====
+const DEFAULT_SIZES = '100vw';
+
+function srcset(variants) {
+    return variants.map(({ file, width }) => `${file} ${width}w`).join(', ');
+}
+
+function renderAttributes(attributes) {
+    return Object.entries(attributes)
+        .map(([name, value]) => (value === '' ? name : `${name}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`))
+        .join(' ');
+}
+
+// <img src="img/..."> -> <picture> with an AVIF and a WebP <source> and the
+// JPEG/PNG fallback on the <img>. Images are lazy unless marked
+// loading="eager"; initLazyLoading() removes the placeholder once loaded.
+function renderPicture(attributes, image) {
+    const sizes = attributes.sizes || DEFAULT_SIZES;
+    const fallback = image.sources[image.fallback];
+    const sources = Object.entries(image.sources)
+        .filter(([type]) => type !== image.fallback)
+        .map(([type, variants]) => `<source type="${type}" srcset="${srcset(variants)}" sizes="${sizes}">`);
+
+    const img = Object.assign({}, attributes, {
+        src: fallback[Math.floor((fallback.length - 1) / 2)].file,
+        srcset: srcset(fallback),
+        sizes,
+        width: image.width,
+        height: image.height,
+        loading: attributes.loading || 'lazy',
+        decoding: 'async'
+    });
+    if (image.placeholder) {
+        img.class = `${attributes.class || ''} blur-up`.trim();
+        img.style = `${attributes.style ? `${attributes.style}; ` : ''}--placeholder: url(${image.placeholder})`;
+    }
+
+    return `<picture>${sources.join('')}<img ${renderAttributes(img)}></picture>`;
+}
+
+function rewriteImages(html, manifest) {
+    return html.replace(/<img\b([^>]*?)\/?>/g, (match, source) => {
+        const attributes = parseAttributes(source);
+        const image = manifest[attributes.src];
+        return image && !attributes.srcset ? renderPicture(attributes, image) : match;
+    });
+}
+
+function rewriteAssets(html, renamed) {
+    return html.replace(/\b(src|href)="((?:css|js)\/[^"]+)"/g, (match, attribute, file) => (
+        renamed.has(file) ? `${attribute}="${renamed.get(file)}"` : match
+    ));
+}
+
+function buildPage(file, data, renamed, manifest) {
+    let html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const page = ModernPortfolio.getPageName({ pathname: `/${file}` });
+
+    html = prerenderLayout(html, page);
+    html = prerenderPublications(html, data);
+    html = prerenderNews(html, data);
+    html = rewriteImages(html, manifest);
+    html = rewriteAssets(html, renamed);
+    html = html.replace('</head>', `    ${NOSCRIPT_STYLE}\n</head>`);
+
+    write(file, html);
+}
+
+// ===== SITEMAP =====
+// Last commit that touched the page, or its modification time outside git
+function lastModified(file) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+        if (date) return date;
+    } catch (error) {
+        // Not a git checkout
+    }
+    return fs.statSync(path.join(ROOT, file)).mtime.toISOString().slice(0, 10);
+}
+
+function pageUrl(href, language) {
+    const url = new URL(href === 'index.html' ? './' : href, SITE_URL);
+    if (language && language !== I18n.DEFAULT_LANGUAGE) {
+        url.searchParams.set(I18n.URL_PARAM, language);
+    }
+    return url.href;
+}
+
+function buildSitemap() {
+    const urls = SiteLayout.PAGES.map(({ href }) => {
+        const alternates = Object.keys(I18n.LANGUAGES).map(language => (
+            `    <xhtml:link rel="alternate" hreflang="${language}" href="${pageUrl(href, language)}"/>`
+        ));
+        return `  <url>
+    <loc>${pageUrl(href)}</loc>
+    <lastmod>${lastModified(href)}</lastmod>
+${alternates.join('\n')}
+  </url>`;
+    });
+
+    write('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`);
+
+    write('robots.txt', `User-agent: *
+Disallow: /offline.html
+
+Sitemap: ${new URL('sitemap.xml', SITE_URL).href}
+`);
+}
+
+// ===== OUTPUT =====
+function write(file, content) {
+    const target = path.join(DIST, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+}
+
+function copy(file) {
+    const source = path.join(ROOT, file);
+    if (!fs.existsSync(source)) return;
+    fs.cpSync(source, path.join(DIST, file), {
+        recursive: true,
+        filter: (item) => !EXCLUDED.test(path.relative(ROOT, item))
+    });
+}
+
+async function build() {
+    fs.rmSync(DIST, { recursive: true, force: true });
+
+    COPIED.forEach(copy);
+
+    console.log('Assets:');
+    const renamed = processAssets();
+    const manifest = await images.build(DIST);
+
+    const data = loadData();
+    const pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html'));
+    pages.forEach(file => buildPage(file, data, renamed, manifest));
+    console.log(`Pre-rendered ${pages.length} pages (${data.entries.length} publications, ${data.news.length} news items)`);
+
+    buildSitemap();
+    serviceWorker.build(DIST);
+
+    console.log(`Site written to ${path.relative(ROOT, DIST)}/`);
+}
+
+build().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
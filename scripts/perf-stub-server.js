@@ -0,0 +1,92 @@
+// Serves the site locally with performance reporting switched on and prints
+// every batch PerformanceMonitor sends:
+//
+//     node scripts/perf-stub-server.js [port]
+//
+// Pages get <meta name="perf-endpoint" content="/__perf"> injected, so no
+// HTML has to change. Allow "Performance" in the privacy banner, then open
+// http://localhost:8080/?perf-debug to watch the values as they are
+// collected; batches are logged when the tab is hidden.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = parseInt(process.argv[2], 10) || 8080;
+const ENDPOINT = '/__perf';
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.bib': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.pdf': 'application/pdf'
+};
+
+function logBatch(body) {
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (error) {
+        console.log('Unreadable batch:', body.slice(0, 200));
+        return;
+    }
+
+    console.log(`\n${payload.sentAt} ${payload.url} (${payload.navigationType || 'unknown'}, view ${payload.id})`);
+    payload.metrics.forEach(({ name, value, rating, detail }) => {
+        const summary = detail ? ` ${JSON.stringify(detail)}` : '';
+        console.log(`  ${name.padEnd(10)} ${String(value).padStart(8)}  ${rating || ''}${summary}`);
+    });
+}
+
+function serveFile(request, response) {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = path.join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    if (!file.startsWith(ROOT) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+    }
+
+    const type = TYPES[path.extname(file)] || 'application/octet-stream';
+    let content = fs.readFileSync(file);
+
+    if (path.extname(file) === '.html') {
+        content = content.toString('utf8').replace(
+            '</head>',
+            `    <meta name="perf-endpoint" content="${ENDPOINT}">\n</head>`
+        );
+    }
+
+    response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    response.end(content);
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'POST' && request.url === ENDPOINT) {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            logBatch(body);
+            response.writeHead(204);
+            response.end();
+        });
+        return;
+    }
+
+    serveFile(request, response);
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving ${ROOT} on http://localhost:${PORT} (batches go to ${ENDPOINT})`);
+});
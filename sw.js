@@ -0,0 +1,190 @@
+// Service worker for the portfolio: works offline and keeps CDN assets cached.
+//
+// - Pages are network-first, falling back to the cached copy and then to
+//   offline.html.
+// - Same-origin assets and the CDN libraries (Bootstrap, AOS, Font Awesome,
+//   Google Fonts) are stale-while-revalidate.
+// - A new worker waits until the page posts SKIP_WAITING, which ModernPortfolio
+//   does when the visitor accepts the "new version available" prompt.
+//
+// The PRECACHE block is generated; update it before publishing with:
+//
+//     node scripts/build-service-worker.js
+
+// ===== PRECACHE (generated by scripts/build-service-worker.js) =====
+const VERSION = '34fddb42c9';
+const PRECACHE_URLS = [
+    './',
+    'about.html',
+    'contact.html',
+    'css/modern-multipage.css',
+    'css/portfolio-custom.css',
+    'cv/cv_phd_aitmlouk.pdf',
+    'data/i18n/fr.json',
+    'data/i18n/sv.json',
+    'data/news.json',
+    'data/publications.bib',
+    'data/search-index.json',
+    'divers.html',
+    'feed.json',
+    'feed.xml',
+    'img/contact-bg-1.png',
+    'img/contact-bg-2.png',
+    'img/contact-bg.jpg',
+    'img/gallery/400x300.png',
+    'img/gallery/450x600.png',
+    'img/gallery/600x600.png',
+    'img/gallery/800x600.png',
+    'img/gallery/900x600.png',
+    'img/icons/icon-192.png',
+    'img/icons/icon-512.png',
+    'img/icons/icon-maskable-512.png',
+    'img/icons/icon-maskable.svg',
+    'img/icons/icon.svg',
+    'img/lab/data_registry.jpg',
+    'img/lab/familysync.png',
+    'img/lab/fedn.png',
+    'img/lab/kdd.jpg',
+    'img/lab/proctwin.png',
+    'img/personal/awards100x100.png',
+    'img/personal/me-2.jpg',
+    'img/personal/personal-image.jpg',
+    'img/personal/personal-image2.jpg',
+    'img/pointer.png',
+    'img/proc.png',
+    'img/pubs/150x200.png',
+    'img/thesis.png',
+    'index.html',
+    'js/modern-multipage.js',
+    'js/theme-init.js',
+    'manifest.json',
+    'news.html',
+    'offline.html',
+    'projects.html',
+    'publications.html',
+    'research.html',
+    'teaching.html'
+];
+// ===== END PRECACHE =====
+
+const PRECACHE = `portfolio-precache-${VERSION}`;
+const RUNTIME = 'portfolio-runtime';
+const CDN = 'portfolio-cdn';
+const OFFLINE_URL = 'offline.html';
+
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'unpkg.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+const MAX_CDN_ENTRIES = 60;
+
+// ===== LIFECYCLE =====
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache so the precache matches this version
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                // Runtime copies belong to the previous version; CDN assets are versioned by URL
+                .filter(key => key.startsWith('portfolio-') && key !== PRECACHE && key !== CDN)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ===== FETCH =====
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (isPageRequest(request)) {
+            event.respondWith(networkFirst(request));
+        } else {
+            event.respondWith(staleWhileRevalidate(event, RUNTIME));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, CDN, MAX_CDN_ENTRIES));
+    }
+});
+
+// Real navigations, and the HTML fetches PageRouter makes for client-side navigation
+function isPageRequest(request) {
+    return request.mode === 'navigate' ||
+        (request.headers.get('Accept') || '').includes('text/html');
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await matchCached(request, RUNTIME);
+        if (cached) return cached;
+
+        if (request.mode === 'navigate') {
+            const offline = await caches.match(OFFLINE_URL);
+            if (offline) return offline;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName, maxEntries) {
+    const { request } = event;
+    const cached = await matchCached(request, cacheName);
+
+    const update = fetch(request).then(async (response) => {
+        // Opaque (status 0) responses are what no-cors CDN stylesheets give back
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+            if (maxEntries) await trimCache(cache, maxEntries);
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Keep the worker alive until the refresh has been stored
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Copies refreshed at runtime win over the precache
+async function matchCached(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: isPageRequest(request) });
+    if (cached) return cached;
+
+    return caches.match(request, { ignoreSearch: true, cacheName: PRECACHE });
+}
+
+// Caches keep insertion order, so the oldest entries go first
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
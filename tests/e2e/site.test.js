@@ -0,0 +1,261 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isBrowserInstalled, launch } = require('../helpers/browser.js');
+const { PublicationList, PublicationSearch } = require('../../js/modern-multipage.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ENTRIES = PublicationList.parseBibTeX(fs.readFileSync(path.join(ROOT, 'data/publications.bib'), 'utf8'))
+    .map((record, index) => PublicationList.normalizeEntry(record, index))
+    .filter(entry => entry.title);
+
+const SKIP = !isBrowserInstalled() && 'Chromium is not installed; run npm run test:e2e:install';
+
+const MOBILE = { viewport: { width: 375, height: 740 }, reducedMotion: 'reduce' };
+
+// Runs before the page's scripts and records the theme at the moment <body>
+// is first inserted, i.e. what the first paint uses
+function recordFirstPaint() {
+    new MutationObserver((records, observer) => {
+        if (!document.body) return;
+        observer.disconnect();
+        window.firstPaint = { theme: document.documentElement.getAttribute('data-theme') };
+    }).observe(document, { childList: true, subtree: true });
+}
+
+const visibleItems = page => page.$$eval('#publicationsList .publication-item', items => items
+    .filter(item => item.offsetParent !== null)
+    .map(item => item.className));
+
+const carouselState = page => page.evaluate(() => {
+    const carousel = Carousel.get(document.querySelector('[data-module~="carousel"]'));
+    return {
+        index: carousel.index,
+        perView: carousel.perView,
+        dots: document.querySelectorAll('[data-carousel-dot]').length,
+        visible: carousel.slides.filter(slide => !slide.hasAttribute('inert')).length
+    };
+});
+
+describe('site in a browser', { skip: SKIP }, () => {
+    let site;
+
+    before(async () => {
+        site = await launch();
+    });
+
+    after(async () => {
+        if (site) await site.close();
+    });
+
+    describe('theme', () => {
+        it('paints the stored theme before the body renders', async () => {
+            const { context, page } = await site.open('', { storage: { theme: 'dark' }, init: recordFirstPaint });
+            try {
+                const firstPaint = await page.evaluate(() => window.firstPaint);
+                assert.equal(firstPaint.theme, 'dark');
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('follows the system preference when nothing is stored', async () => {
+            const { context, page } = await site.open('', { colorScheme: 'dark', init: recordFirstPaint });
+            try {
+                assert.equal((await page.evaluate(() => window.firstPaint)).theme, 'dark');
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('keeps the chosen theme across reloads', async () => {
+            const { context, page } = await site.open('about.html', { storage: { theme: 'light' } });
+            try {
+                await page.click('#theme-toggle');
+                assert.equal(await page.evaluate(() => localStorage.getItem('theme')), 'dark');
+
+                await site.goto(page, 'research.html');
+                assert.equal(await page.getAttribute('html', 'data-theme'), 'dark');
+                assert.equal(await page.evaluate(() => window.modernPortfolio.theme), 'dark');
+            } finally {
+                await context.close();
+            }
+        });
+    });
+
+    describe('navigation', () => {
+        it('names pages served from a sub-path', async () => {
+            const { context, page } = await site.open('');
+            try {
+                assert.equal(new URL(page.url()).pathname, '/portfolio/');
+                assert.equal(await page.evaluate(() => window.modernPortfolio.getCurrentPage()), 'index');
+
+                await site.goto(page, 'teaching.html?lang=fr#courses');
+                assert.equal(await page.evaluate(() => window.modernPortfolio.getCurrentPage()), 'teaching');
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('marks the active page in the navbar as the visitor moves around', async () => {
+            const { context, page } = await site.open('');
+            try {
+                const current = () => page.$$eval('site-nav [aria-current="page"]', links => links.map(link => link.getAttribute('href')));
+                assert.deepEqual(await current(), ['index.html']);
+
+                await page.click('site-nav .nav-link[href="publications.html"]');
+                await page.waitForFunction(() => window.modernPortfolio.currentPage === 'publications');
+
+                assert.equal(new URL(page.url()).pathname, '/portfolio/publications.html');
+                assert.deepEqual(await current(), ['publications.html']);
+                assert.deepEqual(await page.$$eval('site-nav .nav-link.active', links => links.length), 1);
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('shows the back-to-top button once the page has scrolled', async () => {
+            const { context, page } = await site.open('about.html');
+            try {
+                const isVisible = () => page.$eval('#backToTop', button => button.classList.contains('visible'));
+                assert.equal(await isVisible(), false);
+
+                await page.mouse.wheel(0, 1200);
+                await page.waitForSelector('#backToTop.visible');
+
+                await page.click('#backToTop');
+                await page.waitForFunction(() => window.scrollY === 0);
+                assert.equal(await isVisible(), false);
+            } finally {
+                await context.close();
+            }
+        });
+    });
+
+    describe('contact form', () => {
+        it('validates fields as the visitor leaves them', async () => {
+            const { context, page } = await site.open('contact.html');
+            try {
+                await page.fill('#contactEmail', 'not-an-address');
+                await page.press('#contactEmail', 'Tab');
+                await page.waitForFunction(() => document.getElementById('contactEmail-error').textContent !== '');
+
+                assert.equal(await page.getAttribute('#contactEmail', 'aria-invalid'), 'true');
+                assert.equal(await page.evaluate(() => window.modernPortfolio.validateField(document.getElementById('contactEmail'))), false);
+
+                await page.fill('#contactEmail', 'ada@example.com');
+                assert.equal(await page.evaluate(() => window.modernPortfolio.validateField(document.getElementById('contactEmail'))), true);
+                assert.equal(await page.textContent('#contactEmail-error'), '');
+            } finally {
+                await context.close();
+            }
+        });
+    });
+
+    describe('publications', () => {
+        it('counts the statistics up to their final values', async () => {
+            const { context, page } = await site.open('publications.html');
+            try {
+                const counter = '.stat-number[data-stat="publications"]';
+                await page.locator(counter).scrollIntoViewIfNeeded();
+                await page.waitForFunction(
+                    ([selector, total]) => document.querySelector(selector).textContent === String(total),
+                    [counter, ENTRIES.length],
+                    { timeout: 5000 }
+                );
+
+                const journals = ENTRIES.filter(entry => entry.type === 'journal').length;
+                await page.locator('.stat-number[data-stat="journal"]').scrollIntoViewIfNeeded();
+                await page.waitForFunction(
+                    total => document.querySelector('.stat-number[data-stat="journal"]').textContent === String(total),
+                    journals,
+                    { timeout: 5000 }
+                );
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('searches and filters the list', async () => {
+            const { context, page } = await site.open('publications.html');
+            try {
+                await page.waitForFunction(total => document.querySelectorAll('.publication-item').length === total, ENTRIES.length);
+
+                await page.fill('#publicationSearch', 'federated');
+                await page.waitForFunction(() => location.search === '?q=federated');
+                const expected = new PublicationSearch(ENTRIES).search('federated').matches.size;
+                assert.equal((await visibleItems(page)).length, expected);
+
+                await page.click('.filter-tab[data-filter="conference"]');
+                const conference = await visibleItems(page);
+                assert.ok(conference.length > 0 && conference.length <= expected);
+                assert.ok(conference.every(className => className.includes('conference')));
+
+                await page.fill('#publicationSearch', '');
+                await page.click('.filter-tab[data-filter="all"]');
+                await page.waitForFunction(() => location.search === '');
+                assert.equal((await visibleItems(page)).length, ENTRIES.length);
+            } finally {
+                await context.close();
+            }
+        });
+    });
+
+    describe('news slider', () => {
+        it('pages through the news one slide at a time on phones', async () => {
+            const { context, page } = await site.open('', MOBILE);
+            try {
+                await page.waitForFunction(() => document.querySelectorAll('.news-slide:not([data-carousel-clone])').length > 1);
+                const before = await carouselState(page);
+                assert.equal(before.perView, 1);
+                assert.equal(before.visible, 1);
+
+                await page.click('[data-carousel-next]');
+                assert.equal((await carouselState(page)).index, 1);
+
+                await page.click('[data-carousel-dot="0"]');
+                assert.equal((await carouselState(page)).index, 0);
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('shows more slides per view when the window grows', async () => {
+            const { context, page } = await site.open('', MOBILE);
+            try {
+                await page.waitForFunction(() => document.querySelectorAll('.news-slide:not([data-carousel-clone])').length > 1);
+                const slides = await page.$$eval('.news-slide:not([data-carousel-clone])', items => items.length);
+
+                await page.setViewportSize({ width: 1280, height: 800 });
+                await page.waitForFunction(() => Carousel.get(document.querySelector('[data-module~="carousel"]')).perView > 1);
+
+                const wide = await carouselState(page);
+                assert.equal(wide.perView, Math.min(3, slides));
+                assert.equal(wide.visible, wide.perView);
+            } finally {
+                await context.close();
+            }
+        });
+
+        it('follows a swipe', async () => {
+            const { context, page } = await site.open('', MOBILE);
+            try {
+                await page.waitForFunction(() => document.querySelectorAll('.news-slide:not([data-carousel-clone])').length > 1);
+                const track = page.locator('.news-slider');
+                await track.scrollIntoViewIfNeeded();
+                const box = await track.boundingBox();
+                const y = box.y + box.height / 2;
+
+                await page.mouse.move(box.x + box.width * 0.8, y);
+                await page.mouse.down();
+                await page.mouse.move(box.x + box.width * 0.2, y, { steps: 8 });
+                await page.mouse.up();
+
+                assert.equal((await carouselState(page)).index, 1);
+            } finally {
+                await context.close();
+            }
+        });
+    });
+});
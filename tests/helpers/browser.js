@@ -0,0 +1,69 @@
+// Headless Chromium for the end-to-end tests, driven by Playwright. The
+// browser is installed into node_modules (PLAYWRIGHT_BROWSERS_PATH=0) by
+//
+//     npm run test:e2e:install
+//
+// so the suite runs offline afterwards. Requests to other hosts (the CDNs)
+// are blocked, which also checks the site copes without them.
+
+const fs = require('fs');
+
+process.env.PLAYWRIGHT_BROWSERS_PATH = process.env.PLAYWRIGHT_BROWSERS_PATH || '0';
+const { chromium } = require('playwright');
+const { startServer } = require('./server.js');
+
+function isBrowserInstalled() {
+    try {
+        return fs.existsSync(chromium.executablePath());
+    } catch (error) {
+        return false;
+    }
+}
+
+async function launch(serverOptions) {
+    const server = await startServer(serverOptions);
+    const browser = await chromium.launch({ headless: true });
+
+    // options: storage (localStorage entries), init (a function run before the
+    // page's own scripts) and any Playwright context option such as viewport
+    // or reducedMotion
+    async function open(page = '', options = {}) {
+        const { storage = {}, init, ...contextOptions } = options;
+        const context = await browser.newContext(Object.assign({
+            viewport: { width: 1280, height: 800 },
+            // sw.js would answer from its cache instead of the files under test
+            serviceWorkers: 'block'
+        }, contextOptions));
+        const origin = new URL(server.url).origin;
+
+        await context.route('**/*', route => (
+            route.request().url().startsWith(origin) ? route.continue() : route.abort()
+        ));
+        await context.addInitScript((entries) => {
+            // Only seed storage on the first load so reloads see what the page saved
+            if (sessionStorage.getItem('e2e-seeded')) return;
+            sessionStorage.setItem('e2e-seeded', '1');
+            Object.entries(entries).forEach(([key, value]) => localStorage.setItem(key, value));
+        }, storage);
+        if (init) await context.addInitScript(init);
+
+        const tab = await context.newPage();
+        await goto(tab, page);
+        return { context, page: tab };
+    }
+
+    // Waits for the loading screen to go, when the deferred modules have started
+    async function goto(tab, page) {
+        await tab.goto(new URL(page, server.url).href);
+        await tab.waitForFunction(() => window.modernPortfolio && window.modernPortfolio.loadingComplete);
+    }
+
+    async function close() {
+        await browser.close();
+        await server.close();
+    }
+
+    return { url: server.url, open, goto, close };
+}
+
+module.exports = { isBrowserInstalled, launch };
@@ -0,0 +1,190 @@
+// Loads the site's pages into jsdom for the unit tests in tests/unit/.
+//
+// - Local <script src> tags are inlined so theme-init.js and
+//   modern-multipage.js run exactly as they do in the browser; CDN scripts are
+//   dropped (ModernPortfolio checks for Bootstrap and AOS before using them).
+// - fetch() reads files from the repository, so data-driven modules render the
+//   real data/publications.bib and data/news.json.
+// - matchMedia and IntersectionObserver are fakes the tests can drive.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.bib': 'text/plain; charset=utf-8'
+};
+
+function inlineScripts(html) {
+    return html
+        .replace(/<script src="https?:[^"]*"[^>]*><\/script>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+            const source = fs.readFileSync(path.join(ROOT, src), 'utf8');
+            // A literal </script> inside the source would end the inline tag early
+            return `<script>${source.replace(/<\/script>/g, '<\\/script>')}</script>`;
+        });
+}
+
+async function fetchFile(input) {
+    const url = new URL(String(input), ORIGIN);
+    const file = path.join(ROOT, decodeURIComponent(url.pathname));
+
+    if (url.origin !== ORIGIN || !file.startsWith(ROOT) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        return new Response('Not found', { status: 404 });
+    }
+    return new Response(fs.readFileSync(file), {
+        status: 200,
+        headers: { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' }
+    });
+}
+
+// Media queries match what the test asked for: { dark, reducedMotion }
+function createMatchMedia(media) {
+    return (query) => ({
+        media: query,
+        matches: (media.dark && query.includes('prefers-color-scheme: dark')) ||
+            (media.reducedMotion && query.includes('prefers-reduced-motion: reduce')),
+        onchange: null,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+}
+
+// Nothing is ever on screen in jsdom; intersect(window, element) reports an
+// element as visible to every observer watching it
+function createIntersectionObserver() {
+    return class IntersectionObserver {
+        static instances = [];
+
+        constructor(callback, options = {}) {
+            this.callback = callback;
+            this.options = options;
+            this.elements = new Set();
+            IntersectionObserver.instances.push(this);
+        }
+
+        observe(element) {
+            this.elements.add(element);
+        }
+
+        unobserve(element) {
+            this.elements.delete(element);
+        }
+
+        disconnect() {
+            this.elements.clear();
+        }
+
+        takeRecords() {
+            return [];
+        }
+    };
+}
+
+function intersect(window, element) {
+    window.IntersectionObserver.instances
+        .filter(observer => observer.elements.has(element))
+        .forEach(observer => observer.callback([{
+            target: element,
+            isIntersecting: true,
+            intersectionRatio: 1
+        }], observer));
+}
+
+// options: url, storage (localStorage entries), media, beforeParse(window)
+function createDom(html, options = {}) {
+    const { url = `${ORIGIN}/index.html`, storage = {}, media = {}, beforeParse } = options;
+    const errors = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => {
+        // Layout, navigation and scrolling are not implemented in jsdom
+        if (!/Not implemented/.test(error.message)) errors.push(error);
+    });
+
+    const dom = new JSDOM(inlineScripts(html), {
+        url,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            window.matchMedia = createMatchMedia(media);
+            window.IntersectionObserver = createIntersectionObserver();
+            window.fetch = fetchFile;
+            window.scrollTo = () => {};
+            if (beforeParse) beforeParse(window);
+        }
+    });
+
+    dom.errors = errors;
+    return dom;
+}
+
+function waitFor(predicate, { timeout = 3000, interval = 10 } = {}) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            const result = predicate();
+            if (result) {
+                resolve(result);
+            } else if (Date.now() - started > timeout) {
+                reject(new Error(`Timed out after ${timeout} ms waiting for ${predicate}`));
+            } else {
+                setTimeout(check, interval);
+            }
+        };
+        check();
+    });
+}
+
+// Resolves once the loading screen has gone and the deferred modules
+// (router, counters, carousels) have started too
+async function start(dom) {
+    const { window } = dom;
+    const app = await waitFor(() => window.modernPortfolio && window.modernPortfolio.loadingComplete && window.modernPortfolio);
+    return { dom, window, document: window.document, app };
+}
+
+function loadPage(page, options = {}) {
+    const { search = '', hash = '' } = options;
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    return start(createDom(html, Object.assign({}, options, { url: `${ORIGIN}/${page}${search}${hash}` })));
+}
+
+// A page with the site's scripts around the given <main> markup
+function loadFixture(body, options = {}) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head><script src="js/theme-init.js"></script></head>
+<body>
+<site-loading></site-loading>
+<main id="main-content">${body}</main>
+<script src="js/modern-multipage.js"></script>
+</body>
+</html>`;
+    return start(createDom(html, Object.assign({ url: `${ORIGIN}/index.html` }, options)));
+}
+
+function closePage({ window }) {
+    if (window.modernPortfolio) window.modernPortfolio.destroy();
+    window.close();
+}
+
+module.exports = {
+    ROOT,
+    ORIGIN,
+    createDom,
+    loadPage,
+    loadFixture,
+    closePage,
+    waitFor,
+    intersect
+};
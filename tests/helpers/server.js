@@ -0,0 +1,64 @@
+// Static file server for the end-to-end tests in tests/e2e/. The site is
+// served under a sub-path (like a GitHub project page) so relative links and
+// ModernPortfolio.getPageName() are exercised with nested URLs.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.bib': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.pdf': 'application/pdf'
+};
+
+function resolveFile(root, base, requestUrl) {
+    const pathname = decodeURIComponent(new URL(requestUrl, 'http://localhost').pathname);
+    if (!pathname.startsWith(base)) return null;
+
+    const relative = pathname.slice(base.length);
+    const file = path.join(root, relative === '' || relative.endsWith('/') ? `${relative}index.html` : relative);
+    if (!file.startsWith(root) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) return null;
+    return file;
+}
+
+// Resolves to { url, close() }; url ends with the base path
+function startServer({ root = ROOT, base = '/portfolio/' } = {}) {
+    const server = http.createServer((request, response) => {
+        const file = resolveFile(root, base, request.url);
+        if (!file) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        fs.createReadStream(file).pipe(response);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}${base}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startServer };
@@ -0,0 +1,241 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closePage, intersect } = require('../helpers/dom.js');
+const { AccessibilityChecker } = require('../../js/modern-multipage.js');
+
+const press = (window, target, key, options = {}) => target.dispatchEvent(
+    new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options))
+);
+
+describe('tooltips', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <a href="https://github.com/" class="social-btn" id="github" data-tooltip="GitHub"><i class="fab fa-github"></i></a>
+            <button type="button" id="copy" data-tooltip="Copies the address">Copy link</button>
+        `);
+    });
+
+    after(() => closePage(page));
+
+    const tooltipFor = (trigger, attribute) => page.document.getElementById(trigger.getAttribute(attribute));
+
+    it('gives each trigger its own tooltip element', () => {
+        const { document } = page;
+        const tooltips = [...document.querySelectorAll('[role="tooltip"]')];
+
+        assert.equal(tooltips.length, 2);
+        assert.notEqual(tooltips[0].id, tooltips[1].id);
+        assert.ok(tooltips.every(tooltip => tooltip.hidden));
+        assert.equal(document.getElementById('tooltip'), null);
+    });
+
+    it('names icon-only triggers and describes labelled ones', () => {
+        const github = page.document.getElementById('github');
+        const copy = page.document.getElementById('copy');
+
+        assert.equal(tooltipFor(github, 'aria-labelledby').textContent, 'GitHub');
+        assert.equal(github.hasAttribute('aria-describedby'), false);
+        assert.equal(tooltipFor(copy, 'aria-describedby').textContent, 'Copies the address');
+        assert.equal(copy.hasAttribute('aria-labelledby'), false);
+    });
+
+    it('shows on keyboard focus and hides on blur or Escape', () => {
+        const { window, document } = page;
+        const copy = document.getElementById('copy');
+        const tooltip = tooltipFor(copy, 'aria-describedby');
+
+        copy.focus();
+        assert.equal(tooltip.hidden, false);
+        copy.blur();
+        assert.equal(tooltip.hidden, true);
+
+        copy.focus();
+        press(window, document, 'Escape');
+        assert.equal(tooltip.hidden, true);
+    });
+
+    it('shows on hover', () => {
+        const { window, document } = page;
+        const github = document.getElementById('github');
+        const tooltip = tooltipFor(github, 'aria-labelledby');
+
+        github.dispatchEvent(new window.MouseEvent('mouseenter'));
+        assert.equal(tooltip.hidden, false);
+        github.dispatchEvent(new window.MouseEvent('mouseleave'));
+        assert.equal(tooltip.hidden, true);
+    });
+
+    it('removes the tooltips and references when the page is torn down', () => {
+        const { document, app } = page;
+        app.destroy();
+
+        assert.equal(document.querySelectorAll('[role="tooltip"]').length, 0);
+        assert.equal(document.querySelectorAll('[aria-labelledby], [aria-describedby]').length, 0);
+    });
+});
+
+describe('focus trap', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <div class="modal show" id="dialog" tabindex="-1">
+                <a href="#first" id="first">First</a>
+                <input type="email" id="email">
+                <button type="button" disabled>Disabled</button>
+                <input type="hidden" name="token">
+                <select id="topic"><option>Research</option></select>
+                <div hidden><button type="button">Hidden</button></div>
+                <span tabindex="-1">Not tabbable</span>
+                <details><summary id="more">More</summary><p>Details</p></details>
+                <div contenteditable="true" id="notes"></div>
+                <button type="button" style="display: none">Collapsed</button>
+                <button type="button" id="last">Close</button>
+            </div>
+            <button type="button" id="outside">Outside</button>
+        `);
+    });
+
+    after(() => closePage(page));
+
+    it('finds every element the keyboard can reach', () => {
+        const ids = page.window.Accessibility.getFocusable(page.document.getElementById('dialog')).map(element => element.id);
+        assert.deepEqual([...ids], ['first', 'email', 'topic', 'more', 'notes', 'last']);
+    });
+
+    it('wraps Tab and Shift+Tab at the ends of an open modal', () => {
+        const { window, document } = page;
+
+        document.getElementById('last').focus();
+        press(window, document.activeElement, 'Tab');
+        assert.equal(document.activeElement.id, 'first');
+
+        press(window, document.activeElement, 'Tab', { shiftKey: true });
+        assert.equal(document.activeElement.id, 'last');
+    });
+
+    it('pulls focus back into the modal from outside', () => {
+        const { window, document } = page;
+
+        document.getElementById('outside').focus();
+        press(window, document.activeElement, 'Tab');
+        assert.equal(document.activeElement.id, 'first');
+    });
+});
+
+describe('reduced motion', () => {
+    let page;
+    const scrolls = [];
+
+    before(async () => {
+        page = await loadFixture(`
+            <div class="highlight-card" id="card">Card</div>
+            <span class="stat-number" data-count="120" id="counter">0</span>
+            <button type="button" id="backToTop">Top</button>
+        `, {
+            media: { reducedMotion: true },
+            beforeParse: window => {
+                window.scrollTo = options => scrolls.push(Object.assign({}, options));
+            }
+        });
+    });
+
+    after(() => closePage(page));
+
+    it('shows counters at their final value straight away', () => {
+        const counter = page.document.getElementById('counter');
+        intersect(page.window, counter);
+        assert.equal(counter.textContent, '120');
+    });
+
+    it('keeps cards flat under the pointer', () => {
+        const { window, document } = page;
+        const card = document.getElementById('card');
+
+        card.dispatchEvent(new window.MouseEvent('mousemove', { clientX: 10, clientY: 10 }));
+        assert.equal(card.style.transform, '');
+    });
+
+    it('jumps instead of scrolling smoothly', () => {
+        page.document.getElementById('backToTop').click();
+        assert.deepEqual(scrolls, [{ top: 0, behavior: 'auto' }]);
+    });
+});
+
+describe('accessibility checker', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <h1>Publications</h1>
+            <h2>2025</h2>
+            <h4 id="skipped">A paper</h4>
+            <img src="photo.jpg" id="no-alt">
+            <img src="divider.svg" alt="">
+            <span role="img" id="unnamed-icon"></span>
+            <button type="button" aria-describedby="missing-hint" id="broken-reference">Send</button>
+            <p id="faint" style="color: rgb(204, 204, 204); background-color: rgb(255, 255, 255)">Faint text</p>
+            <p id="readable" style="color: rgb(51, 51, 51); background-color: rgb(255, 255, 255)">Readable text</p>
+            <p id="large" style="color: rgb(148, 148, 148); background-color: rgb(255, 255, 255); font-size: 24px">Large text</p>
+        `, {
+            // jsdom does no layout; treat every element as rendered
+            beforeParse: window => {
+                window.Element.prototype.getClientRects = () => [{ width: 1, height: 1 }];
+            }
+        });
+    });
+
+    after(() => closePage(page));
+
+    const flagged = rule => [...page.window.AccessibilityChecker.RULES[rule](page.document.body)]
+        .map(issue => issue.element.id);
+
+    it('runs on localhost', () => {
+        assert.ok(page.app.accessibilityChecker);
+    });
+
+    it('reports images without alt text', () => {
+        assert.deepEqual(flagged('image-alt'), ['no-alt', 'unnamed-icon']);
+    });
+
+    it('reports skipped heading levels', () => {
+        assert.deepEqual(flagged('heading-order'), ['skipped']);
+    });
+
+    it('reports ARIA references to missing ids', () => {
+        assert.deepEqual(flagged('aria-reference'), ['broken-reference']);
+    });
+
+    it('reports text below the WCAG AA contrast ratio', () => {
+        assert.deepEqual(flagged('color-contrast'), ['faint']);
+    });
+
+    it('lists the issues in the dev panel', () => {
+        const issues = page.app.accessibilityChecker.run();
+        const panel = page.document.querySelector('.a11y-panel');
+
+        assert.ok(panel);
+        assert.equal(panel.querySelectorAll('[data-a11y-issue]').length, issues.length);
+        assert.match(panel.querySelector('strong').textContent, new RegExp(`^${issues.length} accessibility issues`));
+    });
+
+    it('computes contrast ratios', () => {
+        assert.equal(AccessibilityChecker.contrastRatio([0, 0, 0], [255, 255, 255]).toFixed(1), '21.0');
+        assert.equal(AccessibilityChecker.contrastRatio([118, 118, 118], [255, 255, 255]).toFixed(2), '4.54');
+        assert.deepEqual(AccessibilityChecker.parseColor('rgba(0, 0, 0, 0.5)'), [0, 0, 0, 0.5]);
+    });
+});
+
+describe('accessibility checker outside dev mode', () => {
+    it('stays off on the live site', async () => {
+        const page = await loadFixture('<h1>Home</h1>', { url: 'https://example.org/index.html' });
+        try {
+            assert.equal(page.app.accessibilityChecker, undefined);
+            assert.equal(page.document.querySelector('.a11y-panel'), null);
+        } finally {
+            closePage(page);
+        }
+    });
+});
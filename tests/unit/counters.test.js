@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closePage, intersect } = require('../helpers/dom.js');
+
+// animateCounter() counts up over two seconds
+const COUNT_DURATION = 2000;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('stat counters', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <div class="stats">
+                <span class="stat-number" data-count="40" id="publications">0</span>
+                <span class="stat-number" data-count="7" id="years">0</span>
+                <span class="stat-number" data-count="0" id="citations">0</span>
+                <span class="stat-number" data-count="1234" id="downloads">0</span>
+            </div>
+        `);
+    });
+
+    after(() => closePage(page));
+
+    const counter = id => page.document.getElementById(id);
+
+    it('waits until a counter scrolls into view', async () => {
+        await wait(100);
+        assert.equal(counter('publications').textContent, '0');
+    });
+
+    it('ends exactly on each target value', async () => {
+        const seen = new Map();
+        const observer = new page.window.MutationObserver(() => {
+            const value = Number(counter('downloads').textContent);
+            seen.set(value, (seen.get(value) || 0) + 1);
+        });
+        observer.observe(counter('downloads'), { childList: true, characterData: true, subtree: true });
+
+        ['publications', 'years', 'citations', 'downloads'].forEach(id => intersect(page.window, counter(id)));
+        await wait(COUNT_DURATION / 2);
+
+        const midway = Number(counter('downloads').textContent);
+        assert.ok(midway > 0 && midway < 1234, `midway value ${midway}`);
+
+        await wait(COUNT_DURATION / 2 + 300);
+        observer.disconnect();
+
+        assert.equal(counter('publications').textContent, '40');
+        assert.equal(counter('years').textContent, '7');
+        assert.equal(counter('citations').textContent, '0');
+        assert.equal(counter('downloads').textContent, '1234');
+
+        // Counting only ever goes up and never overshoots
+        const values = [...seen.keys()];
+        assert.ok(values.every((value, index) => index === 0 || value >= values[index - 1]));
+        assert.ok(Math.max(...values) <= 1234);
+    });
+
+    it('counts up again to a value set later', async () => {
+        page.app.setCounter(counter('years'), 12);
+        await wait(COUNT_DURATION + 300);
+        assert.equal(counter('years').textContent, '12');
+    });
+
+    it('restarts rather than racing when animated twice', async () => {
+        const element = counter('publications');
+        page.app.animateCounter(element);
+        await wait(COUNT_DURATION / 2);
+        element.setAttribute('data-count', '25');
+        page.app.animateCounter(element);
+
+        await wait(COUNT_DURATION + 300);
+        assert.equal(element.textContent, '25');
+    });
+});
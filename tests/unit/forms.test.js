@@ -0,0 +1,193 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, loadPage, closePage } = require('../helpers/dom.js');
+
+describe('validateField() without a FormValidator', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <form id="plainForm">
+                <div><input id="name" type="text" required></div>
+                <div><input id="email" type="email"></div>
+                <div><input id="note" type="text"></div>
+            </form>
+        `);
+    });
+
+    after(() => closePage(page));
+
+    const field = id => page.document.getElementById(id);
+    const state = id => ['valid', 'invalid'].filter(name => field(id).parentElement.classList.contains(name));
+
+    it('rejects an empty required field', () => {
+        field('name').value = '   ';
+        assert.equal(page.app.validateField(field('name')), false);
+        assert.deepEqual(state('name'), ['invalid']);
+    });
+
+    it('accepts a filled required field', () => {
+        field('name').value = 'Ada Lovelace';
+        assert.equal(page.app.validateField(field('name')), true);
+        assert.deepEqual(state('name'), ['valid']);
+    });
+
+    it('checks the format of email addresses', () => {
+        ['ada', 'ada@', 'ada@example', 'ada lovelace@example.com'].forEach(value => {
+            field('email').value = value;
+            assert.equal(page.app.validateField(field('email')), false, value);
+            assert.deepEqual(state('email'), ['invalid'], value);
+        });
+
+        field('email').value = 'ada@example.com';
+        assert.equal(page.app.validateField(field('email')), true);
+        assert.deepEqual(state('email'), ['valid']);
+    });
+
+    it('leaves empty optional fields unmarked', () => {
+        field('email').value = '';
+        assert.equal(page.app.validateField(field('email')), true);
+        assert.deepEqual(state('email'), []);
+    });
+
+    it('runs while the user types', () => {
+        const { window } = page;
+        field('note').value = 'x';
+        field('note').dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.deepEqual(state('note'), ['valid']);
+
+        field('name').value = '';
+        field('name').dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.deepEqual(state('name'), ['invalid']);
+    });
+});
+
+describe('validateField() on the contact form', () => {
+    let page;
+
+    before(async () => {
+        page = await loadPage('contact.html');
+    });
+
+    after(() => closePage(page));
+
+    const field = id => page.document.getElementById(id);
+    const errorText = id => page.document.getElementById(`${id}-error`).textContent;
+
+    const leave = (id, value) => {
+        const { window } = page;
+        field(id).value = value;
+        field(id).dispatchEvent(new window.FocusEvent('focusout', { bubbles: true }));
+    };
+
+    it('hands contact form fields to its FormValidator', () => {
+        assert.ok(page.app.formValidators.has(field('contactForm')));
+
+        field('contactEmail').value = 'not-an-address';
+        assert.equal(page.app.validateField(field('contactEmail')), false);
+
+        // Errors wait until the visitor has left the field
+        assert.equal(errorText('contactEmail'), '');
+        assert.equal(field('contactEmail').hasAttribute('aria-invalid'), false);
+    });
+
+    it('shows the message once the field has been left', async () => {
+        leave('contactEmail', 'not-an-address');
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        assert.equal(errorText('contactEmail'), 'Please enter a valid email address.');
+        assert.equal(field('contactEmail').getAttribute('aria-invalid'), 'true');
+
+        field('contactEmail').value = 'ada@example.com';
+        assert.equal(page.app.validateField(field('contactEmail')), true);
+        assert.equal(errorText('contactEmail'), '');
+        assert.ok(field('contactEmail').parentElement.classList.contains('valid'));
+    });
+
+    it('applies length limits and named rules', () => {
+        const message = field('contactMessage');
+
+        message.value = 'Too short';
+        assert.equal(page.app.validateField(message), false);
+
+        message.value = 'A question about your federated learning course material.';
+        assert.equal(page.app.validateField(message), true);
+
+        message.value = `Links: ${['a', 'b', 'c', 'd'].map(name => `https://${name}.example.com`).join(' ')}`;
+        assert.equal(page.app.validateField(message), false);
+    });
+
+    it('requires a topic to be chosen', () => {
+        field('contactTopic').value = '';
+        assert.equal(page.app.validateField(field('contactTopic')), false);
+    });
+});
+
+describe('restarting the forms module', () => {
+    it('validates and submits once per submit', async () => {
+        const page = await loadFixture(`
+            <form id="signup" data-validate>
+                <div><input id="email" type="email" required value="ada@example.com"></div>
+                <button type="submit">Send</button>
+            </form>
+        `);
+        try {
+            const { window, document, app } = page;
+            const form = document.getElementById('signup');
+            let submits = 0;
+            form.addEventListener('validsubmit', (e) => {
+                e.preventDefault();
+                submits++;
+            });
+
+            app.stopModule('forms');
+            app.startModule(window.ModernPortfolio.MODULES.find(module => module.name === 'forms'));
+            form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            assert.equal(submits, 1);
+        } finally {
+            closePage(page);
+        }
+    });
+});
+
+describe('contact form offline queue', () => {
+    let page;
+    let queue;
+
+    before(async () => {
+        page = await loadPage('contact.html');
+        // jsdom has no IndexedDB; the queue is an array here
+        page.window.indexedDB = {};
+        page.app.contactForm.queueTransaction = async (mode, operation) => operation({
+            getAll: () => queue.slice(),
+            delete: id => {
+                queue = queue.filter(record => record.id !== id);
+            }
+        });
+    });
+
+    after(() => closePage(page));
+
+    async function flushWith(status) {
+        queue = [{ id: 1, adapter: 'json', endpoint: '/api/contact', payload: { message: 'Hello' } }];
+        page.window.fetch = async () => new Response('', { status });
+        await page.app.contactForm.flushQueue();
+        clearTimeout(page.app.contactForm.retryTimer);
+        return queue.length;
+    }
+
+    it('keeps messages while the server is failing or rate limiting', async () => {
+        assert.equal(await flushWith(503), 1);
+        assert.equal(await flushWith(429), 1);
+    });
+
+    it('drops messages the server rejects', async () => {
+        assert.equal(await flushWith(422), 0);
+    });
+
+    it('drops messages once they are delivered', async () => {
+        assert.equal(await flushWith(200), 0);
+    });
+});
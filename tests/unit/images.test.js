@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closePage, intersect } = require('../helpers/dom.js');
+
+// jsdom never fetches images, so the tests fire load and error themselves
+const fire = (window, img, type) => img.dispatchEvent(new window.Event(type));
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const PICTURE = `
+    <picture>
+        <source type="image/avif" data-srcset="img/photo-320.avif 320w, img/photo-640.avif 640w" sizes="50vw">
+        <source type="image/webp" data-srcset="img/photo-320.webp 320w, img/photo-640.webp 640w" sizes="50vw">
+        <img id="photo" alt="Photo" data-src="img/photo-320.jpg" data-srcset="img/photo-320.jpg 320w, img/photo-640.jpg 640w" sizes="50vw">
+    </picture>
+    <img id="diagram" alt="Diagram" data-src="img/diagram.png">
+`;
+
+describe('lazy images without native lazy loading', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(PICTURE);
+    });
+
+    after(() => closePage(page));
+
+    const image = id => page.document.getElementById(id);
+
+    it('waits until an image nears the viewport', () => {
+        assert.equal(image('photo').hasAttribute('src'), false);
+        assert.ok(image('photo').classList.contains('lazy'));
+        assert.equal(page.document.querySelector('source[srcset]'), null);
+    });
+
+    it('fills in the picture sources and the image', () => {
+        intersect(page.window, image('photo'));
+        const sources = [...page.document.querySelectorAll('picture source')];
+
+        assert.ok(sources.every(source => source.getAttribute('srcset') && !source.hasAttribute('data-srcset')));
+        assert.equal(image('photo').getAttribute('src'), 'img/photo-320.jpg');
+        assert.equal(image('photo').getAttribute('srcset'), 'img/photo-320.jpg 320w, img/photo-640.jpg 640w');
+        assert.equal(image('photo').hasAttribute('data-src'), false);
+        assert.equal(image('diagram').hasAttribute('src'), false);
+    });
+
+    it('reveals the image once it has loaded', async () => {
+        const photo = image('photo');
+        assert.ok(photo.classList.contains('lazy'));
+
+        fire(page.window, photo, 'load');
+        await settle();
+        assert.equal(photo.classList.contains('lazy'), false);
+        assert.ok(photo.classList.contains('loaded'));
+    });
+
+    it('reveals a broken image rather than hiding it', () => {
+        const diagram = image('diagram');
+        intersect(page.window, diagram);
+        fire(page.window, diagram, 'error');
+
+        assert.ok(diagram.classList.contains('loaded'));
+    });
+});
+
+describe('lazy images with native lazy loading', () => {
+    let page;
+    const decodes = [];
+
+    before(async () => {
+        page = await loadFixture(PICTURE, {
+            beforeParse: window => {
+                Object.defineProperty(window.HTMLImageElement.prototype, 'loading', {
+                    get() { return this.getAttribute('loading') || 'auto'; },
+                    set(value) { this.setAttribute('loading', value); },
+                    configurable: true
+                });
+                // Resolves when the test says the image has decoded
+                window.HTMLImageElement.prototype.decode = function () {
+                    return new Promise(resolve => decodes.push({ img: this, resolve }));
+                };
+            }
+        });
+    });
+
+    after(() => closePage(page));
+
+    it('hands every image to the browser straight away', () => {
+        const photo = page.document.getElementById('photo');
+
+        assert.equal(photo.getAttribute('loading'), 'lazy');
+        assert.equal(photo.getAttribute('src'), 'img/photo-320.jpg');
+        assert.ok(page.document.querySelector('source').getAttribute('srcset'));
+        assert.equal(page.document.getElementById('diagram').getAttribute('src'), 'img/diagram.png');
+    });
+
+    it('reveals an image only after it has decoded', async () => {
+        const photo = page.document.getElementById('photo');
+        fire(page.window, photo, 'load');
+        await settle();
+        assert.equal(photo.classList.contains('loaded'), false);
+
+        decodes.find(({ img }) => img === photo).resolve();
+        await settle();
+        assert.ok(photo.classList.contains('loaded'));
+        assert.equal(photo.classList.contains('lazy'), false);
+    });
+});
+
+describe('blur-up placeholders', () => {
+    let page;
+
+    before(async () => {
+        page = await loadFixture(`
+            <picture>
+                <source type="image/avif" srcset="img/photo-320.avif 320w" sizes="100vw">
+                <img id="photo" class="blur-up" src="img/photo-320.jpg" alt="Photo" width="320" height="240"
+                    style="--placeholder: url(data:image/jpeg;base64,AAAA)">
+            </picture>
+        `);
+    });
+
+    after(() => closePage(page));
+
+    it('keeps the placeholder until the image has loaded', async () => {
+        const { window, document } = page;
+        const photo = document.getElementById('photo');
+        assert.equal(photo.classList.contains('loaded'), false);
+
+        fire(window, photo, 'load');
+        await settle();
+        assert.ok(photo.classList.contains('loaded'));
+        assert.equal(photo.classList.contains('lazy'), false);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePage, waitFor } = require('../helpers/dom.js');
+const { ModernPortfolio } = require('../../js/modern-multipage.js');
+
+describe('ModernPortfolio.getPageName', () => {
+    const cases = [
+        ['/', 'index'],
+        ['/index.html', 'index'],
+        ['/about.html', 'about'],
+        ['/publications.html', 'publications'],
+        // Project pages are served from a sub-path
+        ['/aitmlouk.github.io/', 'index'],
+        ['/aitmlouk.github.io/index.html', 'index'],
+        ['/aitmlouk.github.io/teaching.html', 'teaching'],
+        ['/site/en/news.html', 'news']
+    ];
+
+    cases.forEach(([pathname, expected]) => {
+        it(`names ${pathname} "${expected}"`, () => {
+            assert.equal(ModernPortfolio.getPageName({ pathname }), expected);
+        });
+    });
+
+    it('is what getCurrentPage() reports for the loaded page', async () => {
+        const page = await loadPage('teaching.html', { search: '?lang=fr', hash: '#courses' });
+        try {
+            assert.equal(page.app.getCurrentPage(), 'teaching');
+            assert.equal(page.app.currentPage, 'teaching');
+        } finally {
+            closePage(page);
+        }
+    });
+});
+
+describe('navigation bar', () => {
+    let page;
+
+    afterEach(() => {
+        if (page) closePage(page);
+        page = null;
+    });
+
+    const activeLinks = document => [...document.querySelectorAll('site-nav .nav-link.active')]
+        .map(link => link.getAttribute('href'));
+
+    it('marks the current page active', async () => {
+        page = await loadPage('research.html');
+        const { document } = page;
+
+        assert.deepEqual(activeLinks(document), ['research.html']);
+        assert.equal(document.querySelector('.nav-link[aria-current="page"]').getAttribute('href'), 'research.html');
+        assert.equal(document.querySelectorAll('[aria-current="page"]').length, 1);
+    });
+
+    it('marks Home active on the front page', async () => {
+        page = await loadPage('index.html');
+        assert.deepEqual(activeLinks(page.document), ['index.html']);
+    });
+
+    it('moves the active state on client-side navigation', async () => {
+        page = await loadPage('index.html');
+        const { window, document, app } = page;
+        const link = document.querySelector('site-nav .nav-link[href="about.html"]');
+
+        link.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true, button: 0 }));
+        await waitFor(() => app.currentPage === 'about');
+
+        assert.equal(window.location.pathname, '/about.html');
+        assert.deepEqual(activeLinks(document), ['about.html']);
+        assert.equal(document.querySelector('site-nav [aria-current="page"]').getAttribute('href'), 'about.html');
+    });
+});
+
+describe('back-to-top button', () => {
+    let page;
+    let button;
+
+    before(async () => {
+        page = await loadPage('about.html');
+        button = page.document.getElementById('backToTop');
+    });
+
+    after(() => closePage(page));
+
+    const scrollTo = (top) => {
+        const { window } = page;
+        Object.defineProperty(window, 'pageYOffset', { value: top, configurable: true });
+        Object.defineProperty(window, 'scrollY', { value: top, configurable: true });
+        window.dispatchEvent(new window.Event('scroll'));
+    };
+
+    it('is hidden at the top of the page', () => {
+        assert.ok(button);
+        assert.equal(button.getAttribute('aria-label'), 'Back to top');
+        assert.equal(button.classList.contains('visible'), false);
+    });
+
+    it('appears after scrolling past 300px and hides again near the top', () => {
+        scrollTo(200);
+        assert.equal(button.classList.contains('visible'), false);
+
+        scrollTo(301);
+        assert.equal(button.classList.contains('visible'), true);
+
+        scrollTo(120);
+        assert.equal(button.classList.contains('visible'), false);
+    });
+
+    it('scrolls back to the top when clicked or activated with the keyboard', () => {
+        const { window } = page;
+        const calls = [];
+        window.scrollTo = options => calls.push({ ...options });
+
+        button.click();
+        button.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        button.dispatchEvent(new window.KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+        button.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+
+        assert.deepEqual(calls, Array(3).fill({ top: 0, behavior: 'smooth' }));
+    });
+
+    it('stops following the scroll position once the app is destroyed', () => {
+        scrollTo(500);
+        page.app.destroy();
+        scrollTo(0);
+
+        // The page ships its own button, so it stays where it is
+        assert.ok(button.isConnected);
+        assert.equal(button.classList.contains('visible'), true);
+    });
+});
@@ -0,0 +1,306 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, loadPage, closePage, waitFor } = require('../helpers/dom.js');
+
+// jsdom has no layout, so widths follow the .news-slide breakpoints in
+// css/modern-multipage.css: three slides per view, two below 992px, one at 768px
+const slidesPerView = width => (width >= 992 ? 3 : width > 768 ? 2 : 1);
+
+function stubLayout(window, viewport) {
+    window.HTMLElement.prototype.getBoundingClientRect = function () {
+        let width = 0;
+        if (this.matches('[data-carousel-track]')) {
+            width = viewport.width;
+        } else if (this.matches('[data-carousel-track] > *')) {
+            width = viewport.width / slidesPerView(viewport.width);
+        }
+        return { width, height: 0, top: 0, left: 0, right: width, bottom: 0, x: 0, y: 0 };
+    };
+}
+
+function carouselMarkup(slideCount, attributes = '') {
+    const slides = Array.from({ length: slideCount }, (_, index) => `
+        <div class="news-slide" id="slide-${index}"><a href="#news-${index}">News ${index + 1}</a></div>
+    `).join('');
+
+    return `
+        <div class="news-slider-wrapper" data-module="carousel" ${attributes}>
+            <button type="button" data-carousel-play></button>
+            <div class="news-slider" data-carousel-track>${slides}</div>
+            <button type="button" data-carousel-prev>Previous</button>
+            <button type="button" data-carousel-next>Next</button>
+            <div data-carousel-dots></div>
+        </div>
+    `;
+}
+
+async function loadCarousel(slideCount, { attributes = '', width = 1200, media } = {}) {
+    const viewport = { width };
+    const page = await loadFixture(carouselMarkup(slideCount, attributes), {
+        media,
+        beforeParse: window => stubLayout(window, viewport)
+    });
+    const root = page.document.querySelector('[data-module="carousel"]');
+    const carousel = await waitFor(() => page.window.Carousel.get(root));
+
+    const resize = async (newWidth) => {
+        viewport.width = newWidth;
+        page.window.dispatchEvent(new page.window.Event('resize'));
+        // Resizes are debounced by 150 ms
+        await new Promise(resolve => setTimeout(resolve, 200));
+    };
+
+    return Object.assign(page, { root, carousel, resize });
+}
+
+// Spread into an array of this realm so deepEqual compares the contents only
+const visibleSlides = carousel => [...carousel.slides]
+    .filter(slide => !slide.hasAttribute('inert'))
+    .map(slide => slide.id);
+
+const dots = root => [...root.querySelectorAll('[data-carousel-dot]')];
+
+// jsdom has no PointerEvent; the carousel only reads these fields
+function pointer(window, type, clientX) {
+    const event = new window.MouseEvent(type, { bubbles: true, cancelable: true, clientX, button: 0 });
+    Object.defineProperty(event, 'pointerId', { value: 1 });
+    Object.defineProperty(event, 'isPrimary', { value: true });
+    return event;
+}
+
+function swipe(page, from, to) {
+    const track = page.carousel.track;
+    track.dispatchEvent(pointer(page.window, 'pointerdown', from));
+    track.dispatchEvent(pointer(page.window, 'pointermove', to));
+    track.dispatchEvent(pointer(page.window, 'pointerup', to));
+}
+
+describe('news slider paging', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCarousel(5);
+    });
+
+    after(() => closePage(page));
+
+    it('shows a page of three slides with one dot per position', () => {
+        const { carousel, root } = page;
+
+        assert.equal(carousel.perView, 3);
+        assert.equal(carousel.count, 3);
+        assert.equal(dots(root).length, 3);
+        assert.deepEqual(visibleSlides(carousel), ['slide-0', 'slide-1', 'slide-2']);
+        assert.equal(root.querySelector('[data-carousel-prev]').disabled, true);
+    });
+
+    it('moves one slide at a time and stops at the ends', () => {
+        const { carousel, root } = page;
+        const next = root.querySelector('[data-carousel-next]');
+
+        next.click();
+        assert.equal(carousel.index, 1);
+        assert.equal(carousel.track.style.transform, `translateX(${-carousel.step}px)`);
+        assert.deepEqual(visibleSlides(carousel), ['slide-1', 'slide-2', 'slide-3']);
+
+        next.click();
+        next.click();
+        assert.equal(carousel.index, 2);
+        assert.equal(next.disabled, true);
+        assert.deepEqual(visibleSlides(carousel), ['slide-2', 'slide-3', 'slide-4']);
+
+        root.querySelector('[data-carousel-prev]').click();
+        assert.equal(carousel.index, 1);
+    });
+
+    it('jumps to a dot and marks it current', () => {
+        const { carousel, root } = page;
+
+        dots(root)[2].click();
+        assert.equal(carousel.index, 2);
+        assert.deepEqual(dots(root).map(dot => dot.getAttribute('aria-current')), [null, null, 'true']);
+    });
+
+    it('pages with the arrow, Home and End keys', () => {
+        const { carousel, root, window } = page;
+        const press = key => root.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+        press('Home');
+        assert.equal(carousel.index, 0);
+        press('ArrowRight');
+        assert.equal(carousel.index, 1);
+        press('ArrowLeft');
+        assert.equal(carousel.index, 0);
+        press('End');
+        assert.equal(carousel.index, 2);
+    });
+
+    it('reports each change', () => {
+        const { carousel, root } = page;
+        const changes = [];
+        root.addEventListener('carousel:change', e => changes.push([e.detail.previousIndex, e.detail.index]));
+
+        carousel.goTo(0);
+        carousel.goTo(0);
+        carousel.next();
+
+        assert.deepEqual(changes, [[2, 0], [0, 1]]);
+    });
+});
+
+describe('news slider on resize', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCarousel(5);
+    });
+
+    after(() => closePage(page));
+
+    it('shows fewer slides per view on smaller screens', async () => {
+        const { carousel, root } = page;
+        carousel.goTo(2);
+
+        await page.resize(900);
+        assert.equal(carousel.perView, 2);
+        assert.equal(dots(root).length, 4);
+        assert.equal(carousel.index, 2);
+        assert.deepEqual(visibleSlides(carousel), ['slide-2', 'slide-3']);
+
+        await page.resize(375);
+        assert.equal(carousel.perView, 1);
+        assert.equal(dots(root).length, 5);
+        assert.equal(carousel.track.style.transform, `translateX(${-2 * 375}px)`);
+    });
+
+    it('keeps the position in range when the view grows', async () => {
+        const { carousel, root } = page;
+        carousel.goTo(4);
+
+        await page.resize(1200);
+        assert.equal(carousel.perView, 3);
+        assert.equal(carousel.index, 2);
+        assert.equal(dots(root).length, 3);
+        assert.equal(root.querySelector('[data-carousel-next]').disabled, true);
+    });
+});
+
+describe('news slider swiping', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCarousel(5, { width: 375 });
+    });
+
+    after(() => closePage(page));
+
+    it('pages forward and back past the drag threshold', () => {
+        const { carousel } = page;
+
+        swipe(page, 300, 200);
+        assert.equal(carousel.index, 1);
+
+        swipe(page, 100, 220);
+        assert.equal(carousel.index, 0);
+    });
+
+    it('snaps back after a short drag', () => {
+        const { carousel } = page;
+
+        swipe(page, 300, 270);
+        assert.equal(carousel.index, 0);
+        assert.equal(carousel.track.style.transform, 'translateX(0px)');
+        assert.equal(page.root.classList.contains('is-dragging'), false);
+    });
+
+    it('does not follow a link at the end of a swipe', () => {
+        const { carousel, window } = page;
+        const link = carousel.slides[1].querySelector('a');
+
+        swipe(page, 300, 150);
+        const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+        link.dispatchEvent(click);
+        assert.equal(click.defaultPrevented, true);
+
+        const nextClick = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+        link.dispatchEvent(nextClick);
+        assert.equal(nextClick.defaultPrevented, false);
+    });
+});
+
+describe('looping news slider', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCarousel(4, { attributes: 'data-carousel-loop data-carousel-autoplay="5000"', width: 900 });
+    });
+
+    after(() => closePage(page));
+
+    it('wraps around in both directions', () => {
+        const { carousel } = page;
+
+        assert.equal(carousel.count, 4);
+        assert.equal(carousel.clones.length, 4);
+
+        carousel.prev();
+        assert.equal(carousel.index, 3);
+        assert.deepEqual(visibleSlides(carousel), ['slide-0', 'slide-3']);
+
+        carousel.next();
+        assert.equal(carousel.index, 0);
+    });
+
+    it('keeps clones out of the accessibility tree', () => {
+        page.carousel.clones.forEach(clone => {
+            assert.equal(clone.getAttribute('aria-hidden'), 'true');
+            assert.ok(clone.hasAttribute('inert'));
+            assert.equal(clone.querySelector('[id]'), null);
+        });
+    });
+
+    it('plays automatically until the visitor takes over', () => {
+        const { carousel, root, window } = page;
+
+        assert.equal(carousel.isPlaying, true);
+        assert.equal(carousel.track.getAttribute('aria-live'), 'off');
+
+        root.dispatchEvent(new window.MouseEvent('mouseenter'));
+        assert.equal(carousel.isRotating(), false);
+        assert.equal(carousel.track.getAttribute('aria-live'), 'polite');
+    });
+
+    it('stays still when reduced motion is requested', async () => {
+        const still = await loadCarousel(4, {
+            attributes: 'data-carousel-loop data-carousel-autoplay="5000"',
+            media: { reducedMotion: true }
+        });
+        try {
+            assert.equal(still.carousel.isPlaying, false);
+            assert.equal(still.root.querySelector('[data-carousel-play]').getAttribute('aria-label'), 'Start automatic slide show');
+        } finally {
+            closePage(still);
+        }
+    });
+});
+
+describe('news slider on the home page', () => {
+    let page;
+
+    before(async () => {
+        page = await loadPage('index.html', { beforeParse: window => stubLayout(window, { width: 1200 }) });
+    });
+
+    after(() => closePage(page));
+
+    it('renders the latest items from data/news.json as slides', async () => {
+        const { document, window } = page;
+        const track = document.querySelector('[data-carousel-track][data-module~="news"]');
+        const carousel = await waitFor(() => window.Carousel.get(track.closest('[data-module~="carousel"]')));
+        const news = require('../../data/news.json');
+
+        await waitFor(() => carousel.slides.length > 0);
+        assert.equal(carousel.slides.length, Math.min(6, news.items.length));
+        assert.ok(carousel.slides.every(slide => slide.classList.contains('news-slide')));
+    });
+});
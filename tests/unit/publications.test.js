@@ -0,0 +1,297 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPage, closePage, waitFor } = require('../helpers/dom.js');
+const { PublicationList, PublicationSearch } = require('../../js/modern-multipage.js');
+
+const ENTRIES = PublicationList.parseBibTeX(fs.readFileSync(path.join(ROOT, 'data/publications.bib'), 'utf8'))
+    .map((record, index) => PublicationList.normalizeEntry(record, index))
+    .filter(entry => entry.title);
+
+const countOf = type => ENTRIES.filter(entry => entry.type === type).length;
+
+describe('PublicationSearch', () => {
+    const index = new PublicationSearch(ENTRIES);
+    const search = query => [...index.search(query).matches.keys()]
+        .map(id => ENTRIES.find(entry => entry.id === id));
+
+    it('matches word forms through stemming', () => {
+        const results = search('learn');
+        assert.ok(results.length > 0);
+        assert.ok(results.every(entry => /learn/i.test(`${entry.title} ${entry.venue}`)));
+    });
+
+    it('tolerates typos', () => {
+        const exact = new Set(search('federated').map(entry => entry.id));
+        const typo = search('federatd');
+
+        assert.ok(typo.length > 0);
+        assert.ok(typo.every(entry => exact.has(entry.id)));
+    });
+
+    it('ignores accents and case', () => {
+        assert.deepEqual(search('DONNEES').map(entry => entry.id), search('données').map(entry => entry.id));
+        assert.equal(search('donnees')[0].type, 'thesis');
+    });
+
+    it('supports author:, type: and year: qualifiers', () => {
+        const byAuthor = search('author:agouti');
+        assert.ok(byAuthor.length > 0);
+        assert.ok(byAuthor.every(entry => entry.authors.some(author => /agouti/i.test(author))));
+
+        assert.deepEqual(search('type:phd').map(entry => entry.type), ['thesis']);
+        assert.equal(search('type:journal').length, countOf('journal'));
+
+        const recent = search('year:2024-2025');
+        assert.ok(recent.length > 0);
+        assert.ok(recent.every(entry => ['2024', '2025'].includes(String(entry.year))));
+    });
+
+    it('searches unknown year: and type: values as plain words', () => {
+        const year = PublicationSearch.parseQuery('year:soon');
+        const type = PublicationSearch.parseQuery('type:magazine');
+
+        assert.deepEqual([...year.years], []);
+        assert.deepEqual([...year.terms], ['soon']);
+        assert.deepEqual([...type.types], []);
+        assert.deepEqual([...type.terms], ['magazine']);
+        assert.deepEqual(search('federated year:2099x').map(entry => entry.id), search('federated 2099x').map(entry => entry.id));
+        assert.deepEqual(search('type:learning').map(entry => entry.id), search('learning').map(entry => entry.id));
+        assert.ok(search('type:learning').length > 0);
+    });
+
+    it('accepts type names as well as aliases', () => {
+        assert.deepEqual([...PublicationSearch.parseQuery('type:Other type:proceedings type:constructor').types], ['other', 'conference']);
+    });
+
+    it('finds nothing for unknown words', () => {
+        assert.equal(search('zzzqqq').length, 0);
+    });
+});
+
+describe('publication list', () => {
+    let page;
+
+    before(async () => {
+        page = await loadPage('publications.html');
+        await waitFor(() => page.document.querySelectorAll('.publication-item').length === ENTRIES.length);
+    });
+
+    after(() => closePage(page));
+
+    const items = () => [...page.document.querySelectorAll('#publicationsList .publication-item')];
+    const visible = () => items().filter(item => item.style.display !== 'none');
+    const filterTab = filter => page.document.querySelector(`.filter-tab[data-filter="${filter}"]`);
+
+    async function typeSearch(query) {
+        const { window, document } = page;
+        const input = document.getElementById('publicationSearch');
+        input.value = query;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+        // The search runs 150 ms after the last keystroke
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    it('renders every entry of the bibliography, newest year first', () => {
+        const years = [...page.document.querySelectorAll('.year-section')].map(section => Number(section.dataset.year));
+
+        assert.equal(items().length, ENTRIES.length);
+        assert.deepEqual(years, [...years].sort((a, b) => b - a));
+    });
+
+    it('summarizes the whole bibliography by type', () => {
+        const summary = page.document.getElementById('publicationSummary').textContent;
+
+        assert.match(summary, new RegExp(`^${ENTRIES.length} publications in total \\(`));
+        assert.match(summary, new RegExp(`${countOf('journal')} Journal Articles`));
+    });
+
+    it('filters by type from the tabs', () => {
+        filterTab('journal').click();
+
+        assert.equal(visible().length, countOf('journal'));
+        assert.ok(visible().every(item => item.classList.contains('journal')));
+        assert.ok(filterTab('journal').classList.contains('active'));
+        assert.equal(filterTab('all').classList.contains('active'), false);
+        assert.equal(page.window.location.search, '?type=journal');
+
+        filterTab('all').click();
+        assert.equal(visible().length, ENTRIES.length);
+        assert.equal(page.window.location.search, '');
+    });
+
+    it('searches as the visitor types', async () => {
+        await typeSearch('federated');
+
+        const expected = new PublicationSearch(ENTRIES).search('federated').matches.size;
+        assert.equal(visible().length, expected);
+        assert.ok(visible().length < ENTRIES.length);
+        assert.ok(visible().every(item => item.querySelector('mark.search-highlight')));
+        assert.equal(page.window.location.search, '?q=federated');
+    });
+
+    it('combines the search with the type filter', async () => {
+        filterTab('conference').click();
+
+        assert.ok(visible().length > 0);
+        assert.ok(visible().every(item => item.classList.contains('conference')));
+        assert.ok(visible().every(item => item.querySelector('mark.search-highlight')));
+        assert.equal(new URLSearchParams(page.window.location.search).get('type'), 'conference');
+    });
+
+    it('shows the empty state when nothing matches', async () => {
+        await typeSearch('zzzqqq');
+        const empty = page.document.querySelector('.publications-empty');
+
+        assert.equal(visible().length, 0);
+        assert.equal(empty.hidden, false);
+        assert.ok([...page.document.querySelectorAll('.year-section')].every(section => section.hidden));
+    });
+
+    it('goes back to the full list when the search is cleared', async () => {
+        filterTab('all').click();
+        await typeSearch('');
+
+        assert.equal(visible().length, ENTRIES.length);
+        assert.equal(page.document.querySelector('.publications-empty').hidden, true);
+        assert.equal(page.document.querySelector('mark.search-highlight'), null);
+    });
+});
+
+describe('publication list state in the URL', () => {
+    it('restores the type filter and search from the address', async () => {
+        const page = await loadPage('publications.html', { search: '?type=conference&q=federated' });
+        try {
+            await waitFor(() => page.document.querySelectorAll('.publication-item').length === ENTRIES.length);
+            const shown = [...page.document.querySelectorAll('.publication-item')]
+                .filter(item => item.style.display !== 'none');
+
+            assert.equal(page.document.getElementById('publicationSearch').value, 'federated');
+            assert.ok(page.document.querySelector('.filter-tab[data-filter="conference"]').classList.contains('active'));
+            assert.ok(shown.length > 0);
+            assert.ok(shown.every(item => item.classList.contains('conference')));
+        } finally {
+            closePage(page);
+        }
+    });
+
+    it('summarizes in the chosen language', async () => {
+        const page = await loadPage('publications.html', { search: '?lang=fr' });
+        try {
+            const summary = await waitFor(() => page.document.documentElement.lang === 'fr' &&
+                page.document.getElementById('publicationSummary').textContent);
+
+            assert.match(summary, new RegExp(`^${ENTRIES.length} publications au total \\(.*${countOf('journal')} articles de revue`));
+        } finally {
+            closePage(page);
+        }
+    });
+
+    it('ignores type names inherited from Object.prototype', async () => {
+        const page = await loadPage('publications.html', { search: '?type=constructor' });
+        try {
+            await waitFor(() => page.document.querySelectorAll('.publication-item').length === ENTRIES.length);
+            const shown = [...page.document.querySelectorAll('.publication-item')]
+                .filter(item => item.style.display !== 'none');
+
+            assert.equal(shown.length, ENTRIES.length);
+            assert.ok(page.document.querySelector('.filter-tab[data-filter="all"]').classList.contains('active'));
+        } finally {
+            closePage(page);
+        }
+    });
+});
+
+describe('PublicationList.parseBibTeX', () => {
+    it('gets past malformed entries instead of hanging', () => {
+        const entries = PublicationList.parseBibTeX([
+            '@article{a, title = "Unclosed, year = 2020}',
+            '@book{b, title = {Fine}, year = 2021}',
+            '@misc{c, = 1}',
+            '@misc{d, title = {Last}}'
+        ].join('\n'));
+
+        assert.deepEqual(entries.map(entry => entry.key), ['a', 'b', 'c', 'd']);
+        assert.equal(entries[0].fields.title, undefined);
+        assert.deepEqual({ ...entries[1].fields }, { title: 'Fine', year: '2021' });
+        assert.equal(entries[3].fields.title, 'Last');
+    });
+
+    it('stops at an unclosed brace', () => {
+        const entries = PublicationList.parseBibTeX('@article{a, title = {Unclosed, year = 2020');
+        assert.deepEqual(entries.map(entry => entry.key), ['a']);
+    });
+});
+
+describe('PublicationList.normalizeEntry', () => {
+    it('files unknown and inherited type names under other', () => {
+        const bibtex = PublicationList.normalizeEntry({ key: 'a', entryType: 'toString', fields: { title: 'A' } }, 0);
+        const json = PublicationList.normalizeEntry({ title: 'B', type: 'constructor' }, 1);
+
+        assert.equal(bibtex.type, 'other');
+        assert.equal(json.type, 'other');
+    });
+});
+
+describe('citation dialog without Bootstrap', () => {
+    let page;
+
+    before(async () => {
+        page = await loadPage('publications.html');
+        await waitFor(() => page.document.querySelectorAll('.publication-item').length === ENTRIES.length);
+    });
+
+    after(() => closePage(page));
+
+    it('opens with focus inside', () => {
+        const { document } = page;
+        document.querySelector('.pub-cite').click();
+        const modal = document.getElementById('citeModal');
+
+        assert.ok(modal.classList.contains('show'));
+        assert.equal(modal.style.display, 'block');
+        assert.equal(modal.hasAttribute('aria-hidden'), false);
+        assert.ok(modal.contains(document.activeElement));
+        assert.match(modal.querySelector('.cite-output').textContent, /^@/);
+    });
+
+    it('closes on Escape and returns focus to the cite button', () => {
+        const { window, document } = page;
+        const modal = document.getElementById('citeModal');
+        document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        assert.equal(modal.classList.contains('show'), false);
+        assert.equal(modal.getAttribute('aria-hidden'), 'true');
+        assert.equal(document.activeElement, document.querySelector('.pub-cite'));
+    });
+
+    it('closes from the close button', () => {
+        const { document } = page;
+        document.querySelector('.pub-cite').click();
+        document.querySelector('#citeModal .btn-close').click();
+
+        assert.equal(document.getElementById('citeModal').classList.contains('show'), false);
+    });
+});
+
+describe('publication list teardown', () => {
+    it('removes its listeners and the citation dialog', async () => {
+        const page = await loadPage('publications.html');
+        try {
+            const { document } = page;
+            await waitFor(() => document.querySelectorAll('.publication-item').length === ENTRIES.length);
+            document.querySelector('.pub-cite').click();
+            assert.ok(document.getElementById('citeModal'));
+
+            page.app.destroy();
+            document.querySelector('.filter-tab[data-filter="journal"]').click();
+
+            assert.equal(document.getElementById('citeModal'), null);
+            assert.equal(page.window.location.search, '');
+            assert.ok(document.querySelector('.filter-tab[data-filter="all"]').classList.contains('active'));
+        } finally {
+            closePage(page);
+        }
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDom, loadPage, closePage } = require('../helpers/dom.js');
+
+// theme-init.js runs in the <head>; the inline script after it records what
+// the first paint would see, before <body> exists
+const HEAD_ONLY = `<!DOCTYPE html>
+<html>
+<head>
+<script src="js/theme-init.js"></script>
+<script>
+    window.firstPaint = {
+        hasBody: Boolean(document.body),
+        theme: document.documentElement.getAttribute('data-theme'),
+        palette: document.documentElement.getAttribute('data-palette'),
+        colorScheme: document.documentElement.style.colorScheme
+    };
+</script>
+</head>
+<body></body>
+</html>`;
+
+describe('theme-init.js', () => {
+    let dom;
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = null;
+    });
+
+    it('applies the stored theme before the body is parsed', () => {
+        dom = createDom(HEAD_ONLY, { storage: { theme: 'dark' } });
+        const { firstPaint } = dom.window;
+
+        assert.equal(firstPaint.hasBody, false);
+        assert.equal(firstPaint.theme, 'dark');
+        assert.equal(firstPaint.colorScheme, 'dark');
+        assert.equal(firstPaint.palette, null);
+    });
+
+    it('follows the operating system when nothing is stored', () => {
+        dom = createDom(HEAD_ONLY, { media: { dark: true } });
+        assert.equal(dom.window.firstPaint.theme, 'dark');
+        assert.equal(dom.window.SiteTheme.getPreference(), 'system');
+
+        dom.window.close();
+        dom = createDom(HEAD_ONLY);
+        assert.equal(dom.window.firstPaint.theme, 'light');
+    });
+
+    it('sets data-palette for palettes on top of their base scheme', () => {
+        dom = createDom(HEAD_ONLY, { storage: { theme: 'sepia' } });
+        assert.equal(dom.window.firstPaint.theme, 'light');
+        assert.equal(dom.window.firstPaint.palette, 'sepia');
+
+        dom.window.close();
+        dom = createDom(HEAD_ONLY, { storage: { theme: 'high-contrast' } });
+        assert.equal(dom.window.firstPaint.theme, 'dark');
+        assert.equal(dom.window.firstPaint.palette, 'high-contrast');
+    });
+
+    it('ignores unknown stored values', () => {
+        dom = createDom(HEAD_ONLY, { storage: { theme: 'neon' } });
+        assert.equal(dom.window.SiteTheme.getPreference(), 'system');
+        assert.equal(dom.window.firstPaint.theme, 'light');
+    });
+
+    it('still themes the page when storage is unavailable', () => {
+        dom = createDom(HEAD_ONLY, {
+            media: { dark: true },
+            beforeParse(window) {
+                Object.defineProperty(window, 'localStorage', {
+                    get() {
+                        throw new window.DOMException('Storage is disabled', 'SecurityError');
+                    }
+                });
+            }
+        });
+
+        assert.equal(dom.window.firstPaint.theme, 'dark');
+        assert.doesNotThrow(() => dom.window.SiteTheme.savePreference('light'));
+        assert.deepEqual(dom.errors, []);
+    });
+
+    it('themes the body once it has been parsed', async () => {
+        dom = createDom(HEAD_ONLY, { storage: { theme: 'dark' } });
+        await new Promise(resolve => dom.window.document.addEventListener('DOMContentLoaded', resolve));
+
+        assert.equal(dom.window.document.body.getAttribute('data-theme'), 'dark');
+        assert.ok(dom.window.document.body.classList.contains('dark-theme'));
+    });
+});
+
+describe('ModernPortfolio themes', () => {
+    let page;
+
+    afterEach(() => {
+        if (page) closePage(page);
+        page = null;
+    });
+
+    it('saves the chosen theme and restores it on the next page', async () => {
+        page = await loadPage('about.html');
+        page.app.setTheme('dark');
+
+        assert.equal(page.window.localStorage.getItem('theme'), 'dark');
+        assert.equal(page.document.documentElement.getAttribute('data-theme'), 'dark');
+
+        const storage = { theme: page.window.localStorage.getItem('theme') };
+        closePage(page);
+
+        page = await loadPage('research.html', { storage });
+        assert.equal(page.app.theme, 'dark');
+        assert.equal(page.document.documentElement.getAttribute('data-theme'), 'dark');
+        assert.equal(page.document.body.getAttribute('data-theme'), 'dark');
+    });
+
+    it('cycles through the themes from the toggle', async () => {
+        page = await loadPage('index.html', { storage: { theme: 'light' } });
+        const toggle = page.document.getElementById('theme-toggle');
+        const themes = Object.keys(page.window.SiteTheme.THEMES);
+
+        const seen = themes.map(() => {
+            toggle.click();
+            return page.app.theme;
+        });
+
+        assert.deepEqual(seen, [...themes.slice(1), themes[0]]);
+        assert.equal(page.window.localStorage.getItem('theme'), 'light');
+    });
+
+    it('picks up a theme changed in another tab', async () => {
+        page = await loadPage('index.html', { storage: { theme: 'light' } });
+        const { window } = page;
+
+        window.localStorage.setItem('theme', 'sepia');
+        window.dispatchEvent(new window.StorageEvent('storage', { key: 'theme', newValue: 'sepia' }));
+
+        assert.equal(page.app.theme, 'sepia');
+        assert.equal(page.document.documentElement.getAttribute('data-palette'), 'sepia');
+    });
+});
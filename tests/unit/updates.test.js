@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, closePage, waitFor } = require('../helpers/dom.js');
+
+// A service worker container whose registration already has an update waiting
+function fakeServiceWorker(messages) {
+    const target = { addEventListener() {}, removeEventListener() {} };
+    const registration = Object.assign({
+        waiting: Object.assign({ postMessage: message => messages.push(message) }, target),
+        installing: null,
+        update: () => Promise.resolve()
+    }, target);
+
+    return Object.assign({ controller: {}, register: () => Promise.resolve(registration) }, target);
+}
+
+describe('site update prompt', () => {
+    let page;
+    const messages = [];
+
+    before(async () => {
+        page = await loadFixture('<h1>Home</h1>', {
+            storage: { language: 'fr' },
+            beforeParse: window => {
+                Object.defineProperty(window, 'isSecureContext', { value: true });
+                Object.defineProperty(window.navigator, 'serviceWorker', { value: fakeServiceWorker(messages) });
+            }
+        });
+    });
+
+    after(() => closePage(page));
+
+    it('is shown in the visitor\'s language', async () => {
+        const { document } = page;
+        const prompt = await waitFor(() => document.documentElement.lang === 'fr' && document.querySelector('.update-prompt'));
+
+        assert.equal(prompt.getAttribute('aria-label'), 'Mise à jour du site');
+        assert.equal(prompt.querySelector('[data-i18n="update.available"]').textContent, 'Une nouvelle version de ce site est disponible.');
+        assert.equal(prompt.querySelector('[data-update-reload]').textContent, 'Recharger');
+        assert.equal(prompt.querySelector('[data-update-dismiss]').getAttribute('aria-label'), 'Ignorer l\'avis de mise à jour');
+    });
+
+    it('asks the waiting worker to take over', () => {
+        const reload = page.document.querySelector('[data-update-reload]');
+        reload.click();
+
+        assert.equal(reload.textContent, 'Mise à jour…');
+        assert.deepEqual(messages.map(message => message.type), ['SKIP_WAITING']);
+    });
+});